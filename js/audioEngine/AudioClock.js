@@ -0,0 +1,115 @@
+/**
+ * AudioClock.js - Audio-clock-driven scheduler for the Binaural Beats PWA
+ *
+ * setTimeout and setInterval drift against the audio and are throttled in
+ * background tabs. This class runs callbacks at AudioContext times instead:
+ * each event is a silent ConstantSourceNode scheduled to stop at the event
+ * time, and its 'ended' event (dispatched by the audio rendering thread)
+ * runs the callback. Fades are scheduled on AudioParams as before; the clock
+ * only tells the main thread when they are done.
+ */
+
+// One clock per context
+const clocks = new WeakMap();
+
+export default class AudioClock {
+  /**
+   * Create a new AudioClock
+   * @param {BaseAudioContext} audioContext - The Web Audio API context (live or offline)
+   */
+  constructor(audioContext) {
+    if (!audioContext) {
+      throw new Error('AudioContext is required to create an AudioClock');
+    }
+    
+    this.audioContext = audioContext;
+    
+    // Event sources are connected to a muted gain so the context processes them
+    this.output = this.audioContext.createGain();
+    this.output.gain.value = 0;
+    this.output.connect(this.audioContext.destination);
+    
+    // Pending event sources
+    this.events = new Set();
+  }
+  
+  /**
+   * Get the shared clock of a context, creating it on first use
+   * @param {BaseAudioContext} audioContext - The Web Audio API context
+   * @return {AudioClock} The context's clock
+   */
+  static forContext(audioContext) {
+    if (!clocks.has(audioContext)) {
+      clocks.set(audioContext, new AudioClock(audioContext));
+    }
+    
+    return clocks.get(audioContext);
+  }
+  
+  /**
+   * Get the current context time
+   * @return {number} Time in seconds
+   */
+  now() {
+    return this.audioContext.currentTime;
+  }
+  
+  /**
+   * Run a callback at a context time
+   * @param {number} time - Context time in seconds (times in the past run as soon as possible)
+   * @param {Function} callback - Called with the scheduled time
+   * @return {Object} Handle that can be passed to cancel()
+   */
+  schedule(time, callback) {
+    const source = this.audioContext.createConstantSource();
+    source.offset.value = 0;
+    source.connect(this.output);
+    
+    source.onended = () => {
+      if (!this.events.has(source)) return;
+      
+      this.events.delete(source);
+      source.disconnect();
+      callback(time);
+    };
+    
+    source.start();
+    source.stop(Math.max(time, this.now()));
+    this.events.add(source);
+    
+    return source;
+  }
+  
+  /**
+   * Wait until a context time
+   * @param {number} time - Context time in seconds
+   * @return {Promise<number>} Resolves with the scheduled time
+   */
+  waitUntil(time) {
+    return new Promise(resolve => this.schedule(time, resolve));
+  }
+  
+  /**
+   * Cancel a scheduled callback
+   * @param {Object} handle - Handle returned by schedule()
+   */
+  cancel(handle) {
+    if (!handle || !this.events.has(handle)) return;
+    
+    this.events.delete(handle);
+    handle.onended = null;
+    handle.disconnect();
+  }
+  
+  /**
+   * Cancel all scheduled callbacks and disconnect the clock
+   */
+  dispose() {
+    for (const handle of [...this.events]) {
+      this.cancel(handle);
+    }
+    
+    this.output.disconnect();
+    clocks.delete(this.audioContext);
+  }
+}
\ No newline at end of file
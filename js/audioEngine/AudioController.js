@@ -6,8 +6,15 @@
  */
 
 import BinauralTrack from './BinauralTrack.js';
+import MonauralTrack from './MonauralTrack.js';
 import IsochronicTrack from './IsochronicTrack.js';
 import NoiseTrack from './NoiseTrack.js';
+import SampleTrack from './SampleTrack.js';
+import SoundscapeTrack from './SoundscapeTrack.js';
+import SessionProgram from './SessionProgram.js';
+import MasterBus from './MasterBus.js';
+import AudioClock from './AudioClock.js';
+import FadeCurve from './FadeCurve.js';
 import AudioExporter from '../audioExporter.js';
 
 export default class AudioController {
@@ -17,6 +24,11 @@ export default class AudioController {
    * @param {number} options.masterVolume - Initial master volume (0-1)
    * @param {number} options.fadeInDuration - Default fade-in duration in seconds (default: 2)
    * @param {number} options.fadeOutDuration - Default fade-out duration in seconds (default: 1)
+   * @param {string} options.fadeCurve - Default fade curve (default: 'linear')
+   * @param {Object} options.masterBus - Master bus settings: { eq: { low, mid, high }, limiter }
+   * @param {Object} options.earBalance - Ear balance gains in dB: { left, right } (default: both 0)
+   * @param {boolean} options.equalLoudness - Compensate tonal tracks for their carrier frequency (default: false)
+   * @param {boolean} options.mediaElementOutput - Play the output through an <audio> element (default: false)
    */
   constructor(options = {}) {
     // Initialize audio context when needed (not immediately)
@@ -25,32 +37,70 @@ export default class AudioController {
     // Track management
     this.tracks = new Map();
     
+    // Decoded audio for sample tracks, keyed by sample ID
+    this.sampleBuffers = new Map();
+    
     // Master volume (default: 0.7)
     this.masterVolume = typeof options.masterVolume === 'number' ?
       Math.max(0, Math.min(1, options.masterVolume)) : 0.7;
     
-    // Master gain node (created when audio context is initialized)
+    // Master bus and its volume node (created when audio context is initialized)
+    this.masterBus = null;
     this.masterGain = null;
     
+    // Master bus settings (EQ and limiter), kept until the bus exists
+    this.masterBusSettings = {
+      eq: { low: 0, mid: 0, high: 0 },
+      limiter: true,
+      ...(options.masterBus || {})
+    };
+    
+    // Ear balance (per-ear gain in dB), kept until the bus exists. It belongs
+    // to the listener, not the preset, so it is separate from the bus settings
+    this.earBalance = { left: 0, right: 0, ...(options.earBalance || {}) };
+    
     // Default fade durations in seconds
     this.fadeInDuration = typeof options.fadeInDuration === 'number' && options.fadeInDuration >= 0 ?
       options.fadeInDuration : 2;
     this.fadeOutDuration = typeof options.fadeOutDuration === 'number' && options.fadeOutDuration >= 0 ?
       options.fadeOutDuration : 1;
     
-    // Timer functionality
+    // Fade curve for playback and track fades
+    this.fadeCurve = FadeCurve.isValid(options.fadeCurve) ? options.fadeCurve : FadeCurve.DEFAULT;
+    
+    // Equal-loudness compensation for tonal tracks. Like the ear balance it
+    // is a listener setting, so it applies to every track regardless of preset
+    this.equalLoudness = !!options.equalLoudness;
+    
+    // Timer functionality (runs on the audio clock)
     this.timerDuration = 0; // Duration in milliseconds
-    this.timerStartTime = 0; // Start time in milliseconds
-    this.timerInterval = null; // Timer interval reference
+    this.timerEndTime = 0; // Context time at which the timer expires
+    this.timerEvent = null; // Scheduled clock event
     this.timerCallback = null; // Callback for timer completion
     
+    // Session program playback
+    this.program = null; // Loaded SessionProgram
+    this.programStartTime = 0; // Context time that corresponds to program position 0
+    this.programStageIndex = -1; // Index of the stage currently playing
+    this.programTrackIds = []; // Tracks that belong to the current stage
+    this.programEvent = null; // Clock event for the next stage change
+    this.programCallbacks = {}; // onStageChange / onComplete callbacks
+    
     // Audio export functionality
     this.audioExporter = null;
     this.isExporting = false;
     
+    // Output through an <audio> element, which keeps audio alive in the
+    // background and on a locked screen on some mobile browsers
+    this.mediaElementOutput = !!options.mediaElementOutput;
+    this.mediaStreamDestination = null; // Created on first use
+    this.mediaElement = null; // Plays the media stream
+    this.outputNode = null; // Node the master bus is connected to
+    
     // State
     this.isInitialized = false;
     this.isPlaying = false;
+    this.pendingStop = null; // Token of the stopAll() that is fading out, if any
   }
   
   /**
@@ -65,10 +115,18 @@ export default class AudioController {
       window.AudioContext = window.AudioContext || window.webkitAudioContext;
       this.audioContext = new AudioContext();
       
-      // Create master gain node
-      this.masterGain = this.audioContext.createGain();
-      this.masterGain.gain.value = this.masterVolume;
-      this.masterGain.connect(this.audioContext.destination);
+      // Create the master bus; its output gain is the master volume
+      this.masterBus = new MasterBus(this.audioContext, {
+        ...this.masterBusSettings,
+        volume: this.masterVolume,
+        balance: this.earBalance
+      });
+      this.masterGain = this.masterBus.output;
+      this._connectOutput();
+      
+      // Load the continuous noise generator; noise tracks fall back to
+      // looped buffers until it is ready or if it is not supported
+      NoiseTrack.loadWorklet(this.audioContext);
       
       // Initialize audio exporter
       this._initializeAudioExporter();
@@ -82,6 +140,142 @@ export default class AudioController {
     }
   }
   
+  /**
+   * Check whether this browser needs the output to play through an <audio>
+   * element to keep sounding in the background. iOS and iPadOS silence Web
+   * Audio when the page is hidden or the screen locks unless a media element
+   * is playing.
+   * @return {boolean} True if media element output is needed
+   */
+  static requiresMediaElementOutput() {
+    const userAgent = navigator.userAgent || '';
+    
+    return /iPad|iPhone|iPod/.test(userAgent) ||
+      (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+  }
+  
+  /**
+   * Play the output through an <audio> element, or straight to the speakers
+   * @param {boolean} enabled - Whether to use the media element
+   */
+  setMediaElementOutput(enabled) {
+    this.mediaElementOutput = !!enabled;
+    
+    if (this.isInitialized) {
+      this._connectOutput();
+    }
+  }
+  
+  /**
+   * Check whether the output plays through an <audio> element
+   * @return {boolean} True if media element output is enabled
+   */
+  isMediaElementOutputEnabled() {
+    return this.mediaElementOutput;
+  }
+  
+  /**
+   * Connect the master bus to the speakers or to the media element
+   * @private
+   */
+  _connectOutput() {
+    if (this.mediaElementOutput && !this.mediaStreamDestination) {
+      this.mediaStreamDestination = this.audioContext.createMediaStreamDestination();
+      this.mediaElement = new Audio();
+      this.mediaElement.srcObject = this.mediaStreamDestination.stream;
+    }
+    
+    const output = this.mediaElementOutput ? this.mediaStreamDestination : this.audioContext.destination;
+    
+    if (output === this.outputNode) return;
+    
+    if (this.outputNode) {
+      this.masterBus.disconnect(this.outputNode);
+    }
+    
+    this.masterBus.connect(output);
+    this.outputNode = output;
+    
+    if (this.mediaElementOutput && this.isPlaying) {
+      this._playMediaElement();
+    } else if (!this.mediaElementOutput && this.mediaElement) {
+      this.mediaElement.pause();
+    }
+  }
+  
+  /**
+   * Start the media element if the output plays through it
+   * @private
+   */
+  _playMediaElement() {
+    if (!this.mediaElementOutput || !this.mediaElement) return;
+    
+    this.mediaElement.play().catch(error => {
+      console.warn('Could not start media element output:', error);
+    });
+  }
+  
+  /**
+   * Suspend audio processing without stopping the tracks. The audio clock
+   * stops too, so fades, the timer and program stages pick up where they
+   * left off on resume().
+   * @return {Promise} Resolves when the context is suspended
+   */
+  suspend() {
+    if (!this.isInitialized || this.audioContext.state !== 'running') {
+      return Promise.resolve();
+    }
+    
+    if (this.mediaElement) {
+      this.mediaElement.pause();
+    }
+    
+    return this.audioContext.suspend();
+  }
+  
+  /**
+   * Resume audio processing after suspend() or a system interruption
+   * @return {Promise} Resolves when the context is running
+   */
+  resume() {
+    if (!this.isInitialized || this.audioContext.state === 'closed') {
+      return Promise.resolve();
+    }
+    
+    if (this.isPlaying) {
+      this._playMediaElement();
+    }
+    
+    return this.audioContext.state === 'running' ? Promise.resolve() : this.audioContext.resume();
+  }
+  
+  /**
+   * Get the node that signals played outside the tracks (e.g. test tones)
+   * connect to, and start the output. Call releaseAuxiliaryInput() when done.
+   * @return {AudioNode|null} Master bus input, or null if the audio engine could not start
+   */
+  getAuxiliaryInput() {
+    if (!this.initialize()) return null;
+    
+    this._playMediaElement();
+    
+    if (this.audioContext.state !== 'running') {
+      this.audioContext.resume();
+    }
+    
+    return this.masterBus.input;
+  }
+  
+  /**
+   * Stop the media element output started by getAuxiliaryInput() if no
+   * tracks are playing
+   */
+  releaseAuxiliaryInput() {
+    if (this.mediaElement && !this.isPlaying) {
+      this.mediaElement.pause();
+    }
+  }
+  
   /**
    * Get the default fade-in duration
    * @return {number} Current default fade-in duration in seconds
@@ -121,13 +315,63 @@ export default class AudioController {
     }
     return this.fadeOutDuration;
   }
-
+  
+  /**
+   * Get the fade curve
+   * @return {string} Current fade curve type
+   */
+  getFadeCurve() {
+    return this.fadeCurve;
+  }
+  
+  /**
+   * Set the fade curve for playback fades and all tracks
+   * @param {string} curve - 'linear', 'exponential', 'equal-power' or 's-curve'
+   * @return {string} The actual curve set
+   */
+  setFadeCurve(curve) {
+    if (FadeCurve.isValid(curve)) {
+      this.fadeCurve = curve;
+      
+      for (const track of this.tracks.values()) {
+        track.setFadeCurve(curve);
+      }
+    }
+    return this.fadeCurve;
+  }
+  
+  /**
+   * Check whether equal-loudness compensation is enabled
+   * @return {boolean} True if enabled
+   */
+  getEqualLoudness() {
+    return this.equalLoudness;
+  }
+  
+  /**
+   * Enable or disable equal-loudness compensation, which adjusts the gain of
+   * binaural, monaural and isochronic tracks to their carrier frequency
+   * (ISO 226) so that moving the carrier keeps the perceived loudness
+   * @param {boolean} enabled - Whether to apply the compensation
+   * @return {boolean} The actual setting
+   */
+  setEqualLoudness(enabled) {
+    this.equalLoudness = !!enabled;
+    
+    for (const track of this.tracks.values()) {
+      track.setEqualLoudness(this.equalLoudness);
+    }
+    
+    return this.equalLoudness;
+  }
+  
   /**
    * Create a new track
-   * @param {string} type - Track type: 'binaural', 'isochronic', or 'noise'
+   * @param {string} type - Track type: 'binaural', 'monaural', 'isochronic', 'noise', 'soundscape', or 'sample'
    * @param {Object} options - Track configuration options
    * @param {number} options.fadeInDuration - Custom fade-in duration for this track
    * @param {number} options.fadeOutDuration - Custom fade-out duration for this track
+   * @param {string} options.fadeCurve - Custom fade curve for this track
    * @return {string|null} Track ID if successful, null otherwise
    */
   createTrack(type, options = {}) {
@@ -142,7 +386,7 @@ export default class AudioController {
       this.audioContext.resume();
     }
     
-    // Apply default fade durations if not specified in options
+    // Apply default fade durations and curve if not specified in options
     if (typeof options.fadeInDuration !== 'number') {
       options.fadeInDuration = this.fadeInDuration;
     }
@@ -151,6 +395,13 @@ export default class AudioController {
       options.fadeOutDuration = this.fadeOutDuration;
     }
     
+    if (!FadeCurve.isValid(options.fadeCurve)) {
+      options.fadeCurve = this.fadeCurve;
+    }
+    
+    // Route the track through the master bus, with the listener's equal-loudness setting
+    options = { ...options, destination: this.masterBus.input, equalLoudness: this.equalLoudness };
+    
     let track;
     
     // Create track based on type
@@ -158,12 +409,25 @@ export default class AudioController {
       case 'binaural':
         track = new BinauralTrack(this.audioContext, options);
         break;
+      case 'monaural':
+        track = new MonauralTrack(this.audioContext, options);
+        break;
       case 'isochronic':
         track = new IsochronicTrack(this.audioContext, options);
         break;
       case 'noise':
         track = new NoiseTrack(this.audioContext, options);
         break;
+      case 'soundscape':
+        track = new SoundscapeTrack(this.audioContext, options);
+        break;
+      case 'sample':
+        // Use registered audio for samples referenced by ID (e.g. from presets)
+        if (!options.buffer && options.sampleId && this.sampleBuffers.has(options.sampleId)) {
+          options = { ...options, buffer: this.sampleBuffers.get(options.sampleId) };
+        }
+        track = new SampleTrack(this.audioContext, options);
+        break;
       default:
         console.error('Invalid track type:', type);
         return null;
@@ -270,6 +534,81 @@ export default class AudioController {
     return true;
   }
   
+  /**
+   * Decode an audio file for use in a sample track
+   * @param {ArrayBuffer} arrayBuffer - Encoded audio file contents
+   * @return {Promise<AudioBuffer>} Resolves with the decoded audio
+   */
+  decodeAudioFile(arrayBuffer) {
+    if (!this.isInitialized) {
+      if (!this.initialize()) {
+        return Promise.reject(new Error('AudioContext is not available'));
+      }
+    }
+    
+    return this.audioContext.decodeAudioData(arrayBuffer);
+  }
+  
+  /**
+   * Register decoded audio so sample tracks can refer to it by ID
+   * @param {string} sampleId - Sample ID
+   * @param {AudioBuffer} buffer - Decoded audio
+   */
+  registerSample(sampleId, buffer) {
+    this.sampleBuffers.set(sampleId, buffer);
+  }
+  
+  /**
+   * Get registered audio for a sample
+   * @param {string} sampleId - Sample ID
+   * @return {AudioBuffer|null} Decoded audio, or null if not registered
+   */
+  getSampleBuffer(sampleId) {
+    return this.sampleBuffers.get(sampleId) || null;
+  }
+  
+  /**
+   * Load audio into a sample track
+   * @param {string} trackId - Track ID
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {Object} sample - Sample reference ({ sampleId, sampleName })
+   * @return {boolean} Success status
+   */
+  setTrackSample(trackId, buffer, sample = {}) {
+    const track = this.tracks.get(trackId);
+    
+    if (!track || typeof track.setBuffer !== 'function') {
+      return false;
+    }
+    
+    if (sample.sampleId) {
+      this.registerSample(sample.sampleId, buffer);
+    }
+    
+    track.setBuffer(buffer, sample);
+    
+    return true;
+  }
+  
+  /**
+   * Set the automation lane for a track parameter
+   * @param {string} trackId - Track ID
+   * @param {string} parameter - Parameter name (e.g. 'beatFrequency')
+   * @param {Array<Object>} breakpoints - Breakpoints ({ time, value, curve }); empty clears the lane
+   * @return {boolean} Success status
+   */
+  setTrackAutomation(trackId, parameter, breakpoints) {
+    const track = this.tracks.get(trackId);
+    
+    if (!track) {
+      return false;
+    }
+    
+    track.setAutomation(parameter, breakpoints);
+    
+    return true;
+  }
+  
   /**
    * Start all tracks with a fade-in
    * @param {number} fadeInTime - Fade-in time in seconds (default: use instance default)
@@ -284,6 +623,9 @@ export default class AudioController {
     // Use provided fadeInTime or default to instance fadeInDuration
     const actualFadeInTime = fadeInTime !== null ? fadeInTime : this.fadeInDuration;
     
+    // Starting again cancels a stop that is still fading out
+    this.pendingStop = null;
+    
     // Resume audio context if suspended
     if (this.audioContext.state === 'suspended') {
       this.audioContext.resume();
@@ -292,18 +634,18 @@ export default class AudioController {
     // Store current master volume
     const targetVolume = this.masterVolume;
     
-    // Set initial volume to 0 for fade-in
+    // Fade in the master volume from 0
     const now = this.audioContext.currentTime;
-    this.masterGain.gain.cancelScheduledValues(now);
-    this.masterGain.gain.setValueAtTime(0, now);
+    FadeCurve.cancel(this.masterGain.gain, now);
+    FadeCurve.schedule(this.masterGain.gain, 0, targetVolume, now, actualFadeInTime, this.fadeCurve);
     
     // Start all tracks
     for (const track of this.tracks.values()) {
       track.start();
     }
     
-    // Fade in the master volume
-    this.masterGain.gain.linearRampToValueAtTime(targetVolume, now + actualFadeInTime);
+    // Media playback has to start from the user gesture that started playback
+    this._playMediaElement();
     
     this.isPlaying = true;
     console.log(`Started playback with ${actualFadeInTime}-second fade-in`);
@@ -315,23 +657,40 @@ export default class AudioController {
    * @return {Promise} Resolves when all tracks have stopped
    */
   async stopAll(fadeOutTime = null) {
+    // Stopping playback also ends a running session program
+    this.stopProgram();
+    
     if (!this.isInitialized || this.tracks.size === 0) {
       this.isPlaying = false;
       return Promise.resolve();
     }
     
-    // Use provided fadeOutTime or default to instance fadeOutDuration
-    const actualFadeOutTime = fadeOutTime !== null ? fadeOutTime : this.fadeOutDuration;
+    // The clock stands still while the context is not running, so a fade
+    // would never finish: stop straight away instead
+    const actualFadeOutTime = this.audioContext.state !== 'running' ? 0 :
+      fadeOutTime !== null ? fadeOutTime : this.fadeOutDuration;
+    
+    const stopRequest = {};
+    this.pendingStop = stopRequest;
     
     // Fade out the master volume
     const now = this.audioContext.currentTime;
     const currentVolume = this.masterGain.gain.value;
-    this.masterGain.gain.cancelScheduledValues(now);
-    this.masterGain.gain.setValueAtTime(currentVolume, now);
-    this.masterGain.gain.linearRampToValueAtTime(0, now + actualFadeOutTime);
+    FadeCurve.cancel(this.masterGain.gain, now);
     
-    // Wait for fade-out to complete before stopping tracks
-    await new Promise(resolve => setTimeout(resolve, actualFadeOutTime * 1000));
+    if (actualFadeOutTime > 0) {
+      FadeCurve.schedule(this.masterGain.gain, currentVolume, 0, now, actualFadeOutTime, this.fadeCurve);
+      
+      // Wait on the audio clock for the fade-out to complete before stopping tracks
+      await AudioClock.forContext(this.audioContext).waitUntil(now + actualFadeOutTime);
+      
+      // Playback was started again during the fade-out; startAll() took over the master gain
+      if (this.pendingStop !== stopRequest) {
+        return Promise.resolve();
+      }
+    } else {
+      this.masterGain.gain.setValueAtTime(0, now);
+    }
     
     // Stop all tracks
     const stopPromises = Array.from(this.tracks.values()).map(track => track.stop());
@@ -339,10 +698,19 @@ export default class AudioController {
     // Wait for all tracks to stop
     await Promise.all(stopPromises);
     
+    if (this.pendingStop !== stopRequest) {
+      return Promise.resolve();
+    }
+    this.pendingStop = null;
+    
     // Reset master gain to original volume for next playback
     this.masterGain.gain.cancelScheduledValues(now + actualFadeOutTime);
     this.masterGain.gain.setValueAtTime(this.masterVolume, now + actualFadeOutTime);
     
+    if (this.mediaElement) {
+      this.mediaElement.pause();
+    }
+    
     this.isPlaying = false;
     console.log(`Stopped playback with ${actualFadeOutTime}-second fade-out`);
     return Promise.resolve();
@@ -366,7 +734,7 @@ export default class AudioController {
     // Apply volume to master gain node
     if (this.masterGain) {
       const now = this.audioContext.currentTime;
-      this.masterGain.gain.cancelScheduledValues(now);
+      FadeCurve.cancel(this.masterGain.gain, now);
       this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, now);
       this.masterGain.gain.linearRampToValueAtTime(safeVolume, now + 0.1);
     }
@@ -383,7 +751,79 @@ export default class AudioController {
   }
   
   /**
-   * Start timer
+   * Get the analysers on the master bus output, for visualization
+   * @return {Object|null} Analysers ({ master, left, right }), or null before the audio context exists
+   */
+  getAnalysers() {
+    return this.masterBus ? this.masterBus.getAnalysers() : null;
+  }
+  
+  /**
+   * Get the master bus settings
+   * @return {Object} Settings object: { eq: { low, mid, high }, limiter }
+   */
+  getMasterBusSettings() {
+    return this.masterBus ? this.masterBus.getSettings() : {
+      eq: { ...this.masterBusSettings.eq },
+      limiter: this.masterBusSettings.limiter
+    };
+  }
+  
+  /**
+   * Get the ear balance
+   * @return {Object} Gains in dB: { left, right }
+   */
+  getEarBalance() {
+    return this.masterBus ? this.masterBus.getBalance() : { ...this.earBalance };
+  }
+  
+  /**
+   * Set the ear balance, which compensates for asymmetric hearing by lowering
+   * the level in one ear (e.g. the left and right tones of binaural tracks)
+   * @param {Object} balance - Gains in dB (-24 to 0): { left, right }
+   * @return {Object} The resulting balance
+   */
+  setEarBalance(balance = {}) {
+    if (this.masterBus) {
+      this.masterBus.setBalance(balance);
+      this.earBalance = this.masterBus.getBalance();
+    } else {
+      for (const ear of ['left', 'right']) {
+        if (typeof balance[ear] === 'number' && !isNaN(balance[ear])) {
+          this.earBalance[ear] = Math.max(-24, Math.min(0, balance[ear]));
+        }
+      }
+    }
+    
+    return this.getEarBalance();
+  }
+  
+  /**
+   * Update the master bus settings
+   * @param {Object} settings - Settings to change
+   * @param {Object} settings.eq - EQ gains in dB (-12 to 12): { low, mid, high }
+   * @param {boolean} settings.limiter - Whether the limiter is enabled
+   * @return {Object} The resulting settings
+   */
+  setMasterBusSettings(settings = {}) {
+    if (this.masterBus) {
+      this.masterBus.setSettings(settings);
+    }
+    
+    if (settings.eq) {
+      this.masterBusSettings.eq = { ...this.masterBusSettings.eq, ...settings.eq };
+    }
+    
+    if (typeof settings.limiter === 'boolean') {
+      this.masterBusSettings.limiter = settings.limiter;
+    }
+    
+    return this.getMasterBusSettings();
+  }
+  
+  /**
+   * Start timer. The timer runs on the audio clock, and the fade-out is
+   * started early so playback falls silent exactly when the timer expires.
    * @param {number} duration - Duration in milliseconds
    * @param {Function} callback - Callback function to call when timer completes
    */
@@ -395,40 +835,89 @@ export default class AudioController {
       return;
     }
     
+    if (!this.isInitialized) {
+      if (!this.initialize()) {
+        return;
+      }
+    }
+    
+    const now = this.audioContext.currentTime;
+    
     this.timerDuration = duration;
-    this.timerStartTime = Date.now();
+    this.timerEndTime = now + duration / 1000;
     this.timerCallback = callback;
     
-    // Set interval to check timer progress
-    this.timerInterval = setInterval(() => {
-      const elapsed = Date.now() - this.timerStartTime;
+    this._scheduleTimer();
+  }
+  
+  /**
+   * Move a running timer to a position, e.g. from a media seek bar
+   * @param {number} position - Elapsed timer time in milliseconds
+   * @return {boolean} Success status
+   */
+  seekTimer(position) {
+    if (!this.timerEvent) {
+      return false;
+    }
+    
+    const safePosition = Math.max(0, Math.min(this.timerDuration, position));
+    this.timerEndTime = this.audioContext.currentTime + (this.timerDuration - safePosition) / 1000;
+    
+    this._scheduleTimer();
+    return true;
+  }
+  
+  /**
+   * Get the elapsed time of the running timer
+   * @return {number} Elapsed time in milliseconds (0 if no timer is running)
+   */
+  getTimerPosition() {
+    if (!this.timerEvent) {
+      return 0;
+    }
+    
+    return this.timerDuration - this.getRemainingTime();
+  }
+  
+  /**
+   * Schedule the timer's fade-out so playback falls silent at timerEndTime
+   * @private
+   */
+  _scheduleTimer() {
+    const clock = AudioClock.forContext(this.audioContext);
+    
+    if (this.timerEvent) {
+      clock.cancel(this.timerEvent);
+    }
+    
+    const fadeOutStart = Math.max(clock.now(), this.timerEndTime - this.fadeOutDuration);
+    
+    this.timerEvent = clock.schedule(fadeOutStart, () => {
+      // Timer completed
+      const timerCallback = this.timerCallback;
+      this.timerEvent = null;
+      this.stopTimer();
       
-      if (elapsed >= this.timerDuration) {
-        // Timer completed
-        this.stopTimer();
-        
-        // Stop all tracks
-        this.stopAll();
-        
-        // Call callback
-        if (typeof this.timerCallback === 'function') {
-          this.timerCallback();
+      // Stop all tracks, then call the callback
+      this.stopAll().then(() => {
+        if (typeof timerCallback === 'function') {
+          timerCallback();
         }
-      }
-    }, 1000); // Check every second
+      });
+    });
   }
   
   /**
    * Stop timer
    */
   stopTimer() {
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-      this.timerInterval = null;
+    if (this.timerEvent) {
+      AudioClock.forContext(this.audioContext).cancel(this.timerEvent);
+      this.timerEvent = null;
     }
     
     this.timerDuration = 0;
-    this.timerStartTime = 0;
+    this.timerEndTime = 0;
     this.timerCallback = null;
   }
   
@@ -437,14 +926,303 @@ export default class AudioController {
    * @return {number} Remaining duration in milliseconds
    */
   getRemainingTime() {
-    if (!this.timerStartTime || !this.timerDuration) {
+    if (!this.timerEvent || !this.timerDuration) {
       return 0;
     }
     
-    const elapsed = Date.now() - this.timerStartTime;
-    const remaining = Math.max(0, this.timerDuration - elapsed);
+    const remaining = (this.timerEndTime - this.audioContext.currentTime) * 1000;
+    
+    return Math.max(0, remaining);
+  }
+  
+  /**
+   * Load a session program, replacing any existing one
+   * @param {SessionProgram|Object|null} program - Program instance or definition ({ name, stages }); null clears it
+   * @return {SessionProgram|null} The loaded program
+   */
+  loadProgram(program) {
+    this.stopProgram();
+    
+    if (!program) {
+      this.program = null;
+      return null;
+    }
+    
+    this.program = program instanceof SessionProgram ? program : new SessionProgram(program);
+    return this.program;
+  }
+  
+  /**
+   * Get the loaded session program
+   * @return {SessionProgram|null} The loaded program
+   */
+  getProgram() {
+    return this.program;
+  }
+  
+  /**
+   * Check whether a session program is currently playing
+   * @return {boolean} True if a program is running
+   */
+  isProgramRunning() {
+    return this.programEvent !== null;
+  }
+  
+  /**
+   * Start playing the loaded session program from its first stage.
+   * The current tracks are replaced by the tracks of each stage in turn.
+   * @param {Object} callbacks - Playback callbacks
+   * @param {Function} callbacks.onStageChange - Called with (stageIndex, stage, trackIds) when a stage begins
+   * @param {Function} callbacks.onComplete - Called when the program has finished
+   * @return {boolean} Success status
+   */
+  startProgram(callbacks = {}) {
+    if (!this.program || this.program.isEmpty()) {
+      console.error('No session program loaded');
+      return false;
+    }
+    
+    if (!this.isInitialized) {
+      if (!this.initialize()) {
+        return false;
+      }
+    }
+    
+    this.stopProgram();
+    
+    // Replace the current tracks with the first stage
+    for (const trackId of [...this.tracks.keys()]) {
+      this.removeTrack(trackId);
+    }
+    
+    const firstStage = this.program.stages[0];
+    this.programStageIndex = 0;
+    this.programTrackIds = this._createStageTracks(firstStage);
+    
+    this.startAll();
+    
+    this.programStartTime = this.audioContext.currentTime;
+    this.programCallbacks = callbacks;
+    this._notifyStageChange();
+    
+    // Change stages on the audio clock
+    this._scheduleProgramUpdate();
+    
+    return true;
+  }
+  
+  /**
+   * Stop following the session program. Tracks of the current stage keep playing.
+   */
+  stopProgram() {
+    if (this.programEvent) {
+      AudioClock.forContext(this.audioContext).cancel(this.programEvent);
+      this.programEvent = null;
+    }
+    
+    this.programStartTime = 0;
+    this.programStageIndex = -1;
+    this.programTrackIds = [];
+    this.programCallbacks = {};
+  }
+  
+  /**
+   * Get the current position within the running session program
+   * @return {number} Position in seconds (0 when no program is running)
+   */
+  getProgramPosition() {
+    if (!this.isProgramRunning()) return 0;
+    return Math.max(0, this.audioContext.currentTime - this.programStartTime);
+  }
+  
+  /**
+   * Get the state of the session program
+   * @return {Object} { isRunning, stageIndex, stage, position, stagePosition, totalDuration }
+   */
+  getProgramState() {
+    const totalDuration = this.program ? this.program.getTotalDuration() : 0;
+    const position = Math.min(this.getProgramPosition(), totalDuration);
+    const stage = this.programStageIndex >= 0 ? this.program.stages[this.programStageIndex] : null;
+    
+    return {
+      isRunning: this.isProgramRunning(),
+      stageIndex: this.programStageIndex,
+      stage,
+      position,
+      // The next stage is entered while its crossfade leads up to its start
+      stagePosition: stage ? Math.max(0, position - this.program.getStageStartTime(this.programStageIndex)) : 0,
+      totalDuration
+    };
+  }
+  
+  /**
+   * Jump to a position within the running session program
+   * @param {number} position - Program position in seconds
+   * @return {boolean} Success status
+   */
+  seekProgram(position) {
+    if (!this.isProgramRunning()) {
+      return false;
+    }
+    
+    const totalDuration = this.program.getTotalDuration();
+    const safePosition = Math.max(0, Math.min(totalDuration, position));
+    const { index, offset } = this.program.getStageAt(safePosition);
+    
+    this.programStartTime = this.audioContext.currentTime - safePosition;
+    
+    if (index !== this.programStageIndex) {
+      // Short crossfade so jumping between stages does not click
+      this._enterStage(index, offset, 0.5);
+    } else {
+      // Same stage: move the automation lanes of its tracks
+      this.programTrackIds.forEach(trackId => {
+        const track = this.tracks.get(trackId);
+        if (track) {
+          track.seekAutomation(offset);
+        }
+      });
+    }
+    
+    // The next stage change has moved
+    this._scheduleProgramUpdate();
+    
+    return true;
+  }
+  
+  /**
+   * Schedule a program update ahead of the next stage, so its crossfade ends
+   * as the stage starts, or ahead of the end of the program, so the fade-out
+   * ends with it
+   * @private
+   */
+  _scheduleProgramUpdate() {
+    const clock = AudioClock.forContext(this.audioContext);
+    
+    if (this.programEvent) {
+      clock.cancel(this.programEvent);
+    }
+    
+    const nextIndex = this.programStageIndex + 1;
+    const nextChange = nextIndex < this.program.stages.length ?
+      this.program.getStageStartTime(nextIndex) - this.program.stages[nextIndex].crossfade :
+      this.program.getTotalDuration() - this.fadeOutDuration;
+    
+    // The crossfade or fade-out plays over the end of the current stage, so it
+    // is cut short if that stage is shorter
+    const stageStart = this.program.getStageStartTime(this.programStageIndex);
+    
+    this.programEvent = clock.schedule(this.programStartTime + Math.max(nextChange, stageStart), () => {
+      this._updateProgram();
+      
+      // Keep going unless the program has ended
+      if (this.isProgramRunning()) {
+        this._scheduleProgramUpdate();
+      }
+    });
+  }
+  
+  /**
+   * Move to the next stage, or stop when the program is complete
+   * @private
+   */
+  _updateProgram() {
+    const nextIndex = this.programStageIndex + 1;
+    
+    if (nextIndex >= this.program.stages.length) {
+      // Program completed: fade out over what is left of it, then call the callback
+      const onComplete = this.programCallbacks.onComplete;
+      const remaining = this.program.getTotalDuration() - this.getProgramPosition();
+      
+      this.stopAll(Math.max(0, remaining)).then(() => {
+        if (typeof onComplete === 'function') {
+          onComplete();
+        }
+      });
+      return;
+    }
+    
+    // The offset is negative while the crossfade leads up to the stage start,
+    // and the crossfade is whatever is left of that lead (after a late event or a seek)
+    const offset = this.getProgramPosition() - this.program.getStageStartTime(nextIndex);
+    this._enterStage(nextIndex, offset, Math.max(0, -offset));
+  }
+  
+  /**
+   * Crossfade from the current stage's tracks to those of another stage
+   * @private
+   * @param {number} index - Stage index
+   * @param {number} offset - Position within the stage in seconds (negative before the stage starts)
+   * @param {number} crossfade - Crossfade duration in seconds
+   */
+  _enterStage(index, offset, crossfade) {
+    const stage = this.program.stages[index];
     
-    return remaining;
+    // Fade out and remove the tracks of the previous stage
+    this.programTrackIds.forEach(trackId => {
+      const track = this.tracks.get(trackId);
+      
+      if (track) {
+        track.stop(crossfade).then(() => this.removeTrack(trackId));
+      }
+    });
+    
+    // Fade in the tracks of the new stage
+    this.programStageIndex = index;
+    this.programTrackIds = this._createStageTracks(stage, crossfade);
+    
+    this.programTrackIds.forEach(trackId => {
+      const track = this.tracks.get(trackId);
+      track.start();
+      
+      if (offset !== 0) {
+        track.seekAutomation(offset);
+      }
+    });
+    
+    this._notifyStageChange();
+  }
+  
+  /**
+   * Create the tracks for a program stage
+   * @private
+   * @param {Object} stage - Program stage
+   * @param {number} fadeInDuration - Fade-in duration for the tracks (default: instance default)
+   * @return {Array<string>} IDs of the created tracks
+   */
+  _createStageTracks(stage, fadeInDuration = null) {
+    const trackIds = [];
+    
+    stage.tracks.forEach(trackConfig => {
+      // Copy the configuration so the stage itself is left untouched
+      const options = { ...trackConfig };
+      
+      if (fadeInDuration !== null) {
+        options.fadeInDuration = fadeInDuration;
+      }
+      
+      const trackId = this.createTrack(trackConfig.type, options);
+      
+      if (trackId) {
+        trackIds.push(trackId);
+      }
+    });
+    
+    return trackIds;
+  }
+  
+  /**
+   * Call the stage change callback for the current stage
+   * @private
+   */
+  _notifyStageChange() {
+    if (typeof this.programCallbacks.onStageChange === 'function') {
+      this.programCallbacks.onStageChange(
+        this.programStageIndex,
+        this.program.stages[this.programStageIndex],
+        [...this.programTrackIds]
+      );
+    }
   }
   
   /**
@@ -469,6 +1247,7 @@ export default class AudioController {
     
     // Clear tracks map
     this.tracks.clear();
+    this.sampleBuffers.clear();
     
     // Clean up audio exporter
     if (this.audioExporter) {
@@ -476,9 +1255,20 @@ export default class AudioController {
       this.audioExporter = null;
     }
     
-    // Disconnect master gain
-    if (this.masterGain) {
-      this.masterGain.disconnect();
+    // Release the media element
+    if (this.mediaElement) {
+      this.mediaElement.pause();
+      this.mediaElement.srcObject = null;
+      this.mediaElement = null;
+      this.mediaStreamDestination = null;
+      this.outputNode = null;
+    }
+    
+    // Disconnect the master bus
+    if (this.masterBus) {
+      this.masterBus.dispose();
+      this.masterBus = null;
+      this.masterGain = null;
     }
     
     // Close audio context
@@ -513,9 +1303,9 @@ export default class AudioController {
       
       // Set up recording
       if (this.audioExporter.isSupported && this.masterGain) {
-        // Pass the master gain node and all tracks for offline rendering
+        // Pass the master gain node, all tracks and the bus settings for offline rendering
         const tracks = Array.from(this.tracks.values());
-        this.audioExporter.setupRecording(this.masterGain, tracks);
+        this.audioExporter.setupRecording(this.masterGain, tracks, this.masterBus.getSettings());
       }
     } catch (error) {
       console.error('Failed to initialize AudioExporter:', error);
@@ -540,6 +1330,8 @@ export default class AudioController {
    * @param {Object} options.mp3Options - MP3 encoding options
    * @param {number} options.mp3Options.bitRate - MP3 bitrate in kbps (128, 192, 256, 320)
    * @param {string} options.mp3Options.quality - MP3 quality: 'low', 'medium', 'high'
+   * @param {number} options.seed - Noise seed for the export, overriding the tracks' own seeds (optional)
+   * @param {boolean} options.applyEarBalance - Render the ear balance into the export (default: false)
    * @param {Function} options.onProgress - Progress callback (receives a value from 0-100)
    * @param {Function} options.onComplete - Completion callback (receives the exported audio blob)
    * @param {Function} options.onError - Error callback (receives the error message)
@@ -582,6 +1374,8 @@ export default class AudioController {
       format: options.format || 'wav',
       filename: options.filename || '',
       mp3Options: options.mp3Options || null,
+      seed: Number.isInteger(options.seed) ? options.seed : null,
+      earBalance: options.applyEarBalance ? this.getEarBalance() : null,
       onProgress: options.onProgress || null,
       onComplete: (blob) => {
         this.isExporting = false;
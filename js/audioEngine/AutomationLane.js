@@ -0,0 +1,197 @@
+/**
+ * AutomationLane.js - Breakpoint automation for track parameters
+ *
+ * An automation lane describes how a single track parameter (for example
+ * carrierFrequency or beatFrequency) changes over the course of a session.
+ * It is built from breakpoints, each with a time (seconds from the start of
+ * the track), a target value and the curve used to reach that value from the
+ * previous breakpoint. The value holds before the first breakpoint and after
+ * the last one.
+ */
+
+export default class AutomationLane {
+  /**
+   * Create a new AutomationLane
+   * @param {Array<Object>} breakpoints - Initial breakpoints
+   * @param {number} breakpoints[].time - Time in seconds from the start of the track
+   * @param {number} breakpoints[].value - Parameter value at that time
+   * @param {string} breakpoints[].curve - Curve into this breakpoint: 'linear' or 'exponential' (default: 'linear')
+   */
+  constructor(breakpoints = []) {
+    this.breakpoints = [];
+    this.setBreakpoints(breakpoints);
+  }
+
+  /**
+   * Supported curve types
+   * @return {Array<string>} Curve names
+   */
+  static get CURVES() {
+    return ['linear', 'exponential'];
+  }
+
+  /**
+   * Replace all breakpoints
+   * @param {Array<Object>} breakpoints - Breakpoints ({ time, value, curve })
+   * @return {Array<Object>} The validated, time-sorted breakpoints
+   */
+  setBreakpoints(breakpoints = []) {
+    this.breakpoints = [];
+
+    if (Array.isArray(breakpoints)) {
+      breakpoints.forEach(breakpoint => {
+        if (breakpoint) {
+          this.addBreakpoint(breakpoint.time, breakpoint.value, breakpoint.curve);
+        }
+      });
+    }
+
+    return this.breakpoints;
+  }
+
+  /**
+   * Add a breakpoint, replacing any existing breakpoint at the same time
+   * @param {number} time - Time in seconds from the start of the track (must be >= 0)
+   * @param {number} value - Parameter value
+   * @param {string} curve - Curve into this breakpoint: 'linear' or 'exponential'
+   * @return {boolean} Whether the breakpoint was added
+   */
+  addBreakpoint(time, value, curve = 'linear') {
+    if (typeof time !== 'number' || isNaN(time) || time < 0) {
+      return false;
+    }
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      return false;
+    }
+
+    const breakpoint = {
+      time,
+      value,
+      curve: AutomationLane.CURVES.includes(curve) ? curve : 'linear'
+    };
+
+    // Keep breakpoints unique by time and sorted
+    this.breakpoints = this.breakpoints.filter(existing => existing.time !== time);
+    this.breakpoints.push(breakpoint);
+    this.breakpoints.sort((a, b) => a.time - b.time);
+
+    return true;
+  }
+
+  /**
+   * Remove a breakpoint by index
+   * @param {number} index - Breakpoint index
+   * @return {boolean} Whether a breakpoint was removed
+   */
+  removeBreakpoint(index) {
+    if (index < 0 || index >= this.breakpoints.length) {
+      return false;
+    }
+
+    this.breakpoints.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Check whether the lane has any breakpoints
+   * @return {boolean} True if the lane is empty
+   */
+  isEmpty() {
+    return this.breakpoints.length === 0;
+  }
+
+  /**
+   * Get the time of the last breakpoint
+   * @return {number} Lane duration in seconds
+   */
+  getDuration() {
+    if (this.isEmpty()) return 0;
+    return this.breakpoints[this.breakpoints.length - 1].time;
+  }
+
+  /**
+   * Check whether the segment between two breakpoints can ramp exponentially
+   * @private
+   * @param {number} fromValue - Value at the start of the segment
+   * @param {Object} breakpoint - Breakpoint at the end of the segment
+   * @return {boolean} True if an exponential ramp is possible
+   */
+  _isExponential(fromValue, breakpoint) {
+    // Exponential ramps are only defined between values of the same sign;
+    // fall back to linear for anything touching zero or crossing it
+    return breakpoint.curve === 'exponential' && fromValue > 0 && breakpoint.value > 0;
+  }
+
+  /**
+   * Get the value of the lane at a given time
+   * @param {number} time - Time in seconds from the start of the track
+   * @return {number|null} Parameter value, or null if the lane is empty
+   */
+  getValueAtTime(time) {
+    if (this.isEmpty()) return null;
+
+    const first = this.breakpoints[0];
+    const last = this.breakpoints[this.breakpoints.length - 1];
+
+    if (time <= first.time) return first.value;
+    if (time >= last.time) return last.value;
+
+    // Find the segment that contains the requested time
+    for (let i = 1; i < this.breakpoints.length; i++) {
+      const to = this.breakpoints[i];
+
+      if (time < to.time) {
+        const from = this.breakpoints[i - 1];
+        const ratio = (time - from.time) / (to.time - from.time);
+
+        if (this._isExponential(from.value, to)) {
+          return from.value * Math.pow(to.value / from.value, ratio);
+        }
+
+        return from.value + (to.value - from.value) * ratio;
+      }
+    }
+
+    return last.value;
+  }
+
+  /**
+   * Schedule the lane on an AudioParam
+   * @param {AudioParam} param - The parameter to automate
+   * @param {number} startTime - Context time that corresponds to lane position `offset`
+   * @param {number} offset - Lane position in seconds to start from (default: 0)
+   */
+  scheduleOn(param, startTime, offset = 0) {
+    if (this.isEmpty()) return;
+
+    let previousValue = this.getValueAtTime(offset);
+
+    param.cancelScheduledValues(startTime);
+    param.setValueAtTime(previousValue, startTime);
+
+    // Schedule every breakpoint that lies ahead of the current position;
+    // a ramp that is already under way continues from its interpolated value
+    this.breakpoints.forEach(breakpoint => {
+      if (breakpoint.time <= offset) return;
+
+      const when = startTime + (breakpoint.time - offset);
+
+      if (this._isExponential(previousValue, breakpoint)) {
+        param.exponentialRampToValueAtTime(breakpoint.value, when);
+      } else {
+        param.linearRampToValueAtTime(breakpoint.value, when);
+      }
+
+      previousValue = breakpoint.value;
+    });
+  }
+
+  /**
+   * Convert the lane to a plain array for storage
+   * @return {Array<Object>} Breakpoints ({ time, value, curve })
+   */
+  toJSON() {
+    return this.breakpoints.map(breakpoint => ({ ...breakpoint }));
+  }
+}
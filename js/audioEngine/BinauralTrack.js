@@ -16,6 +16,8 @@ export default class BinauralTrack extends Track {
    * @param {number} options.carrierFrequency - Base frequency in Hz (default: 200)
    * @param {number} options.beatFrequency - Beat frequency in Hz (default: 10)
    * @param {number} options.volume - Initial volume (0-1)
+   * @param {Object} options.automation - Breakpoints for 'carrierFrequency' and/or 'beatFrequency'
+   * @param {boolean} options.equalLoudness - Compensate the level for the carrier frequency (default: false)
    */
   constructor(audioContext, options = {}) {
     // Set track type for offline rendering
@@ -31,6 +33,13 @@ export default class BinauralTrack extends Track {
     this.leftOscillator = null;
     this.rightOscillator = null;
     
+    // Constant sources that drive the oscillator frequencies
+    // (left = carrier - beat / 2, right = carrier + beat / 2)
+    this.carrierSource = null;
+    this.beatSource = null;
+    this.leftBeatGain = null;
+    this.rightBeatGain = null;
+    
     // Create stereo panner for channel separation
     this.leftPanner = this.audioContext.createStereoPanner();
     this.rightPanner = this.audioContext.createStereoPanner();
@@ -39,12 +48,16 @@ export default class BinauralTrack extends Track {
     this.leftPanner.pan.value = -1;  // Full left
     this.rightPanner.pan.value = 1;  // Full right
     
-    // Connect panners to the gain node
-    this.leftPanner.connect(this.gainNode);
-    this.rightPanner.connect(this.gainNode);
+    // Connect panners to the gain node through the equal-loudness stage
+    const toneInput = this._initEqualLoudness(options.equalLoudness);
+    this.leftPanner.connect(toneInput);
+    this.rightPanner.connect(toneInput);
     
     // Calculate the left and right frequencies
     this._calculateFrequencies();
+    
+    // Carrier and beat frequency can follow automation lanes
+    this._initAutomation(['carrierFrequency', 'beatFrequency'], options.automation);
   }
   
   /**
@@ -71,15 +84,48 @@ export default class BinauralTrack extends Track {
     this.leftOscillator.type = 'sine';
     this.rightOscillator.type = 'sine';
     
-    // Set frequencies
-    this.leftOscillator.frequency.value = this.leftFrequency;
-    this.rightOscillator.frequency.value = this.rightFrequency;
+    // The frequencies are driven entirely by the constant sources below,
+    // so carrier and beat can be ramped or automated independently
+    this.leftOscillator.frequency.value = 0;
+    this.rightOscillator.frequency.value = 0;
+    
+    this.carrierSource = this.audioContext.createConstantSource();
+    this.carrierSource.offset.value = this.carrierFrequency;
+    this.carrierSource.connect(this.leftOscillator.frequency);
+    this.carrierSource.connect(this.rightOscillator.frequency);
+    this.loudnessCompensation.connectFrequency(this.carrierSource);
+    
+    this.beatSource = this.audioContext.createConstantSource();
+    this.beatSource.offset.value = this.beatFrequency;
+    
+    this.leftBeatGain = this.audioContext.createGain();
+    this.leftBeatGain.gain.value = -0.5;
+    this.rightBeatGain = this.audioContext.createGain();
+    this.rightBeatGain.gain.value = 0.5;
+    
+    this.beatSource.connect(this.leftBeatGain);
+    this.beatSource.connect(this.rightBeatGain);
+    this.leftBeatGain.connect(this.leftOscillator.frequency);
+    this.rightBeatGain.connect(this.rightOscillator.frequency);
     
     // Connect oscillators to panners
     this.leftOscillator.connect(this.leftPanner);
     this.rightOscillator.connect(this.rightPanner);
   }
   
+  /**
+   * Apply carrier and beat automation to the frequency sources
+   * @protected
+   * @param {number} startTime - Context time to start scheduling from
+   * @param {number} offset - Automation position at startTime in seconds
+   */
+  _applyAutomation(startTime, offset) {
+    if (!this.carrierSource || !this.beatSource) return;
+    
+    this._scheduleParameter('carrierFrequency', this.carrierSource.offset, startTime, offset);
+    this._scheduleParameter('beatFrequency', this.beatSource.offset, startTime, offset);
+  }
+  
   /**
    * Start the binaural beat with fade-in
    */
@@ -91,78 +137,122 @@ export default class BinauralTrack extends Track {
     
     // Start oscillators
     const now = this.audioContext.currentTime;
+    this.carrierSource.start(now);
+    this.beatSource.start(now);
     this.leftOscillator.start(now);
     this.rightOscillator.start(now);
     
-    // Call the parent class start method for fade-in
+    // Call the parent class start method for fade-in and automation
     super.start();
   }
   
+  /**
+   * Schedule the oscillators and frequency sources to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    [this.leftOscillator, this.rightOscillator, this.carrierSource, this.beatSource].forEach(source => {
+      if (source) {
+        source.stop(time);
+      }
+    });
+  }
+  
   /**
    * Stop the binaural beat with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
    * @return {Promise} Resolves when the track has stopped
    */
-  async stop() {
+  async stop(fadeOutTime = this.fadeOutDuration) {
     if (!this.isPlaying) return Promise.resolve();
     
     // Apply fade-out using parent method
-    await super.stop();
-    
-    // Stop and clean up oscillators
-    const now = this.audioContext.currentTime;
+    await super.stop(fadeOutTime);
     
+    // Clean up oscillators (they stopped at the end of the fade-out)
     if (this.leftOscillator) {
-      this.leftOscillator.stop(now);
       this.leftOscillator.disconnect();
       this.leftOscillator = null;
     }
     
     if (this.rightOscillator) {
-      this.rightOscillator.stop(now);
       this.rightOscillator.disconnect();
       this.rightOscillator = null;
     }
     
+    if (this.carrierSource) {
+      this.carrierSource.disconnect();
+      this.carrierSource = null;
+    }
+    
+    if (this.beatSource) {
+      this.beatSource.disconnect();
+      this.beatSource = null;
+    }
+    
+    if (this.leftBeatGain) {
+      this.leftBeatGain.disconnect();
+      this.leftBeatGain = null;
+    }
+    
+    if (this.rightBeatGain) {
+      this.rightBeatGain.disconnect();
+      this.rightBeatGain = null;
+    }
+    
     return Promise.resolve();
   }
   
+  /**
+   * Get the options that recreate this track
+   * @return {Object} Track options, including carrier and beat frequency
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      carrierFrequency: this.carrierFrequency,
+      beatFrequency: this.beatFrequency
+    };
+  }
+  
   /**
    * Update binaural track parameters
+   * While a parameter has an automation lane, new values are stored but the
+   * lane stays in control of playback.
    * @param {Object} params - Parameters to update
    * @param {number} params.carrierFrequency - New carrier frequency in Hz
    * @param {number} params.beatFrequency - New beat frequency in Hz
    * @param {number} params.volume - New volume level (0-1)
    */
   update(params = {}) {
-    let frequenciesChanged = false;
+    const now = this.audioContext.currentTime;
     
     // Update carrier frequency if provided
     if (typeof params.carrierFrequency === 'number') {
       this.carrierFrequency = params.carrierFrequency;
-      frequenciesChanged = true;
+      
+      if (this.isPlaying && this.carrierSource && !this.getAutomation('carrierFrequency')) {
+        // Apply smooth transition to new frequency
+        this.carrierSource.offset.setValueAtTime(this.carrierSource.offset.value, now);
+        this.carrierSource.offset.linearRampToValueAtTime(this.carrierFrequency, now + 0.1);
+      }
     }
     
     // Update beat frequency if provided
     if (typeof params.beatFrequency === 'number') {
       this.beatFrequency = params.beatFrequency;
-      frequenciesChanged = true;
-    }
-    
-    // If frequencies changed, recalculate and update oscillators if playing
-    if (frequenciesChanged) {
-      this._calculateFrequencies();
       
-      if (this.isPlaying && this.leftOscillator && this.rightOscillator) {
-        // Apply smooth transition to new frequencies
-        const now = this.audioContext.currentTime;
-        this.leftOscillator.frequency.setValueAtTime(this.leftOscillator.frequency.value, now);
-        this.leftOscillator.frequency.linearRampToValueAtTime(this.leftFrequency, now + 0.1);
-        
-        this.rightOscillator.frequency.setValueAtTime(this.rightOscillator.frequency.value, now);
-        this.rightOscillator.frequency.linearRampToValueAtTime(this.rightFrequency, now + 0.1);
+      if (this.isPlaying && this.beatSource && !this.getAutomation('beatFrequency')) {
+        // Apply smooth transition to new beat frequency
+        this.beatSource.offset.setValueAtTime(this.beatSource.offset.value, now);
+        this.beatSource.offset.linearRampToValueAtTime(this.beatFrequency, now + 0.1);
       }
     }
     
+    // Keep the derived left/right frequencies in sync
+    this._calculateFrequencies();
+    
     // Call parent update for common parameters like volume
     super.update(params);
   }
@@ -0,0 +1,223 @@
+/**
+ * EqualLoudness.js - Equal-loudness compensation for tonal tracks
+ *
+ * At the same level, a 100 Hz tone sounds much quieter than a 400 Hz tone.
+ * This class scales a tonal track by the ISO 226:2003 equal-loudness contour
+ * at its carrier frequency, so moving the carrier keeps the perceived
+ * loudness instead of the signal level. Tracks keep their level at the
+ * reference frequency; lower carriers are boosted (within a limit) and
+ * higher ones attenuated.
+ *
+ * The carrier frequency arrives as a signal (the track's carrier source),
+ * and a wave shaper turns it into the compensation gain on the audio thread:
+ *
+ *   frequencyInput (Hz / MAX_FREQUENCY) -> shaper -> depth -> output.gain
+ *   input -> output
+ *
+ * The shaper outputs the gain minus 1, so the depth gain can switch the
+ * compensation on and off smoothly around unity. Because the gain follows
+ * the carrier sample by sample, it tracks ramps and automation lanes, and
+ * renders the same in an OfflineAudioContext.
+ */
+
+// ISO 226:2003 parameters: frequency (Hz), exponent of loudness perception
+// (alpha_f), magnitude of the linear transfer function (L_U, dB) and
+// threshold of hearing (T_f, dB SPL)
+const ISO_226 = {
+  frequencies: [
+    20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500,
+    630, 800, 1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500
+  ],
+  alpha: [
+    0.532, 0.506, 0.480, 0.455, 0.432, 0.409, 0.387, 0.367, 0.349, 0.330, 0.315, 0.301, 0.288, 0.276, 0.267,
+    0.259, 0.253, 0.250, 0.246, 0.244, 0.243, 0.243, 0.243, 0.242, 0.242, 0.245, 0.254, 0.271, 0.301
+  ],
+  transfer: [
+    -31.6, -27.2, -23.0, -19.1, -15.9, -13.0, -10.3, -8.1, -6.2, -4.5, -3.1, -2.0, -1.1, -0.4, 0.0,
+    0.3, 0.5, 0.0, -2.7, -4.1, -1.0, 1.7, 2.5, 1.2, -2.1, -7.1, -11.2, -10.7, -3.1
+  ],
+  threshold: [
+    78.5, 68.7, 59.5, 51.1, 44.0, 37.5, 31.5, 26.5, 22.1, 17.9, 14.4, 11.4, 8.6, 6.2, 4.4,
+    3.0, 2.2, 2.4, 3.5, 1.7, -1.3, -4.2, -6.0, -5.4, -1.5, 6.0, 12.6, 13.9, 12.3
+  ]
+};
+
+// Loudness level of the contour (a comfortable listening level)
+const REFERENCE_PHON = 60;
+
+// Carrier frequency at which the compensation is 0 dB (the default carrier)
+const REFERENCE_FREQUENCY = 200;
+
+// Largest boost for low carriers (dB); attenuation is not limited
+const MAX_BOOST_DB = 12;
+
+// Highest frequency the shaper covers, and its resolution
+const MAX_FREQUENCY = 12500;
+const CURVE_SIZE = 16384;
+
+// Time constant for switching the compensation on or off (seconds)
+const SWITCH_TIME_CONSTANT = 0.05;
+
+// Shaper curve, built on first use and shared by all instances
+let compensationCurve = null;
+
+export default class EqualLoudness {
+  /**
+   * Create a new EqualLoudness stage
+   * @param {BaseAudioContext} audioContext - The Web Audio API context (live or offline)
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.enabled - Whether the compensation is applied (default: false)
+   */
+  constructor(audioContext, options = {}) {
+    if (!audioContext) {
+      throw new Error('AudioContext is required to create an EqualLoudness stage');
+    }
+    
+    this.audioContext = audioContext;
+    this.enabled = !!options.enabled;
+    
+    // Signal path: the output gain is 1 plus the shaped compensation
+    this.input = this.audioContext.createGain();
+    this.output = this.audioContext.createGain();
+    this.output.gain.value = 1;
+    this.input.connect(this.output);
+    
+    // Control path: carrier frequency in, gain offset out
+    this.frequencyInput = this.audioContext.createGain();
+    this.frequencyInput.gain.value = 1 / MAX_FREQUENCY;
+    
+    this.shaper = this.audioContext.createWaveShaper();
+    this.shaper.curve = EqualLoudness._getCurve();
+    
+    this.depthGain = this.audioContext.createGain();
+    this.depthGain.gain.value = this.enabled ? 1 : 0;
+    
+    this.frequencyInput.connect(this.shaper);
+    this.shaper.connect(this.depthGain);
+    this.depthGain.connect(this.output.gain);
+  }
+  
+  /**
+   * Get the sound pressure level of the equal-loudness contour at a frequency
+   * @param {number} frequency - Frequency in Hz (held at the ends of the 20 Hz - 12.5 kHz range)
+   * @param {number} phon - Loudness level of the contour (default: 60)
+   * @return {number} Sound pressure level in dB
+   */
+  static getLevel(frequency, phon = REFERENCE_PHON) {
+    const { frequencies } = ISO_226;
+    const last = frequencies.length - 1;
+    
+    if (!(frequency > frequencies[0])) return EqualLoudness._getTableLevel(0, phon);
+    if (frequency >= frequencies[last]) return EqualLoudness._getTableLevel(last, phon);
+    
+    // Interpolate between the table frequencies on a log frequency scale
+    let index = 1;
+    while (frequencies[index] < frequency) {
+      index++;
+    }
+    
+    const ratio = Math.log(frequency / frequencies[index - 1]) / Math.log(frequencies[index] / frequencies[index - 1]);
+    const lower = EqualLoudness._getTableLevel(index - 1, phon);
+    const upper = EqualLoudness._getTableLevel(index, phon);
+    
+    return lower + (upper - lower) * ratio;
+  }
+  
+  /**
+   * Get the contour level at one of the ISO 226 table frequencies
+   * @private
+   * @param {number} index - Table index
+   * @param {number} phon - Loudness level of the contour
+   * @return {number} Sound pressure level in dB
+   */
+  static _getTableLevel(index, phon) {
+    const alpha = ISO_226.alpha[index];
+    const transfer = ISO_226.transfer[index];
+    const threshold = ISO_226.threshold[index];
+    
+    const loudness = 4.47e-3 * (Math.pow(10, 0.025 * phon) - 1.15) +
+      Math.pow(0.4 * Math.pow(10, (threshold + transfer) / 10 - 9), alpha);
+    
+    return 10 / alpha * Math.log10(loudness) - transfer + 94;
+  }
+  
+  /**
+   * Get the compensation gain for a carrier frequency
+   * @param {number} frequency - Carrier frequency in Hz
+   * @return {number} Linear gain (1 at the reference frequency)
+   */
+  static getGain(frequency) {
+    const decibels = EqualLoudness.getLevel(frequency) - EqualLoudness.getLevel(REFERENCE_FREQUENCY);
+    return Math.pow(10, Math.min(MAX_BOOST_DB, decibels) / 20);
+  }
+  
+  /**
+   * Get the wave shaper curve that maps the scaled carrier frequency to the
+   * gain offset (gain - 1)
+   * @private
+   * @return {Float32Array} Shaper curve
+   */
+  static _getCurve() {
+    if (!compensationCurve) {
+      compensationCurve = new Float32Array(CURVE_SIZE);
+      
+      for (let i = 0; i < CURVE_SIZE; i++) {
+        const frequency = ((i / (CURVE_SIZE - 1)) * 2 - 1) * MAX_FREQUENCY;
+        compensationCurve[i] = EqualLoudness.getGain(frequency) - 1;
+      }
+    }
+    
+    return compensationCurve;
+  }
+  
+  /**
+   * Check whether the compensation is applied
+   * @return {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+  
+  /**
+   * Switch the compensation on or off
+   * @param {boolean} enabled - Whether to apply the compensation
+   * @param {boolean} immediate - Switch without smoothing
+   */
+  setEnabled(enabled, immediate = false) {
+    this.enabled = !!enabled;
+    const depth = this.enabled ? 1 : 0;
+    
+    if (immediate) {
+      this.depthGain.gain.value = depth;
+    } else {
+      this.depthGain.gain.setTargetAtTime(depth, this.audioContext.currentTime, SWITCH_TIME_CONSTANT);
+    }
+  }
+  
+  /**
+   * Drive the compensation from a carrier frequency signal
+   * @param {AudioNode} source - Node whose output is the carrier frequency in Hz
+   */
+  connectFrequency(source) {
+    source.connect(this.frequencyInput);
+  }
+  
+  /**
+   * Connect the output to a destination
+   * @param {AudioNode} destination - Destination node
+   */
+  connect(destination) {
+    this.output.connect(destination);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.input.disconnect();
+    this.output.disconnect();
+    this.frequencyInput.disconnect();
+    this.shaper.disconnect();
+    this.depthGain.disconnect();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * FadeCurve.js - Fade curve shapes for the Binaural Beats PWA
+ *
+ * A linear gain ramp sounds abrupt at the quiet end, because hearing is
+ * logarithmic. This class schedules fades with one of several shapes:
+ * - linear: a straight gain ramp
+ * - exponential: a straight ramp in dB over a 60 dB range
+ * - equal-power: a quarter sine (constant power when crossfading)
+ * - s-curve: a raised cosine that starts and ends gently
+ *
+ * Curved fades are scheduled with setValueCurveAtTime, so they run on the
+ * audio thread and render identically in an OfflineAudioContext.
+ */
+
+// Range of the exponential fade in dB
+const EXPONENTIAL_RANGE_DB = 60;
+
+// Curve resolution (points per second, and limits)
+const POINTS_PER_SECOND = 200;
+const MIN_POINTS = 2;
+const MAX_POINTS = 1024;
+
+export default class FadeCurve {
+  /**
+   * Available fade curve types
+   * @return {Array<string>} Curve types
+   */
+  static get TYPES() {
+    return ['linear', 'exponential', 'equal-power', 's-curve'];
+  }
+  
+  /**
+   * The curve used when none is specified
+   * @return {string} Curve type
+   */
+  static get DEFAULT() {
+    return 'linear';
+  }
+  
+  /**
+   * Check whether a curve type is supported
+   * @param {string} type - Curve type
+   * @return {boolean} True if the type is supported
+   */
+  static isValid(type) {
+    return FadeCurve.TYPES.includes(type);
+  }
+  
+  /**
+   * Get the shape of a fade-in at a point in the fade
+   * @param {string} type - Curve type
+   * @param {number} progress - Position in the fade (0-1)
+   * @return {number} Gain relative to the fade range (0-1)
+   */
+  static getShape(type, progress) {
+    const p = Math.max(0, Math.min(1, progress));
+    
+    switch (type) {
+      case 'exponential': {
+        // Equal dB steps, offset so the fade starts from true silence
+        const range = Math.pow(10, EXPONENTIAL_RANGE_DB / 20);
+        return (Math.pow(range, p) - 1) / (range - 1);
+      }
+      case 'equal-power':
+        return Math.sin(p * Math.PI / 2);
+      case 's-curve':
+        return (1 - Math.cos(p * Math.PI)) / 2;
+      default:
+        return p;
+    }
+  }
+  
+  /**
+   * Get the gain at a point in a fade. A fade-out is the time-reversed
+   * fade-in, so e.g. an exponential fade-out drops quickly in level and
+   * then tails off into silence.
+   * @param {string} type - Curve type
+   * @param {number} from - Gain at the start of the fade
+   * @param {number} to - Gain at the end of the fade
+   * @param {number} progress - Position in the fade (0-1)
+   * @return {number} Gain
+   */
+  static getValue(type, from, to, progress) {
+    if (to >= from) {
+      return from + (to - from) * FadeCurve.getShape(type, progress);
+    }
+    
+    return to + (from - to) * FadeCurve.getShape(type, 1 - progress);
+  }
+  
+  /**
+   * Schedule a fade on an AudioParam. Call FadeCurve.cancel() first if
+   * other automation may overlap the fade.
+   * @param {AudioParam} param - The parameter to fade
+   * @param {number} from - Gain at the start of the fade
+   * @param {number} to - Gain at the end of the fade
+   * @param {number} startTime - Context time at which the fade starts
+   * @param {number} duration - Fade duration in seconds
+   * @param {string} type - Curve type (default: linear)
+   */
+  static schedule(param, from, to, startTime, duration, type = FadeCurve.DEFAULT) {
+    if (!(duration > 0)) {
+      param.setValueAtTime(to, startTime);
+      return;
+    }
+    
+    if (!FadeCurve.isValid(type) || type === 'linear' || from === to) {
+      param.setValueAtTime(from, startTime);
+      param.linearRampToValueAtTime(to, startTime + duration);
+      return;
+    }
+    
+    const length = Math.max(MIN_POINTS, Math.min(MAX_POINTS, Math.ceil(duration * POINTS_PER_SECOND) + 1));
+    const curve = new Float32Array(length);
+    
+    for (let i = 0; i < length; i++) {
+      curve[i] = FadeCurve.getValue(type, from, to, i / (length - 1));
+    }
+    
+    param.setValueCurveAtTime(curve, startTime, duration);
+  }
+  
+  /**
+   * Cancel scheduled changes from a time on, including a fade that is
+   * already under way. setValueCurveAtTime throws if another change is
+   * scheduled inside a running curve, so use this instead of
+   * cancelScheduledValues before rescheduling a faded parameter.
+   * @param {AudioParam} param - The parameter
+   * @param {number} time - Context time from which to cancel
+   */
+  static cancel(param, time) {
+    if (typeof param.cancelAndHoldAtTime === 'function') {
+      param.cancelAndHoldAtTime(time);
+    } else {
+      // Without cancelAndHoldAtTime a running curve can only be removed with
+      // everything else; callers set the current value again right after
+      param.cancelScheduledValues(0);
+    }
+  }
+}
\ No newline at end of file
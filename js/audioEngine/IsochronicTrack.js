@@ -15,7 +15,12 @@ export default class IsochronicTrack extends Track {
    * @param {Object} options - Configuration options
    * @param {number} options.carrierFrequency - Tone frequency in Hz (default: 200)
    * @param {number} options.beatFrequency - Beat frequency in Hz (default: 7)
+   * @param {string} options.pulseShape - Pulse envelope: 'square', 'sine', 'triangle', or 'ramp' (default: 'square')
+   * @param {number} options.dutyCycle - Fraction of each cycle the pulse is on (0.1-1, default: 0.5)
+   * @param {number} options.modulationDepth - How far the tone drops between pulses (0-1, default: 1)
    * @param {number} options.volume - Initial volume (0-1)
+   * @param {Object} options.automation - Breakpoints for 'carrierFrequency' and/or 'beatFrequency'
+   * @param {boolean} options.equalLoudness - Compensate the level for the carrier frequency (default: false)
    */
   constructor(audioContext, options = {}) {
     // Set track type for offline rendering
@@ -27,15 +32,101 @@ export default class IsochronicTrack extends Track {
     this.carrierFrequency = options.carrierFrequency || 200;
     this.beatFrequency = options.beatFrequency || 7;
     
+    // Pulse envelope settings
+    this.pulseShape = IsochronicTrack.PULSE_SHAPES.includes(options.pulseShape) ? options.pulseShape : 'square';
+    this.dutyCycle = typeof options.dutyCycle === 'number' ?
+      Math.max(0.1, Math.min(1, options.dutyCycle)) : 0.5;
+    this.modulationDepth = typeof options.modulationDepth === 'number' ?
+      Math.max(0, Math.min(1, options.modulationDepth)) : 1;
+    
     // Create oscillator
     this.oscillator = null;
     
+    // Constant source that drives the oscillator frequency
+    this.carrierSource = null;
+    
     // Create a gain node for the amplitude modulation (pulsing effect)
     this.modulationGain = this.audioContext.createGain();
-    this.modulationGain.connect(this.gainNode);
+    this.modulationGain.connect(this._initEqualLoudness(options.equalLoudness));
     
-    // LFO (Low Frequency Oscillator) for the pulsing effect
+    // LFO (Low Frequency Oscillator) for the pulsing effect, and the
+    // wave shaper that turns its phase into the pulse envelope
     this.lfo = null;
+    this.pulseShaper = null;
+    
+    // Carrier and beat frequency can follow automation lanes
+    this._initAutomation(['carrierFrequency', 'beatFrequency'], options.automation);
+  }
+  
+  /**
+   * Supported pulse envelopes
+   * @return {Array<string>} Pulse shape names
+   */
+  static get PULSE_SHAPES() {
+    return ['square', 'sine', 'triangle', 'ramp'];
+  }
+  
+  /**
+   * Get the pulse envelope at a point within the pulse
+   * @private
+   * @param {string} shape - Pulse shape
+   * @param {number} position - Position within the pulse (0-1)
+   * @return {number} Envelope value (0-1)
+   */
+  static _pulseEnvelope(shape, position) {
+    switch (shape) {
+      case 'sine':
+        // Raised cosine: smooth swell and decay
+        return 0.5 - 0.5 * Math.cos(2 * Math.PI * position);
+      case 'triangle':
+        return 1 - Math.abs(2 * position - 1);
+      case 'ramp': {
+        // Short attack followed by a linear decay
+        const attack = 0.05;
+        return position < attack ? position / attack : (1 - position) / (1 - attack);
+      }
+      case 'square':
+      default: {
+        // Raised-cosine edges over 10% of the pulse on each side avoid clicks
+        const edge = 0.1;
+        if (position < edge) {
+          return 0.5 - 0.5 * Math.cos(Math.PI * position / edge);
+        }
+        if (position > 1 - edge) {
+          return 0.5 - 0.5 * Math.cos(Math.PI * (1 - position) / edge);
+        }
+        return 1;
+      }
+    }
+  }
+  
+  /**
+   * Create the wave shaper curve that turns a sawtooth LFO into the pulse envelope.
+   * The curve maps the LFO value (-1 to 1) to the gain of the tone, which stays
+   * between 1 - depth and 1, so the gain parameter never goes negative.
+   * @param {string} shape - Pulse shape: 'square', 'sine', 'triangle', or 'ramp'
+   * @param {number} dutyCycle - Fraction of each cycle the pulse is on (0.1-1)
+   * @param {number} depth - Modulation depth (0-1)
+   * @param {number} size - Number of curve points (default: 4096)
+   * @return {Float32Array} Wave shaper curve
+   */
+  static createPulseCurve(shape, dutyCycle, depth, size = 4096) {
+    const curve = new Float32Array(size);
+    
+    for (let i = 0; i < size; i++) {
+      const x = (i / (size - 1)) * 2 - 1;
+      
+      // A sawtooth oscillator starts at 0 and rises to 1 before wrapping to -1,
+      // so shifting by half a cycle makes the pulse begin when the LFO starts
+      const phase = x >= 0 ? x / 2 : x / 2 + 1;
+      
+      const envelope = phase < dutyCycle ?
+        IsochronicTrack._pulseEnvelope(shape, phase / dutyCycle) : 0;
+      
+      curve[i] = 1 - depth + depth * envelope;
+    }
+    
+    return curve;
   }
   
   /**
@@ -46,33 +137,59 @@ export default class IsochronicTrack extends Track {
     // Create carrier oscillator
     this.oscillator = this.audioContext.createOscillator();
     this.oscillator.type = 'sine';
-    this.oscillator.frequency.value = this.carrierFrequency;
     this.oscillator.connect(this.modulationGain);
     
-    // Create LFO for amplitude modulation
+    // The frequency is driven by a constant source, which also drives the
+    // equal-loudness compensation
+    this.oscillator.frequency.value = 0;
+    this.carrierSource = this.audioContext.createConstantSource();
+    this.carrierSource.offset.value = this.carrierFrequency;
+    this.carrierSource.connect(this.oscillator.frequency);
+    this.loudnessCompensation.connectFrequency(this.carrierSource);
+    
+    // Create LFO for amplitude modulation; its sawtooth acts as a phase
+    // ramp for the pulse wave shaper
     this.lfo = this.audioContext.createOscillator();
-    this.lfo.type = 'square'; // Square wave for sharp on/off pulsing
+    this.lfo.type = 'sawtooth';
     this.lfo.frequency.value = this.beatFrequency;
     
-    // Create gain node for LFO
-    this.lfoGain = this.audioContext.createGain();
-    this.lfoGain.gain.value = 1; // Full modulation depth
-    
-    // Connect LFO to its gain node
-    this.lfo.connect(this.lfoGain);
+    // The wave shaper output is the complete modulation gain
+    this.modulationGain.gain.value = 0;
+    this._connectPulseShaper();
+  }
+  
+  /**
+   * Connect the LFO to the modulation gain through a wave shaper
+   * built from the current pulse settings
+   * @private
+   */
+  _connectPulseShaper() {
+    const previousShaper = this.pulseShaper;
     
-    // Connect LFO gain to modulation gain
-    this.lfoGain.connect(this.modulationGain.gain);
+    this.pulseShaper = this.audioContext.createWaveShaper();
+    this.pulseShaper.curve = IsochronicTrack.createPulseCurve(this.pulseShape, this.dutyCycle, this.modulationDepth);
     
-    // Set the modulation gain to 0 initially
-    this.modulationGain.gain.value = 0;
+    this.lfo.connect(this.pulseShaper);
+    this.pulseShaper.connect(this.modulationGain.gain);
     
-    // Schedule the modulation to oscillate between 0 and 1
-    const now = this.audioContext.currentTime;
-    this.modulationGain.gain.setValueAtTime(0, now);
+    // Swap out the previous shaper once the new one is connected
+    if (previousShaper) {
+      this.lfo.disconnect(previousShaper);
+      previousShaper.disconnect();
+    }
+  }
+  
+  /**
+   * Apply carrier and beat automation to the carrier source and LFO
+   * @protected
+   * @param {number} startTime - Context time to start scheduling from
+   * @param {number} offset - Automation position at startTime in seconds
+   */
+  _applyAutomation(startTime, offset) {
+    if (!this.carrierSource || !this.lfo) return;
     
-    // The LFO will automatically modulate between 0 and 1
-    // due to the square wave and the connection to the gain parameter
+    this._scheduleParameter('carrierFrequency', this.carrierSource.offset, startTime, offset);
+    this._scheduleParameter('beatFrequency', this.lfo.frequency, startTime, offset);
   }
   
   /**
@@ -84,73 +201,109 @@ export default class IsochronicTrack extends Track {
     // Create new oscillator and LFO
     this._createOscillator();
     
-    // Start oscillator and LFO
+    // Start oscillator, carrier source and LFO
     const now = this.audioContext.currentTime;
+    this.carrierSource.start(now);
     this.oscillator.start(now);
     this.lfo.start(now);
     
-    // Call the parent class start method for fade-in
+    // Call the parent class start method for fade-in and automation
     super.start();
   }
   
+  /**
+   * Schedule the oscillator, carrier source and LFO to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    [this.oscillator, this.carrierSource, this.lfo].forEach(source => {
+      if (source) {
+        source.stop(time);
+      }
+    });
+  }
+  
   /**
    * Stop the isochronic beat with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
    * @return {Promise} Resolves when the track has stopped
    */
-  async stop() {
+  async stop(fadeOutTime = this.fadeOutDuration) {
     if (!this.isPlaying) return Promise.resolve();
     
     // Apply fade-out using parent method
-    await super.stop();
-    
-    // Stop and clean up oscillator and LFO
-    const now = this.audioContext.currentTime;
+    await super.stop(fadeOutTime);
     
+    // Clean up oscillator, carrier source and LFO (they stopped at the end of the fade-out)
     if (this.oscillator) {
-      this.oscillator.stop(now);
       this.oscillator.disconnect();
       this.oscillator = null;
     }
     
+    if (this.carrierSource) {
+      this.carrierSource.disconnect();
+      this.carrierSource = null;
+    }
+    
     if (this.lfo) {
-      this.lfo.stop(now);
       this.lfo.disconnect();
       this.lfo = null;
     }
     
-    if (this.lfoGain) {
-      this.lfoGain.disconnect();
-      this.lfoGain = null;
+    if (this.pulseShaper) {
+      this.pulseShaper.disconnect();
+      this.pulseShaper = null;
     }
     
     return Promise.resolve();
   }
   
+  /**
+   * Get the options that recreate this track
+   * @return {Object} Track options, including frequencies and pulse settings
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      carrierFrequency: this.carrierFrequency,
+      beatFrequency: this.beatFrequency,
+      pulseShape: this.pulseShape,
+      dutyCycle: this.dutyCycle,
+      modulationDepth: this.modulationDepth
+    };
+  }
+  
   /**
    * Update isochronic track parameters
+   * While a parameter has an automation lane, new values are stored but the
+   * lane stays in control of playback.
    * @param {Object} params - Parameters to update
    * @param {number} params.carrierFrequency - New carrier frequency in Hz
    * @param {number} params.beatFrequency - New beat frequency in Hz
+   * @param {string} params.pulseShape - New pulse envelope
+   * @param {number} params.dutyCycle - New duty cycle (0.1-1)
+   * @param {number} params.modulationDepth - New modulation depth (0-1)
    * @param {number} params.volume - New volume level (0-1)
    */
   update(params = {}) {
     // Update carrier frequency if provided
-    if (typeof params.carrierFrequency === 'number' && this.oscillator) {
+    if (typeof params.carrierFrequency === 'number') {
       this.carrierFrequency = params.carrierFrequency;
       
-      if (this.isPlaying) {
+      if (this.isPlaying && this.carrierSource && !this.getAutomation('carrierFrequency')) {
         // Apply smooth transition to new frequency
         const now = this.audioContext.currentTime;
-        this.oscillator.frequency.setValueAtTime(this.oscillator.frequency.value, now);
-        this.oscillator.frequency.linearRampToValueAtTime(this.carrierFrequency, now + 0.1);
+        this.carrierSource.offset.setValueAtTime(this.carrierSource.offset.value, now);
+        this.carrierSource.offset.linearRampToValueAtTime(this.carrierFrequency, now + 0.1);
       }
     }
     
     // Update beat frequency if provided
-    if (typeof params.beatFrequency === 'number' && this.lfo) {
+    if (typeof params.beatFrequency === 'number') {
       this.beatFrequency = params.beatFrequency;
       
-      if (this.isPlaying) {
+      if (this.isPlaying && this.lfo && !this.getAutomation('beatFrequency')) {
         // Apply smooth transition to new beat frequency
         const now = this.audioContext.currentTime;
         this.lfo.frequency.setValueAtTime(this.lfo.frequency.value, now);
@@ -158,6 +311,28 @@ export default class IsochronicTrack extends Track {
       }
     }
     
+    // Update the pulse envelope if any of its settings changed
+    let pulseChanged = false;
+    
+    if (IsochronicTrack.PULSE_SHAPES.includes(params.pulseShape) && params.pulseShape !== this.pulseShape) {
+      this.pulseShape = params.pulseShape;
+      pulseChanged = true;
+    }
+    
+    if (typeof params.dutyCycle === 'number') {
+      this.dutyCycle = Math.max(0.1, Math.min(1, params.dutyCycle));
+      pulseChanged = true;
+    }
+    
+    if (typeof params.modulationDepth === 'number') {
+      this.modulationDepth = Math.max(0, Math.min(1, params.modulationDepth));
+      pulseChanged = true;
+    }
+    
+    if (pulseChanged && this.isPlaying && this.lfo) {
+      this._connectPulseShaper();
+    }
+    
     // Call parent update for common parameters like volume
     super.update(params);
   }
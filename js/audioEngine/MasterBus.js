@@ -0,0 +1,300 @@
+/**
+ * MasterBus.js - Master bus for the Binaural Beats PWA
+ *
+ * Every track is routed into the master bus, which applies an optional
+ * three-band EQ, a look-ahead limiter that keeps the summed tracks from
+ * clipping, the master volume, and a per-ear gain that compensates for
+ * asymmetric hearing (ear balance):
+ *
+ *   input -> low shelf -> mid peak -> high shelf -> limiter -> volume -> output
+ *   output -> split -> left/right gain -> merge -> destination
+ *
+ * The analysers tap the output before the ear balance, so they show the
+ * signal as the tracks produce it.
+ *
+ * The same class is used by AudioExporter to build the bus in the offline
+ * context, so exports are processed exactly like live playback.
+ */
+
+export default class MasterBus {
+  /**
+   * Create a new MasterBus
+   * @param {BaseAudioContext} audioContext - The Web Audio API context (live or offline)
+   * @param {Object} options - Configuration options
+   * @param {Object} options.eq - EQ gains in dB: { low, mid, high } (default: all 0)
+   * @param {boolean} options.limiter - Whether the limiter is enabled (default: true)
+   * @param {number} options.volume - Master volume (0-1, default: 1)
+   * @param {Object} options.balance - Ear balance gains in dB: { left, right } (default: both 0)
+   */
+  constructor(audioContext, options = {}) {
+    if (!audioContext) {
+      throw new Error('AudioContext is required to create a MasterBus');
+    }
+    
+    this.audioContext = audioContext;
+    
+    // Input that all tracks connect to
+    this.input = this.audioContext.createGain();
+    
+    // Three-band EQ
+    this.eqLow = this.audioContext.createBiquadFilter();
+    this.eqLow.type = 'lowshelf';
+    this.eqLow.frequency.value = 250;
+    
+    this.eqMid = this.audioContext.createBiquadFilter();
+    this.eqMid.type = 'peaking';
+    this.eqMid.frequency.value = 1000;
+    this.eqMid.Q.value = 0.7;
+    
+    this.eqHigh = this.audioContext.createBiquadFilter();
+    this.eqHigh.type = 'highshelf';
+    this.eqHigh.frequency.value = 4000;
+    
+    // Limiter: a hard-kneed, high-ratio compressor. The compressor delays its
+    // input by a few milliseconds, so it reacts to peaks before they pass.
+    this.limiter = this.audioContext.createDynamicsCompressor();
+    this.limiter.threshold.value = -3;
+    this.limiter.knee.value = 0;
+    this.limiter.ratio.value = 20;
+    this.limiter.attack.value = 0.003;
+    this.limiter.release.value = 0.25;
+    
+    // Master volume (also the bus output)
+    this.output = this.audioContext.createGain();
+    this.output.gain.value = typeof options.volume === 'number' ?
+      Math.max(0, Math.min(1, options.volume)) : 1;
+    
+    // Always stereo, so mono sources reach both ears (and both analysers)
+    this.output.channelCount = 2;
+    this.output.channelCountMode = 'explicit';
+    
+    // Ear balance: a gain per channel after the master volume
+    this.balanceSplitter = this.audioContext.createChannelSplitter(2);
+    this.balanceLeft = this.audioContext.createGain();
+    this.balanceRight = this.audioContext.createGain();
+    this.balanceMerger = this.audioContext.createChannelMerger(2);
+    
+    this.output.connect(this.balanceSplitter);
+    this.balanceSplitter.connect(this.balanceLeft, 0);
+    this.balanceSplitter.connect(this.balanceRight, 1);
+    this.balanceLeft.connect(this.balanceMerger, 0, 0);
+    this.balanceRight.connect(this.balanceMerger, 0, 1);
+    
+    this.input.connect(this.eqLow);
+    this.eqLow.connect(this.eqMid);
+    this.eqMid.connect(this.eqHigh);
+    
+    this.limiterEnabled = options.limiter !== false;
+    this._connectLimiter();
+    
+    // Analyser taps (created on demand by getAnalysers)
+    this.analysers = null;
+    
+    // EQ gains in dB, applied immediately so an offline render starts with them
+    this.eq = { low: 0, mid: 0, high: 0 };
+    this.setEQ(options.eq || {}, true);
+    
+    // Ear balance gains in dB
+    this.balance = { left: 0, right: 0 };
+    this.setBalance(options.balance || {}, true);
+  }
+  
+  /**
+   * Route the EQ output through or around the limiter
+   * @private
+   */
+  _connectLimiter() {
+    this.eqHigh.disconnect();
+    this.limiter.disconnect();
+    
+    if (this.limiterEnabled) {
+      this.eqHigh.connect(this.limiter);
+      this.limiter.connect(this.output);
+    } else {
+      this.eqHigh.connect(this.output);
+    }
+  }
+  
+  /**
+   * Set EQ gains
+   * @param {Object} eq - Gains in dB (-12 to 12); omitted bands are unchanged
+   * @param {number} eq.low - Low shelf gain (250 Hz)
+   * @param {number} eq.mid - Mid peak gain (1 kHz)
+   * @param {number} eq.high - High shelf gain (4 kHz)
+   * @param {boolean} immediate - Set the gains without smoothing (default: false)
+   */
+  setEQ(eq = {}, immediate = false) {
+    const bands = { low: this.eqLow, mid: this.eqMid, high: this.eqHigh };
+    const now = this.audioContext.currentTime;
+    
+    for (const [band, filter] of Object.entries(bands)) {
+      if (typeof eq[band] === 'number' && !isNaN(eq[band])) {
+        this.eq[band] = Math.max(-12, Math.min(12, eq[band]));
+        
+        if (immediate) {
+          filter.gain.value = this.eq[band];
+        } else {
+          filter.gain.setTargetAtTime(this.eq[band], now, 0.05);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get EQ gains
+   * @return {Object} Gains in dB: { low, mid, high }
+   */
+  getEQ() {
+    return { ...this.eq };
+  }
+  
+  /**
+   * Set the ear balance
+   * @param {Object} balance - Gains in dB (-24 to 0); omitted ears are unchanged
+   * @param {number} balance.left - Left ear gain
+   * @param {number} balance.right - Right ear gain
+   * @param {boolean} immediate - Set the gains without smoothing (default: false)
+   */
+  setBalance(balance = {}, immediate = false) {
+    const ears = { left: this.balanceLeft, right: this.balanceRight };
+    const now = this.audioContext.currentTime;
+    
+    for (const [ear, gainNode] of Object.entries(ears)) {
+      if (typeof balance[ear] === 'number' && !isNaN(balance[ear])) {
+        this.balance[ear] = Math.max(-24, Math.min(0, balance[ear]));
+        const gain = Math.pow(10, this.balance[ear] / 20);
+        
+        if (immediate) {
+          gainNode.gain.value = gain;
+        } else {
+          gainNode.gain.setTargetAtTime(gain, now, 0.05);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the ear balance
+   * @return {Object} Gains in dB: { left, right }
+   */
+  getBalance() {
+    return { ...this.balance };
+  }
+  
+  /**
+   * Enable or disable the limiter
+   * @param {boolean} enabled - Whether the limiter is enabled
+   */
+  setLimiterEnabled(enabled) {
+    if (this.limiterEnabled === !!enabled) return;
+    
+    this.limiterEnabled = !!enabled;
+    this._connectLimiter();
+  }
+  
+  /**
+   * Check whether the limiter is enabled
+   * @return {boolean} True if the limiter is enabled
+   */
+  isLimiterEnabled() {
+    return this.limiterEnabled;
+  }
+  
+  /**
+   * Get the current gain reduction of the limiter
+   * @return {number} Gain reduction in dB (0 or negative)
+   */
+  getGainReduction() {
+    return this.limiterEnabled ? this.limiter.reduction : 0;
+  }
+  
+  /**
+   * Get analysers tapping the bus output, creating them on first use
+   * @return {Object} Analysers: { master, left, right }
+   */
+  getAnalysers() {
+    if (!this.analysers) {
+      const master = this.audioContext.createAnalyser();
+      master.fftSize = 4096;
+      master.smoothingTimeConstant = 0.8;
+      
+      // Split the output so each channel gets its own analyser
+      const splitter = this.audioContext.createChannelSplitter(2);
+      const left = this.audioContext.createAnalyser();
+      const right = this.audioContext.createAnalyser();
+      left.fftSize = 2048;
+      right.fftSize = 2048;
+      
+      this.output.connect(master);
+      this.output.connect(splitter);
+      splitter.connect(left, 0);
+      splitter.connect(right, 1);
+      
+      this.analysers = { master, left, right, splitter };
+    }
+    
+    return this.analysers;
+  }
+  
+  /**
+   * Get the bus settings (EQ and limiter), e.g. for presets and exports
+   * @return {Object} Settings object: { eq, limiter }
+   */
+  getSettings() {
+    return {
+      eq: this.getEQ(),
+      limiter: this.limiterEnabled
+    };
+  }
+  
+  /**
+   * Apply bus settings
+   * @param {Object} settings - Settings object: { eq, limiter }
+   */
+  setSettings(settings = {}) {
+    if (settings.eq) {
+      this.setEQ(settings.eq);
+    }
+    
+    if (typeof settings.limiter === 'boolean') {
+      this.setLimiterEnabled(settings.limiter);
+    }
+  }
+  
+  /**
+   * Connect the bus output to a destination
+   * @param {AudioNode} destination - Destination node
+   */
+  connect(destination) {
+    this.balanceMerger.connect(destination);
+  }
+  
+  /**
+   * Disconnect the bus output from a destination
+   * @param {AudioNode} destination - Destination node
+   */
+  disconnect(destination) {
+    this.balanceMerger.disconnect(destination);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.input.disconnect();
+    this.eqLow.disconnect();
+    this.eqMid.disconnect();
+    this.eqHigh.disconnect();
+    this.limiter.disconnect();
+    this.output.disconnect();
+    this.balanceSplitter.disconnect();
+    this.balanceLeft.disconnect();
+    this.balanceRight.disconnect();
+    this.balanceMerger.disconnect();
+    
+    if (this.analysers) {
+      this.analysers.splitter.disconnect();
+      this.analysers = null;
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * MonauralTrack.js - Monaural beat track implementation
+ *
+ * This class extends the base Track class to create monaural beats,
+ * which are generated by summing two slightly different frequencies
+ * before they reach the ears. The beat is physically present in the
+ * signal, so it works on speakers as well as headphones.
+ */
+
+import Track from './Track.js';
+
+export default class MonauralTrack extends Track {
+  /**
+   * Create a new MonauralTrack
+   * @param {AudioContext} audioContext - The Web Audio API context
+   * @param {Object} options - Configuration options
+   * @param {number} options.carrierFrequency - Base frequency in Hz (default: 200)
+   * @param {number} options.beatFrequency - Beat frequency in Hz (default: 10)
+   * @param {number} options.volume - Initial volume (0-1)
+   * @param {Object} options.automation - Breakpoints for 'carrierFrequency' and/or 'beatFrequency'
+   * @param {boolean} options.equalLoudness - Compensate the level for the carrier frequency (default: false)
+   */
+  constructor(audioContext, options = {}) {
+    // Set track type for offline rendering
+    options.type = 'monaural';
+    
+    super(audioContext, options);
+    
+    // Set default values if not provided
+    this.carrierFrequency = options.carrierFrequency || 200;
+    this.beatFrequency = options.beatFrequency || 10;
+    
+    // Create oscillators for the lower and upper tone
+    this.lowOscillator = null;
+    this.highOscillator = null;
+    
+    // Constant sources that drive the oscillator frequencies
+    // (low = carrier - beat / 2, high = carrier + beat / 2)
+    this.carrierSource = null;
+    this.beatSource = null;
+    this.lowBeatGain = null;
+    this.highBeatGain = null;
+    
+    // Both tones are mixed at half level so their sum never clips;
+    // the mono mix is heard equally in both ears
+    this.mixGain = this.audioContext.createGain();
+    this.mixGain.gain.value = 0.5;
+    this.mixGain.connect(this._initEqualLoudness(options.equalLoudness));
+    
+    // Calculate the low and high frequencies
+    this._calculateFrequencies();
+    
+    // Carrier and beat frequency can follow automation lanes
+    this._initAutomation(['carrierFrequency', 'beatFrequency'], options.automation);
+  }
+  
+  /**
+   * Calculate the two tone frequencies based on carrier and beat frequencies
+   * @private
+   */
+  _calculateFrequencies() {
+    // The carrier frequency is the average of the two frequencies
+    // The beat frequency is the difference between the two frequencies
+    this.lowFrequency = this.carrierFrequency - (this.beatFrequency / 2);
+    this.highFrequency = this.carrierFrequency + (this.beatFrequency / 2);
+  }
+  
+  /**
+   * Create and configure oscillators
+   * @private
+   */
+  _createOscillators() {
+    // Create oscillators
+    this.lowOscillator = this.audioContext.createOscillator();
+    this.highOscillator = this.audioContext.createOscillator();
+    
+    this.lowOscillator.type = 'sine';
+    this.highOscillator.type = 'sine';
+    
+    // The frequencies are driven entirely by the constant sources below,
+    // as in BinauralTrack
+    this.lowOscillator.frequency.value = 0;
+    this.highOscillator.frequency.value = 0;
+    
+    this.carrierSource = this.audioContext.createConstantSource();
+    this.carrierSource.offset.value = this.carrierFrequency;
+    this.carrierSource.connect(this.lowOscillator.frequency);
+    this.carrierSource.connect(this.highOscillator.frequency);
+    this.loudnessCompensation.connectFrequency(this.carrierSource);
+    
+    this.beatSource = this.audioContext.createConstantSource();
+    this.beatSource.offset.value = this.beatFrequency;
+    
+    this.lowBeatGain = this.audioContext.createGain();
+    this.lowBeatGain.gain.value = -0.5;
+    this.highBeatGain = this.audioContext.createGain();
+    this.highBeatGain.gain.value = 0.5;
+    
+    this.beatSource.connect(this.lowBeatGain);
+    this.beatSource.connect(this.highBeatGain);
+    this.lowBeatGain.connect(this.lowOscillator.frequency);
+    this.highBeatGain.connect(this.highOscillator.frequency);
+    
+    // Sum both oscillators into the mix
+    this.lowOscillator.connect(this.mixGain);
+    this.highOscillator.connect(this.mixGain);
+  }
+  
+  /**
+   * Apply carrier and beat automation to the frequency sources
+   * @protected
+   * @param {number} startTime - Context time to start scheduling from
+   * @param {number} offset - Automation position at startTime in seconds
+   */
+  _applyAutomation(startTime, offset) {
+    if (!this.carrierSource || !this.beatSource) return;
+    
+    this._scheduleParameter('carrierFrequency', this.carrierSource.offset, startTime, offset);
+    this._scheduleParameter('beatFrequency', this.beatSource.offset, startTime, offset);
+  }
+  
+  /**
+   * Start the monaural beat with fade-in
+   */
+  start() {
+    if (this.isPlaying) return;
+    
+    // Create new oscillators
+    this._createOscillators();
+    
+    // Start oscillators
+    const now = this.audioContext.currentTime;
+    this.carrierSource.start(now);
+    this.beatSource.start(now);
+    this.lowOscillator.start(now);
+    this.highOscillator.start(now);
+    
+    // Call the parent class start method for fade-in and automation
+    super.start();
+  }
+  
+  /**
+   * Schedule the oscillators and frequency sources to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    [this.lowOscillator, this.highOscillator, this.carrierSource, this.beatSource].forEach(source => {
+      if (source) {
+        source.stop(time);
+      }
+    });
+  }
+  
+  /**
+   * Stop the monaural beat with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
+   * @return {Promise} Resolves when the track has stopped
+   */
+  async stop(fadeOutTime = this.fadeOutDuration) {
+    if (!this.isPlaying) return Promise.resolve();
+    
+    // Apply fade-out using parent method
+    await super.stop(fadeOutTime);
+    
+    // Clean up oscillators (they stopped at the end of the fade-out)
+    if (this.lowOscillator) {
+      this.lowOscillator.disconnect();
+      this.lowOscillator = null;
+    }
+    
+    if (this.highOscillator) {
+      this.highOscillator.disconnect();
+      this.highOscillator = null;
+    }
+    
+    if (this.carrierSource) {
+      this.carrierSource.disconnect();
+      this.carrierSource = null;
+    }
+    
+    if (this.beatSource) {
+      this.beatSource.disconnect();
+      this.beatSource = null;
+    }
+    
+    if (this.lowBeatGain) {
+      this.lowBeatGain.disconnect();
+      this.lowBeatGain = null;
+    }
+    
+    if (this.highBeatGain) {
+      this.highBeatGain.disconnect();
+      this.highBeatGain = null;
+    }
+    
+    return Promise.resolve();
+  }
+  
+  /**
+   * Get the options that recreate this track
+   * @return {Object} Track options, including carrier and beat frequency
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      carrierFrequency: this.carrierFrequency,
+      beatFrequency: this.beatFrequency
+    };
+  }
+  
+  /**
+   * Update monaural track parameters
+   * While a parameter has an automation lane, new values are stored but the
+   * lane stays in control of playback.
+   * @param {Object} params - Parameters to update
+   * @param {number} params.carrierFrequency - New carrier frequency in Hz
+   * @param {number} params.beatFrequency - New beat frequency in Hz
+   * @param {number} params.volume - New volume level (0-1)
+   */
+  update(params = {}) {
+    const now = this.audioContext.currentTime;
+    
+    // Update carrier frequency if provided
+    if (typeof params.carrierFrequency === 'number') {
+      this.carrierFrequency = params.carrierFrequency;
+      
+      if (this.isPlaying && this.carrierSource && !this.getAutomation('carrierFrequency')) {
+        // Apply smooth transition to new frequency
+        this.carrierSource.offset.setValueAtTime(this.carrierSource.offset.value, now);
+        this.carrierSource.offset.linearRampToValueAtTime(this.carrierFrequency, now + 0.1);
+      }
+    }
+    
+    // Update beat frequency if provided
+    if (typeof params.beatFrequency === 'number') {
+      this.beatFrequency = params.beatFrequency;
+      
+      if (this.isPlaying && this.beatSource && !this.getAutomation('beatFrequency')) {
+        // Apply smooth transition to new beat frequency
+        this.beatSource.offset.setValueAtTime(this.beatSource.offset.value, now);
+        this.beatSource.offset.linearRampToValueAtTime(this.beatFrequency, now + 0.1);
+      }
+    }
+    
+    // Keep the derived low/high frequencies in sync
+    this._calculateFrequencies();
+    
+    // Call parent update for common parameters like volume
+    super.update(params);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.isPlaying) {
+      this.stop();
+    }
+    
+    // Disconnect the mix
+    this.mixGain.disconnect();
+    
+    // Call parent dispose
+    super.dispose();
+  }
+}
\ No newline at end of file
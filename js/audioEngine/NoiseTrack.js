@@ -5,16 +5,38 @@
  * - White noise: Equal energy per frequency
  * - Pink noise: Energy decreases as frequency increases (1/f)
  * - Brown noise: Energy decreases more rapidly with frequency (1/f²)
+ * - Blue noise: Energy increases with frequency (f)
+ * - Violet noise: Energy increases more rapidly with frequency (f²)
+ * - Grey noise: White noise shaped by an inverted equal-loudness curve,
+ *   so it sounds equally loud at all frequencies
+ * - Velvet noise: Sparse random impulses, a smooth and soft hiss
+ *
+ * The noise can be shaped further by a chain of biquad filters, each of
+ * which can have its cutoff swept by a slow LFO.
+ *
+ * White, pink and brown noise are generated continuously by an AudioWorklet
+ * (worklets/noise-processor.js), so they never repeat. The other colors, and
+ * browsers without AudioWorklet, loop a 2-second noise buffer.
  */
 
 import Track from './Track.js';
+import SeededRandom from './SeededRandom.js';
+
+// URL of the noise worklet module
+const NOISE_WORKLET_URL = new URL('./worklets/noise-processor.js', import.meta.url);
+
+// Worklet module loads per context, and the contexts where loading succeeded
+const workletLoads = new WeakMap();
+const workletContexts = new WeakSet();
 
 export default class NoiseTrack extends Track {
   /**
    * Create a new NoiseTrack
    * @param {AudioContext} audioContext - The Web Audio API context
    * @param {Object} options - Configuration options
-   * @param {string} options.noiseType - Type of noise: 'white', 'pink', or 'brown' (default: 'white')
+   * @param {string} options.noiseType - Type of noise, one of NoiseTrack.NOISE_TYPES (default: 'white')
+   * @param {Array<Object>} options.filters - Filter chain settings (see NoiseTrack.normalizeFilter)
+   * @param {number} options.seed - Random seed, so the same seed always gives the same noise (default: random)
    * @param {number} options.volume - Initial volume (0-1)
    */
   constructor(audioContext, options = {}) {
@@ -24,126 +46,370 @@ export default class NoiseTrack extends Track {
     super(audioContext, options);
     
     // Set default noise type if not provided
-    this.noiseType = options.noiseType || 'white';
+    this.noiseType = NoiseTrack.NOISE_TYPES.includes(options.noiseType) ? options.noiseType : 'white';
+    
+    // Random seed (stored with presets so the noise can be reproduced exactly)
+    this.seed = Number.isInteger(options.seed) ? options.seed : NoiseTrack.createSeed();
     
     // Create audio buffer source node
     this.noiseSource = null;
     
-    // For pink and brown noise, we need filters
-    this.filters = [];
+    // Filter chain settings, applied in order
+    this.filters = Array.isArray(options.filters) ?
+      options.filters.map(filter => NoiseTrack.normalizeFilter(filter)) : [];
+    
+    // Filter chain nodes (created on start)
+    this.filterChain = null;
+    
+    // Whether the current noise source is a worklet node rather than a looped buffer
+    this.usingWorklet = false;
     
     // Buffer size for noise generation (2 seconds of audio)
     this.bufferSize = 2 * this.audioContext.sampleRate;
   }
   
   /**
-   * Generate white noise buffer
-   * @private
-   * @return {AudioBuffer} White noise buffer
+   * Supported filter types
+   * @return {Array<string>} Biquad filter types
    */
-  _createWhiteNoiseBuffer() {
-    const buffer = this.audioContext.createBuffer(
-      2, // Stereo (2 channels)
-      this.bufferSize,
-      this.audioContext.sampleRate
-    );
-    
-    // Fill both channels with random values between -1 and 1
-    for (let channel = 0; channel < 2; channel++) {
-      const channelData = buffer.getChannelData(channel);
-      for (let i = 0; i < this.bufferSize; i++) {
-        // Random value between -1 and 1
-        channelData[i] = Math.random() * 2 - 1;
-      }
-    }
+  static get FILTER_TYPES() {
+    return ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking'];
+  }
+  
+  /**
+   * Fill in defaults and clamp the values of a filter configuration
+   * @param {Object} filter - Filter settings
+   * @param {string} filter.type - Biquad filter type (default: 'lowpass')
+   * @param {number} filter.frequency - Cutoff or center frequency in Hz (default: 1000)
+   * @param {number} filter.Q - Resonance / bandwidth (default: 1)
+   * @param {number} filter.gain - Gain in dB, used by the peaking type (default: 0)
+   * @param {number} filter.lfoRate - Cutoff modulation rate in Hz, 0 for none (default: 0)
+   * @param {number} filter.lfoDepth - Cutoff modulation depth as a fraction of the cutoff (0-0.9, default: 0)
+   * @return {Object} Normalized filter settings
+   */
+  static normalizeFilter(filter = {}) {
+    const number = (value, fallback, min, max) =>
+      typeof value === 'number' && !isNaN(value) ? Math.max(min, Math.min(max, value)) : fallback;
     
-    return buffer;
+    return {
+      type: NoiseTrack.FILTER_TYPES.includes(filter.type) ? filter.type : 'lowpass',
+      frequency: number(filter.frequency, 1000, 20, 20000),
+      Q: number(filter.Q, 1, 0.0001, 30),
+      gain: number(filter.gain, 0, -40, 40),
+      lfoRate: number(filter.lfoRate, 0, 0, 20),
+      lfoDepth: number(filter.lfoDepth, 0, 0, 0.9)
+    };
   }
   
   /**
-   * Generate pink noise buffer
-   * @private
-   * @return {AudioBuffer} Pink noise buffer
+   * Build a chain of biquad filters with optional cutoff LFOs.
+   * Works on any BaseAudioContext, so a clone made for export (see Track.cloneTo)
+   * is filtered exactly as heard.
+   * The LFO sources are returned unstarted.
+   * @param {BaseAudioContext} context - Context to build the chain in
+   * @param {Array<Object>} filters - Normalized filter settings
+   * @return {Object} Chain with input and output nodes, filters and LFO sources
    */
-  _createPinkNoiseBuffer() {
-    const buffer = this.audioContext.createBuffer(
-      2, // Stereo (2 channels)
-      this.bufferSize,
-      this.audioContext.sampleRate
-    );
+  static createFilterChain(context, filters) {
+    const input = context.createGain();
+    const nodes = [];
+    const sources = [];
+    let previous = input;
     
-    // Pink noise generation using the Voss algorithm
-    for (let channel = 0; channel < 2; channel++) {
-      const channelData = buffer.getChannelData(channel);
-      
-      // Pink noise parameters
-      const octaves = 7; // Number of octaves
-      const values = new Array(octaves).fill(0);
-      let maxSum = 0;
+    filters.forEach(settings => {
+      const filter = context.createBiquadFilter();
+      filter.type = settings.type;
+      filter.frequency.value = settings.frequency;
+      filter.Q.value = settings.Q;
+      filter.gain.value = settings.gain;
       
-      for (let i = 0; i < this.bufferSize; i++) {
-        let sum = 0;
+      // Sweep the cutoff around its base value
+      if (settings.lfoRate > 0 && settings.lfoDepth > 0) {
+        const lfo = context.createOscillator();
+        lfo.type = 'sine';
+        lfo.frequency.value = settings.lfoRate;
         
-        // Update values and calculate sum
-        for (let j = 0; j < octaves; j++) {
-          if ((i % Math.pow(2, j)) === 0) {
-            values[j] = Math.random() * 2 - 1;
-          }
-          sum += values[j];
-        }
+        const lfoGain = context.createGain();
+        lfoGain.gain.value = settings.frequency * settings.lfoDepth;
+        
+        lfo.connect(lfoGain);
+        lfoGain.connect(filter.frequency);
         
-        // Track maximum sum for normalization
-        maxSum = Math.max(maxSum, Math.abs(sum));
-        channelData[i] = sum;
+        nodes.push(lfoGain);
+        sources.push(lfo);
       }
       
-      // Normalize to range [-1, 1]
-      for (let i = 0; i < this.bufferSize; i++) {
-        channelData[i] /= maxSum;
-      }
+      previous.connect(filter);
+      previous = filter;
+      nodes.push(filter);
+    });
+    
+    return { input, output: previous, nodes, sources };
+  }
+  
+  /**
+   * Get the filter chain settings
+   * @return {Array<Object>} Copy of the filter settings
+   */
+  getFilters() {
+    return this.filters.map(filter => ({ ...filter }));
+  }
+  
+  /**
+   * Supported noise colors
+   * @return {Array<string>} Noise types
+   */
+  static get NOISE_TYPES() {
+    return ['white', 'pink', 'brown', 'blue', 'violet', 'grey', 'velvet'];
+  }
+  
+  /**
+   * Create a random seed for a new track
+   * @return {number} Integer seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 2147483647);
+  }
+  
+  /**
+   * Noise colors the worklet generates continuously
+   * @return {Array<string>} Noise types
+   */
+  static get WORKLET_NOISE_TYPES() {
+    return ['white', 'pink', 'brown'];
+  }
+  
+  /**
+   * Load the noise worklet module into a context. Noise tracks created in
+   * the context use the worklet once the returned promise has resolved.
+   * @param {BaseAudioContext} context - Live or offline context
+   * @return {Promise<boolean>} Resolves with true if the worklet is available
+   */
+  static loadWorklet(context) {
+    if (!context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return Promise.resolve(false);
     }
     
-    return buffer;
+    if (!workletLoads.has(context)) {
+      const load = context.audioWorklet.addModule(NOISE_WORKLET_URL)
+        .then(() => {
+          workletContexts.add(context);
+          return true;
+        })
+        .catch(error => {
+          console.warn('Noise worklet could not be loaded, using looped buffers:', error);
+          return false;
+        });
+      
+      workletLoads.set(context, load);
+    }
+    
+    return workletLoads.get(context);
   }
   
   /**
-   * Generate brown noise buffer
-   * @private
-   * @return {AudioBuffer} Brown noise buffer
+   * Check whether the noise worklet has been loaded into a context
+   * @param {BaseAudioContext} context - Live or offline context
+   * @return {boolean} True if the worklet is ready
    */
-  _createBrownNoiseBuffer() {
-    const buffer = this.audioContext.createBuffer(
-      2, // Stereo (2 channels)
-      this.bufferSize,
-      this.audioContext.sampleRate
-    );
+  static isWorkletReady(context) {
+    return workletContexts.has(context);
+  }
+  
+  /**
+   * Create a looping stereo noise buffer.
+   * The same seed always gives the same noise, so an export without its own
+   * seed matches playback.
+   * @param {BaseAudioContext} context - Context used to create the buffer
+   * @param {string} noiseType - Type of noise, one of NoiseTrack.NOISE_TYPES
+   * @param {number} seconds - Buffer length in seconds (default: 2)
+   * @param {number} seed - Random seed; channel n uses seed + n, as in the noise worklet (default: 1)
+   * @return {AudioBuffer} Noise buffer
+   */
+  static createNoiseBuffer(context, noiseType, seconds = 2, seed = 1) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.floor(seconds * sampleRate), sampleRate);
     
-    // Brown noise generation using random walk
+    // Each channel gets independent noise
     for (let channel = 0; channel < 2; channel++) {
-      const channelData = buffer.getChannelData(channel);
-      let lastValue = 0;
-      let maxValue = 0;
-      
-      for (let i = 0; i < this.bufferSize; i++) {
-        // Random walk: add a small random value to the last value
-        const randomValue = Math.random() * 0.2 - 0.1; // Small random change
-        lastValue += randomValue;
-        
-        // Apply a simple low-pass filter to integrate the noise
-        lastValue = 0.99 * lastValue;
-        
-        // Track maximum value for normalization
-        maxValue = Math.max(maxValue, Math.abs(lastValue));
-        channelData[i] = lastValue;
+      const random = new SeededRandom(seed + channel);
+      NoiseTrack.generateNoise(buffer.getChannelData(channel), noiseType, sampleRate, random);
+    }
+    
+    return buffer;
+  }
+  
+  /**
+   * Fill an array with noise of the given color, normalized to the range [-1, 1]
+   * @param {Float32Array} channelData - Array to fill
+   * @param {string} noiseType - Type of noise, one of NoiseTrack.NOISE_TYPES
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {SeededRandom} random - Random number generator (default: a new generator with seed 1)
+   */
+  static generateNoise(channelData, noiseType, sampleRate, random = new SeededRandom(1)) {
+    const length = channelData.length;
+    const white = () => random.nextSample();
+    
+    switch (noiseType) {
+      case 'pink':
+        NoiseTrack._fillPink(channelData, white);
+        break;
+      case 'brown': {
+        // Integrated white noise with a slight leak to stop it drifting
+        let lastOut = 0;
+        for (let i = 0; i < length; i++) {
+          lastOut = (lastOut + 0.02 * white()) / 1.02;
+          channelData[i] = lastOut;
+        }
+        break;
       }
-      
-      // Normalize to range [-1, 1]
-      for (let i = 0; i < this.bufferSize; i++) {
-        channelData[i] /= maxValue;
+      case 'blue': {
+        // Differentiated pink noise rises by 3 dB per octave
+        NoiseTrack._fillPink(channelData, white);
+        let previous = 0;
+        for (let i = 0; i < length; i++) {
+          const pink = channelData[i];
+          channelData[i] = pink - previous;
+          previous = pink;
+        }
+        break;
+      }
+      case 'violet': {
+        // Differentiated white noise rises by 6 dB per octave
+        let previous = 0;
+        for (let i = 0; i < length; i++) {
+          const sample = white();
+          channelData[i] = sample - previous;
+          previous = sample;
+        }
+        break;
+      }
+      case 'grey':
+        // Approximate inverse A-weighting: boost the lows and highs the ear is
+        // less sensitive to and dip the 2-5 kHz region where it is most sensitive
+        for (let i = 0; i < length; i++) {
+          channelData[i] = white();
+        }
+        NoiseTrack._applyBiquad(channelData, sampleRate, 'lowshelf', 200, 0.7, 14);
+        NoiseTrack._applyBiquad(channelData, sampleRate, 'peaking', 3500, 0.8, -8);
+        NoiseTrack._applyBiquad(channelData, sampleRate, 'highshelf', 10000, 0.7, 6);
+        break;
+      case 'velvet': {
+        // One impulse of random sign at a random position in each ~0.5 ms cell
+        const cellLength = Math.max(1, Math.round(sampleRate / 2000));
+        channelData.fill(0);
+        for (let cell = 0; cell < length; cell += cellLength) {
+          const position = cell + Math.floor(random.next() * cellLength);
+          if (position < length) {
+            channelData[position] = random.next() < 0.5 ? -1 : 1;
+          }
+        }
+        break;
       }
+      case 'white':
+      default:
+        for (let i = 0; i < length; i++) {
+          channelData[i] = white();
+        }
+        break;
     }
     
-    return buffer;
+    NoiseTrack._normalize(channelData);
+  }
+  
+  /**
+   * Fill an array with pink noise (Paul Kellet's refined filter method)
+   * @private
+   * @param {Float32Array} channelData - Array to fill
+   * @param {Function} white - White noise generator
+   */
+  static _fillPink(channelData, white) {
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    
+    for (let i = 0; i < channelData.length; i++) {
+      const sample = white();
+      b0 = 0.99886 * b0 + sample * 0.0555179;
+      b1 = 0.99332 * b1 + sample * 0.0750759;
+      b2 = 0.96900 * b2 + sample * 0.1538520;
+      b3 = 0.86650 * b3 + sample * 0.3104856;
+      b4 = 0.55000 * b4 + sample * 0.5329522;
+      b5 = -0.7616 * b5 - sample * 0.0168980;
+      channelData[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + sample * 0.5362;
+      b6 = sample * 0.115926;
+    }
+  }
+  
+  /**
+   * Filter an array in place with a biquad (Audio EQ Cookbook coefficients)
+   * @private
+   * @param {Float32Array} data - Samples to filter
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {string} type - 'lowshelf', 'highshelf', or 'peaking'
+   * @param {number} frequency - Corner or center frequency in Hz
+   * @param {number} Q - Filter Q
+   * @param {number} gain - Gain in dB
+   */
+  static _applyBiquad(data, sampleRate, type, frequency, Q, gain) {
+    const A = Math.pow(10, gain / 40);
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * Q);
+    const shelf = 2 * Math.sqrt(A) * alpha;
+    let b0, b1, b2, a0, a1, a2;
+    
+    if (type === 'lowshelf') {
+      b0 = A * ((A + 1) - (A - 1) * cos + shelf);
+      b1 = 2 * A * ((A - 1) - (A + 1) * cos);
+      b2 = A * ((A + 1) - (A - 1) * cos - shelf);
+      a0 = (A + 1) + (A - 1) * cos + shelf;
+      a1 = -2 * ((A - 1) + (A + 1) * cos);
+      a2 = (A + 1) + (A - 1) * cos - shelf;
+    } else if (type === 'highshelf') {
+      b0 = A * ((A + 1) + (A - 1) * cos + shelf);
+      b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+      b2 = A * ((A + 1) + (A - 1) * cos - shelf);
+      a0 = (A + 1) - (A - 1) * cos + shelf;
+      a1 = 2 * ((A - 1) - (A + 1) * cos);
+      a2 = (A + 1) - (A - 1) * cos - shelf;
+    } else {
+      b0 = 1 + alpha * A;
+      b1 = -2 * cos;
+      b2 = 1 - alpha * A;
+      a0 = 1 + alpha / A;
+      a1 = -2 * cos;
+      a2 = 1 - alpha / A;
+    }
+    
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    
+    for (let i = 0; i < data.length; i++) {
+      const x0 = data[i];
+      const y0 = (b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+      x2 = x1;
+      x1 = x0;
+      y2 = y1;
+      y1 = y0;
+      data[i] = y0;
+    }
+  }
+  
+  /**
+   * Scale an array so its peak is at 1
+   * @private
+   * @param {Float32Array} data - Samples to normalize
+   */
+  static _normalize(data) {
+    let peak = 0;
+    
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+    
+    if (peak > 0) {
+      for (let i = 0; i < data.length; i++) {
+        data[i] /= peak;
+      }
+    }
   }
   
   /**
@@ -152,15 +418,12 @@ export default class NoiseTrack extends Track {
    * @return {AudioBuffer} Noise buffer
    */
   _createNoiseBuffer() {
-    switch (this.noiseType.toLowerCase()) {
-      case 'pink':
-        return this._createPinkNoiseBuffer();
-      case 'brown':
-        return this._createBrownNoiseBuffer();
-      case 'white':
-      default:
-        return this._createWhiteNoiseBuffer();
-    }
+    return NoiseTrack.createNoiseBuffer(
+      this.audioContext,
+      this.noiseType,
+      this.bufferSize / this.audioContext.sampleRate,
+      this.seed
+    );
   }
   
   /**
@@ -168,13 +431,69 @@ export default class NoiseTrack extends Track {
    * @private
    */
   _createNoiseSource() {
-    // Create buffer source
-    this.noiseSource = this.audioContext.createBufferSource();
-    this.noiseSource.buffer = this._createNoiseBuffer();
-    this.noiseSource.loop = true;
+    this.usingWorklet = NoiseTrack.isWorkletReady(this.audioContext) &&
+      NoiseTrack.WORKLET_NOISE_TYPES.includes(this.noiseType);
     
-    // Connect to gain node
-    this.noiseSource.connect(this.gainNode);
+    if (this.usingWorklet) {
+      // Continuous generator on the audio thread (runs as soon as it is created)
+      this.noiseSource = new AudioWorkletNode(this.audioContext, 'noise-processor', {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        processorOptions: {
+          noiseType: this.noiseType,
+          seed: this.seed
+        }
+      });
+    } else {
+      // Create buffer source
+      this.noiseSource = this.audioContext.createBufferSource();
+      this.noiseSource.buffer = this._createNoiseBuffer();
+      this.noiseSource.loop = true;
+    }
+    
+    // Connect through the filter chain to the gain node
+    this._connectFilterChain();
+  }
+  
+  /**
+   * Build the filter chain from the current settings and route the noise
+   * source through it, replacing any previous chain
+   * @private
+   */
+  _connectFilterChain() {
+    const previousChain = this.filterChain;
+    
+    this.filterChain = NoiseTrack.createFilterChain(this.audioContext, this.filters);
+    this.filterChain.output.connect(this.gainNode);
+    this.filterChain.sources.forEach(source => source.start());
+    
+    if (this.noiseSource) {
+      this.noiseSource.connect(this.filterChain.input);
+    }
+    
+    if (previousChain) {
+      if (this.noiseSource) {
+        this.noiseSource.disconnect(previousChain.input);
+      }
+      
+      this._disposeFilterChain(previousChain);
+    }
+  }
+  
+  /**
+   * Stop and disconnect a filter chain
+   * @private
+   * @param {Object} chain - Chain created by NoiseTrack.createFilterChain
+   */
+  _disposeFilterChain(chain) {
+    chain.sources.forEach(source => {
+      source.stop();
+      source.disconnect();
+    });
+    
+    chain.nodes.forEach(node => node.disconnect());
+    chain.input.disconnect();
   }
   
   /**
@@ -186,50 +505,97 @@ export default class NoiseTrack extends Track {
     // Create new noise source
     this._createNoiseSource();
     
-    // Start noise source
-    this.noiseSource.start(0);
+    // Start noise source (worklet generators are already running)
+    if (!this.usingWorklet) {
+      this.noiseSource.start(0);
+    }
     
     // Call the parent class start method for fade-in
     super.start();
   }
   
+  /**
+   * Schedule the noise source to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    // Worklet generators cannot be scheduled; they are stopped after the fade
+    if (this.noiseSource && !this.usingWorklet) {
+      this.noiseSource.stop(time);
+    }
+  }
+  
   /**
    * Stop the noise with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
    * @return {Promise} Resolves when the track has stopped
    */
-  async stop() {
+  async stop(fadeOutTime = this.fadeOutDuration) {
     if (!this.isPlaying) return Promise.resolve();
     
     // Apply fade-out using parent method
-    await super.stop();
+    await super.stop(fadeOutTime);
     
-    // Stop and clean up noise source
+    // Clean up noise source (buffer sources stopped at the end of the fade-out)
     if (this.noiseSource) {
-      this.noiseSource.stop(0);
+      if (this.usingWorklet) {
+        this.noiseSource.port.postMessage('stop');
+      }
+      
       this.noiseSource.disconnect();
       this.noiseSource = null;
     }
     
+    // Clean up the filter chain
+    if (this.filterChain) {
+      this._disposeFilterChain(this.filterChain);
+      this.filterChain = null;
+    }
+    
     return Promise.resolve();
   }
   
+  /**
+   * Get the options that recreate this track
+   * @return {Object} Track options, including the noise type and filter chain
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      noiseType: this.noiseType,
+      filters: this.getFilters(),
+      seed: this.seed
+    };
+  }
+  
   /**
    * Update noise track parameters
    * @param {Object} params - Parameters to update
-   * @param {string} params.noiseType - New noise type ('white', 'pink', or 'brown')
+   * @param {string} params.noiseType - New noise type, one of NoiseTrack.NOISE_TYPES
+   * @param {Array<Object>} params.filters - New filter chain settings
    * @param {number} params.volume - New volume level (0-1)
    */
   update(params = {}) {
     let noiseTypeChanged = false;
     
     // Update noise type if provided
-    if (params.noiseType && ['white', 'pink', 'brown'].includes(params.noiseType.toLowerCase())) {
+    if (params.noiseType && NoiseTrack.NOISE_TYPES.includes(params.noiseType.toLowerCase())) {
       if (this.noiseType !== params.noiseType.toLowerCase()) {
         this.noiseType = params.noiseType.toLowerCase();
         noiseTypeChanged = true;
       }
     }
     
+    // Replace the filter chain if new settings are provided
+    if (Array.isArray(params.filters)) {
+      this.filters = params.filters.map(filter => NoiseTrack.normalizeFilter(filter));
+      
+      if (this.isPlaying && !noiseTypeChanged) {
+        this._connectFilterChain();
+      }
+    }
+    
     // If noise type changed and track is playing, restart with new noise type
     if (noiseTypeChanged && this.isPlaying) {
       const wasPlaying = this.isPlaying;
@@ -0,0 +1,210 @@
+/**
+ * Reverb.js - Convolution reverb for the Binaural Beats PWA
+ *
+ * Adds room ambience to a track with a ConvolverNode. The impulse responses
+ * are generated procedurally from seeded noise, so no audio files are needed
+ * and the offline export renders exactly the same reverb tail:
+ * - Room: short predelay, early reflections and a dark, quickly damped tail
+ * - Hall: longer predelay and a smooth, gradually darkening tail
+ * - Plate: no predelay, dense and bright
+ */
+
+import SeededRandom from './SeededRandom.js';
+
+export default class Reverb {
+  /**
+   * Create a new Reverb
+   * @param {BaseAudioContext} audioContext - The Web Audio API context (live or offline)
+   * @param {Object} options - Configuration options
+   * @param {string} options.type - Impulse response type: 'room', 'hall', or 'plate' (default: 'room')
+   * @param {number} options.mix - Wet/dry mix (0 = dry, 1 = wet, default: 0.3)
+   * @param {number} options.decay - Decay time to -60 dB in seconds (0.2-10, default: 2)
+   */
+  constructor(audioContext, options = {}) {
+    if (!audioContext) {
+      throw new Error('AudioContext is required to create a Reverb');
+    }
+    
+    this.audioContext = audioContext;
+    
+    const settings = Reverb.normalizeSettings(options);
+    this.type = settings.type;
+    this.mix = settings.mix;
+    this.decay = settings.decay;
+    
+    // input -> dry -> output
+    // input -> convolver -> wet -> output
+    this.input = this.audioContext.createGain();
+    this.output = this.audioContext.createGain();
+    
+    this.dryGain = this.audioContext.createGain();
+    this.wetGain = this.audioContext.createGain();
+    
+    this.convolver = this.audioContext.createConvolver();
+    this.convolver.buffer = Reverb.createImpulseResponse(this.audioContext, this.type, this.decay);
+    
+    this.input.connect(this.dryGain);
+    this.input.connect(this.convolver);
+    this.convolver.connect(this.wetGain);
+    this.dryGain.connect(this.output);
+    this.wetGain.connect(this.output);
+    
+    this._applyMix(true);
+  }
+  
+  /**
+   * Supported impulse response types
+   * @return {Array<string>} Reverb types
+   */
+  static get TYPES() {
+    return ['room', 'hall', 'plate'];
+  }
+  
+  /**
+   * Fill in defaults and clamp reverb settings
+   * @param {Object} settings - Reverb settings ({ type, mix, decay })
+   * @return {Object} Normalized settings
+   */
+  static normalizeSettings(settings = {}) {
+    return {
+      type: Reverb.TYPES.includes(settings.type) ? settings.type : 'room',
+      mix: typeof settings.mix === 'number' && !isNaN(settings.mix) ?
+        Math.max(0, Math.min(1, settings.mix)) : 0.3,
+      decay: typeof settings.decay === 'number' && !isNaN(settings.decay) ?
+        Math.max(0.2, Math.min(10, settings.decay)) : 2
+    };
+  }
+  
+  /**
+   * Generate a stereo impulse response
+   * @param {BaseAudioContext} context - Context used to create the buffer
+   * @param {string} type - 'room', 'hall', or 'plate'
+   * @param {number} decay - Decay time to -60 dB in seconds
+   * @return {AudioBuffer} Impulse response
+   */
+  static createImpulseResponse(context, type, decay) {
+    const sampleRate = context.sampleRate;
+    
+    // Character of each type: predelay (s), high-frequency damping at the
+    // start and end of the tail (one-pole lowpass coefficients), and early reflections
+    const characters = {
+      room: { predelay: 0.005, dampingStart: 0.2, dampingEnd: 0.85, reflections: 6 },
+      hall: { predelay: 0.02, dampingStart: 0.1, dampingEnd: 0.7, reflections: 0 },
+      plate: { predelay: 0, dampingStart: 0, dampingEnd: 0.3, reflections: 0 }
+    };
+    const character = characters[type] || characters.room;
+    
+    const predelayFrames = Math.floor(character.predelay * sampleRate);
+    const length = predelayFrames + Math.floor(decay * sampleRate);
+    const buffer = context.createBuffer(2, length, sampleRate);
+    
+    for (let channel = 0; channel < 2; channel++) {
+      // A fixed seed per channel keeps the impulse response identical everywhere
+      const random = new SeededRandom(channel + 1);
+      const data = buffer.getChannelData(channel);
+      let filtered = 0;
+      
+      for (let i = predelayFrames; i < length; i++) {
+        const position = (i - predelayFrames) / (length - predelayFrames);
+        
+        // Exponential decay reaching -60 dB at the end
+        const envelope = Math.pow(0.001, position);
+        
+        // The tail gets darker as it decays
+        const damping = character.dampingStart + (character.dampingEnd - character.dampingStart) * position;
+        filtered = filtered * damping + random.nextSample() * (1 - damping);
+        
+        data[i] = filtered * envelope;
+      }
+      
+      // Discrete early reflections within the first 50 ms
+      for (let r = 0; r < character.reflections; r++) {
+        const frame = predelayFrames + Math.floor(random.range(0.002, 0.05) * sampleRate);
+        if (frame < length) {
+          data[frame] += random.range(0.3, 0.7) * (random.next() < 0.5 ? -1 : 1);
+        }
+      }
+    }
+    
+    return buffer;
+  }
+  
+  /**
+   * Apply the wet/dry mix with equal-power gains
+   * @private
+   * @param {boolean} immediate - Set the gains without smoothing
+   */
+  _applyMix(immediate = false) {
+    const dry = Math.cos(this.mix * Math.PI / 2);
+    const wet = Math.sin(this.mix * Math.PI / 2);
+    
+    if (immediate) {
+      this.dryGain.gain.value = dry;
+      this.wetGain.gain.value = wet;
+    } else {
+      const now = this.audioContext.currentTime;
+      this.dryGain.gain.setTargetAtTime(dry, now, 0.05);
+      this.wetGain.gain.setTargetAtTime(wet, now, 0.05);
+    }
+  }
+  
+  /**
+   * Update reverb settings
+   * @param {Object} settings - Settings to change ({ type, mix, decay })
+   */
+  update(settings = {}) {
+    const next = Reverb.normalizeSettings({ ...this.getSettings(), ...settings });
+    
+    if (next.mix !== this.mix) {
+      this.mix = next.mix;
+      this._applyMix();
+    }
+    
+    // A new type or decay needs a new impulse response
+    if (next.type !== this.type || next.decay !== this.decay) {
+      this.type = next.type;
+      this.decay = next.decay;
+      
+      // Swap in a fresh convolver with the new impulse response
+      const previousConvolver = this.convolver;
+      this.convolver = this.audioContext.createConvolver();
+      this.convolver.buffer = Reverb.createImpulseResponse(this.audioContext, this.type, this.decay);
+      this.input.connect(this.convolver);
+      this.convolver.connect(this.wetGain);
+      
+      this.input.disconnect(previousConvolver);
+      previousConvolver.disconnect();
+    }
+  }
+  
+  /**
+   * Get the reverb settings
+   * @return {Object} Settings object: { type, mix, decay }
+   */
+  getSettings() {
+    return {
+      type: this.type,
+      mix: this.mix,
+      decay: this.decay
+    };
+  }
+  
+  /**
+   * Connect the reverb output to a destination
+   * @param {AudioNode} destination - Destination node
+   */
+  connect(destination) {
+    this.output.connect(destination);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.input.disconnect();
+    this.convolver.disconnect();
+    this.dryGain.disconnect();
+    this.wetGain.disconnect();
+    this.output.disconnect();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * SampleTrack.js - Audio file playback track implementation
+ *
+ * This class extends the base Track class to loop a user-supplied audio file
+ * (e.g. rain or a music loop) underneath the generated tones. The decoded
+ * file can be trimmed, and the loop point is smoothed with an equal-power
+ * crossfade that is rendered into a dedicated loop buffer.
+ */
+
+import Track from './Track.js';
+import AudioClock from './AudioClock.js';
+
+export default class SampleTrack extends Track {
+  /**
+   * Create a new SampleTrack
+   * @param {AudioContext} audioContext - The Web Audio API context
+   * @param {Object} options - Configuration options
+   * @param {AudioBuffer} options.buffer - Decoded audio (can also be set later with setBuffer)
+   * @param {string} options.sampleId - ID of the stored sample in the preset database
+   * @param {string} options.sampleName - Display name of the sample (usually the file name)
+   * @param {number} options.trimStart - Loop start in seconds (default: 0)
+   * @param {number} options.trimEnd - Loop end in seconds (default: null, the end of the file)
+   * @param {number} options.loopCrossfade - Crossfade at the loop point in seconds (default: 0.5)
+   * @param {number} options.volume - Initial volume (0-1)
+   */
+  constructor(audioContext, options = {}) {
+    // Set track type for offline rendering
+    options.type = 'sample';
+    
+    super(audioContext, options);
+    
+    // Sample reference (stored with presets)
+    this.sampleId = options.sampleId || null;
+    this.sampleName = options.sampleName || '';
+    
+    // Loop settings
+    this.trimStart = typeof options.trimStart === 'number' && options.trimStart >= 0 ? options.trimStart : 0;
+    this.trimEnd = typeof options.trimEnd === 'number' && options.trimEnd > 0 ? options.trimEnd : null;
+    this.loopCrossfade = typeof options.loopCrossfade === 'number' && options.loopCrossfade >= 0 ?
+      options.loopCrossfade : 0.5;
+    
+    // Decoded audio and the pre-rendered loop built from it
+    this.buffer = null;
+    this.loopBuffer = null;
+    
+    // Audio buffer source node and its own gain, so a new loop can be
+    // crossfaded in (created on start)
+    this.sampleSource = null;
+    this.sourceGain = null;
+    
+    if (options.buffer) {
+      this.setBuffer(options.buffer);
+    }
+  }
+  
+  /**
+   * Build a seamlessly looping buffer from a region of an audio buffer.
+   * The tail of the region is crossfaded into its head, so the returned
+   * buffer is `crossfade` seconds shorter than the region and can be played
+   * with loop = true without a click at the loop point.
+   * @param {BaseAudioContext} context - Context used to create the buffer
+   * @param {AudioBuffer} buffer - Source audio
+   * @param {number} trimStart - Region start in seconds
+   * @param {number|null} trimEnd - Region end in seconds (null for the end of the buffer)
+   * @param {number} crossfade - Crossfade duration in seconds
+   * @return {AudioBuffer} Loop buffer
+   */
+  static createLoopBuffer(context, buffer, trimStart, trimEnd, crossfade) {
+    const sampleRate = buffer.sampleRate;
+    const startFrame = Math.min(Math.floor(trimStart * sampleRate), buffer.length - 1);
+    const endFrame = trimEnd === null ?
+      buffer.length : Math.max(startFrame + 1, Math.min(Math.floor(trimEnd * sampleRate), buffer.length));
+    const regionLength = endFrame - startFrame;
+    
+    // The crossfade can use at most half of the region
+    const fadeFrames = Math.min(Math.floor(crossfade * sampleRate), Math.floor(regionLength / 2));
+    const loopLength = regionLength - fadeFrames;
+    
+    const loopBuffer = context.createBuffer(buffer.numberOfChannels, loopLength, sampleRate);
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const region = buffer.getChannelData(channel).subarray(startFrame, endFrame);
+      const output = loopBuffer.getChannelData(channel);
+      
+      output.set(region.subarray(0, loopLength));
+      
+      // Blend the tail (which would follow the end of the loop) into the head
+      // with an equal-power crossfade
+      for (let i = 0; i < fadeFrames; i++) {
+        const position = (i + 0.5) / fadeFrames;
+        const fadeIn = Math.sin(position * Math.PI / 2);
+        const fadeOut = Math.cos(position * Math.PI / 2);
+        output[i] = region[i] * fadeIn + region[loopLength + i] * fadeOut;
+      }
+    }
+    
+    return loopBuffer;
+  }
+  
+  /**
+   * Set the decoded audio for this track
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {Object} sample - Optional sample reference
+   * @param {string} sample.sampleId - ID of the stored sample
+   * @param {string} sample.sampleName - Display name of the sample
+   */
+  setBuffer(buffer, sample = {}) {
+    this.buffer = buffer;
+    
+    if (sample.sampleId) {
+      this.sampleId = sample.sampleId;
+    }
+    
+    if (typeof sample.sampleName === 'string') {
+      this.sampleName = sample.sampleName;
+    }
+    
+    // A new file invalidates trim points that lie beyond its end
+    if (this.trimStart >= buffer.duration) {
+      this.trimStart = 0;
+    }
+    
+    if (this.trimEnd !== null && this.trimEnd > buffer.duration) {
+      this.trimEnd = null;
+    }
+    
+    this._crossfadeToNewLoop();
+  }
+  
+  /**
+   * Check whether audio has been loaded
+   * @return {boolean} True if the track has a buffer
+   */
+  hasBuffer() {
+    return this.buffer !== null;
+  }
+  
+  /**
+   * Get the duration of the loaded audio
+   * @return {number} Duration in seconds (0 if nothing is loaded)
+   */
+  getSampleDuration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+  
+  /**
+   * Rebuild the loop buffer from the current trim and crossfade settings
+   * @private
+   */
+  _buildLoopBuffer() {
+    if (!this.buffer) {
+      this.loopBuffer = null;
+      return;
+    }
+    
+    this.loopBuffer = SampleTrack.createLoopBuffer(
+      this.audioContext,
+      this.buffer,
+      this.trimStart,
+      this.trimEnd,
+      this.loopCrossfade
+    );
+  }
+  
+  /**
+   * Rebuild the loop and, if the track is playing, crossfade from the old
+   * loop to the new one so trim and crossfade edits do not cut out.
+   * While the track is fading out its source is already scheduled to stop,
+   * so the new loop is only used from the next start.
+   * @private
+   */
+  _crossfadeToNewLoop() {
+    this._buildLoopBuffer();
+    
+    if (!this.isPlaying || this.stopTime !== null || !this.loopBuffer) return;
+    
+    const crossfade = 0.5;
+    const now = this.audioContext.currentTime;
+    const oldSource = this.sampleSource;
+    const oldGain = this.sourceGain;
+    
+    this._createSampleSource();
+    this.sourceGain.gain.setValueAtTime(0, now);
+    this.sourceGain.gain.linearRampToValueAtTime(1, now + crossfade);
+    this.sampleSource.start(now);
+    
+    if (oldSource) {
+      oldGain.gain.setValueAtTime(oldGain.gain.value, now);
+      oldGain.gain.linearRampToValueAtTime(0, now + crossfade);
+      oldSource.stop(now + crossfade);
+      AudioClock.forContext(this.audioContext).schedule(now + crossfade, () => {
+        oldSource.disconnect();
+        oldGain.disconnect();
+      });
+    }
+  }
+  
+  /**
+   * Create and configure the sample source
+   * @private
+   */
+  _createSampleSource() {
+    this.sampleSource = this.audioContext.createBufferSource();
+    this.sampleSource.buffer = this.loopBuffer;
+    this.sampleSource.loop = true;
+    
+    // Connect through the source gain to the track's gain node
+    this.sourceGain = this.audioContext.createGain();
+    this.sampleSource.connect(this.sourceGain);
+    this.sourceGain.connect(this.gainNode);
+  }
+  
+  /**
+   * Start the sample loop with fade-in
+   */
+  start() {
+    if (this.isPlaying) return;
+    
+    if (this.loopBuffer) {
+      // Create and start new sample source
+      this._createSampleSource();
+      this.sampleSource.start(0);
+    } else {
+      console.warn('SampleTrack started without audio; load a file first');
+    }
+    
+    // Call the parent class start method for fade-in
+    super.start();
+  }
+  
+  /**
+   * Schedule the sample source to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    if (this.sampleSource) {
+      this.sampleSource.stop(time);
+    }
+  }
+  
+  /**
+   * Stop the sample loop with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
+   * @return {Promise} Resolves when the track has stopped
+   */
+  async stop(fadeOutTime = this.fadeOutDuration) {
+    if (!this.isPlaying) return Promise.resolve();
+    
+    // Apply fade-out using parent method
+    await super.stop(fadeOutTime);
+    
+    // Clean up sample source (it stopped at the end of the fade-out)
+    if (this.sampleSource) {
+      this.sampleSource.disconnect();
+      this.sourceGain.disconnect();
+      this.sampleSource = null;
+      this.sourceGain = null;
+    }
+    
+    return Promise.resolve();
+  }
+  
+  /**
+   * Get the options that recreate this track. The audio itself is not
+   * included; presets refer to it by sampleId.
+   * @return {Object} Track options, including the sample reference and loop settings
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      sampleId: this.sampleId,
+      sampleName: this.sampleName,
+      trimStart: this.trimStart,
+      trimEnd: this.trimEnd,
+      loopCrossfade: this.loopCrossfade
+    };
+  }
+  
+  /**
+   * Create a copy of this track in another context, sharing the decoded audio
+   * @param {BaseAudioContext} audioContext - Context to build the copy in
+   * @param {Object} options - Options that override the configuration (e.g. destination)
+   * @return {SampleTrack} The new track
+   */
+  cloneTo(audioContext, options = {}) {
+    return super.cloneTo(audioContext, { buffer: this.buffer, ...options });
+  }
+  
+  /**
+   * Update sample track parameters
+   * @param {Object} params - Parameters to update
+   * @param {number} params.trimStart - New loop start in seconds
+   * @param {number|null} params.trimEnd - New loop end in seconds (null or 0 for the end of the file)
+   * @param {number} params.loopCrossfade - New loop crossfade in seconds
+   * @param {number} params.volume - New volume level (0-1)
+   */
+  update(params = {}) {
+    let loopChanged = false;
+    
+    if (typeof params.trimStart === 'number' && params.trimStart >= 0 && params.trimStart !== this.trimStart) {
+      this.trimStart = params.trimStart;
+      loopChanged = true;
+    }
+    
+    if (params.trimEnd === null || typeof params.trimEnd === 'number') {
+      const trimEnd = params.trimEnd > 0 ? params.trimEnd : null;
+      
+      if (trimEnd !== this.trimEnd) {
+        this.trimEnd = trimEnd;
+        loopChanged = true;
+      }
+    }
+    
+    if (typeof params.loopCrossfade === 'number' && params.loopCrossfade >= 0 &&
+        params.loopCrossfade !== this.loopCrossfade) {
+      this.loopCrossfade = params.loopCrossfade;
+      loopChanged = true;
+    }
+    
+    if (loopChanged) {
+      this._crossfadeToNewLoop();
+    }
+    
+    // Call parent update for common parameters like volume
+    super.update(params);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.isPlaying) {
+      this.stop();
+    }
+    
+    // Release the decoded audio
+    this.buffer = null;
+    this.loopBuffer = null;
+    
+    // Call parent dispose
+    super.dispose();
+  }
+}
\ No newline at end of file
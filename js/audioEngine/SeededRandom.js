@@ -0,0 +1,58 @@
+/**
+ * SeededRandom.js - Deterministic pseudo-random number generator
+ *
+ * Math.random() cannot be seeded, so anything that must sound the same in
+ * live playback and in an export (e.g. soundscape textures) draws its random
+ * numbers from this class instead. It implements the small and fast
+ * mulberry32 generator, which is more than good enough for audio noise.
+ */
+
+export default class SeededRandom {
+  /**
+   * Create a new SeededRandom
+   * @param {number} seed - Integer seed (default: 1)
+   */
+  constructor(seed = 1) {
+    this.seed = Math.floor(Number(seed)) >>> 0;
+    this.state = this.seed;
+  }
+  
+  /**
+   * Get the next random number
+   * @return {number} Value in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Get the next random number as an audio sample
+   * @return {number} Value in the range [-1, 1)
+   */
+  nextSample() {
+    return this.next() * 2 - 1;
+  }
+  
+  /**
+   * Get a random number within a range
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @return {number} Value in the range [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  /**
+   * Restart the sequence from the original seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * SessionProgram.js - Multi-stage session program for the Binaural Beats PWA
+ *
+ * A session program is an ordered list of stages, e.g.
+ * "5 min beta → 10 min alpha → 25 min theta → 5 min wake-up".
+ * Each stage has its own track configuration and duration, plus the length
+ * of the crossfade used when the program moves into it. Playback is driven
+ * by the AudioController.
+ */
+
+export default class SessionProgram {
+  /**
+   * Create a new SessionProgram
+   * @param {Object} options - Configuration options
+   * @param {string} options.name - Program name (default: 'Session Program')
+   * @param {Array<Object>} options.stages - Initial stages (see addStage)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'Session Program';
+    this.stages = [];
+
+    if (Array.isArray(options.stages)) {
+      options.stages.forEach(stage => this.addStage(stage));
+    }
+  }
+
+  /**
+   * Add a stage to the end of the program
+   * @param {Object} stage - Stage definition
+   * @param {string} stage.name - Stage name (default: 'Stage N')
+   * @param {number} stage.duration - Stage duration in seconds (must be > 0)
+   * @param {number} stage.crossfade - Crossfade into this stage in seconds, ending as the stage starts (default: 10)
+   * @param {Array<Object>} stage.tracks - Track configurations, as stored in presets
+   * @return {Object|null} The added stage, or null if the definition is invalid
+   */
+  addStage(stage = {}) {
+    if (typeof stage.duration !== 'number' || isNaN(stage.duration) || stage.duration <= 0) {
+      console.error('Stage duration must be a positive number of seconds');
+      return null;
+    }
+
+    const crossfade = typeof stage.crossfade === 'number' && stage.crossfade >= 0 ?
+      stage.crossfade : 10;
+
+    const newStage = {
+      name: stage.name || `Stage ${this.stages.length + 1}`,
+      duration: stage.duration,
+      crossfade,
+      tracks: Array.isArray(stage.tracks) ? stage.tracks.map(track => ({ ...track })) : []
+    };
+
+    this.stages.push(newStage);
+    return newStage;
+  }
+
+  /**
+   * Remove a stage
+   * @param {number} index - Stage index
+   * @return {boolean} Whether a stage was removed
+   */
+  removeStage(index) {
+    if (index < 0 || index >= this.stages.length) {
+      return false;
+    }
+
+    this.stages.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Move a stage to a new position
+   * @param {number} index - Current stage index
+   * @param {number} newIndex - New stage index
+   * @return {boolean} Whether the stage was moved
+   */
+  moveStage(index, newIndex) {
+    if (index < 0 || index >= this.stages.length || newIndex < 0 || newIndex >= this.stages.length) {
+      return false;
+    }
+
+    const [stage] = this.stages.splice(index, 1);
+    this.stages.splice(newIndex, 0, stage);
+    return true;
+  }
+
+  /**
+   * Check whether the program has any stages
+   * @return {boolean} True if the program is empty
+   */
+  isEmpty() {
+    return this.stages.length === 0;
+  }
+
+  /**
+   * Get the total program duration
+   * @return {number} Duration in seconds
+   */
+  getTotalDuration() {
+    return this.stages.reduce((total, stage) => total + stage.duration, 0);
+  }
+
+  /**
+   * Get the program position at which a stage begins
+   * @param {number} index - Stage index
+   * @return {number} Start time in seconds
+   */
+  getStageStartTime(index) {
+    let startTime = 0;
+
+    for (let i = 0; i < index && i < this.stages.length; i++) {
+      startTime += this.stages[i].duration;
+    }
+
+    return startTime;
+  }
+
+  /**
+   * Find the stage that is active at a program position
+   * @param {number} position - Program position in seconds
+   * @return {Object|null} { index, stage, offset } where offset is the position within the stage,
+   *   or null if the program is empty
+   */
+  getStageAt(position) {
+    if (this.isEmpty()) return null;
+
+    let stageStart = 0;
+
+    for (let i = 0; i < this.stages.length; i++) {
+      const stage = this.stages[i];
+
+      if (position < stageStart + stage.duration) {
+        return {
+          index: i,
+          stage,
+          offset: Math.max(0, position - stageStart)
+        };
+      }
+
+      stageStart += stage.duration;
+    }
+
+    // Past the end: report the end of the last stage
+    const lastIndex = this.stages.length - 1;
+    return {
+      index: lastIndex,
+      stage: this.stages[lastIndex],
+      offset: this.stages[lastIndex].duration
+    };
+  }
+
+  /**
+   * Convert the program to a plain object for storage
+   * @return {Object} Program definition ({ name, stages })
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      stages: this.stages.map(stage => ({
+        ...stage,
+        tracks: stage.tracks.map(track => ({ ...track }))
+      }))
+    };
+  }
+}
@@ -0,0 +1,533 @@
+/**
+ * SoundscapeTrack.js - Procedural nature soundscape track implementation
+ *
+ * This class extends the base Track class to build natural-sounding textures
+ * from filtered, modulated noise:
+ * - Rain: filtered hiss layered with individual droplet transients
+ * - Ocean: low-passed noise swept by slow swell LFOs
+ * - Wind: band-passed noise with irregular gusts
+ * - Stream: several resonant noise bands that babble at different rates
+ *
+ * All randomness comes from a SeededRandom, and the audio graph is built by a
+ * static method that works on any BaseAudioContext, so an export renders
+ * exactly what is heard during playback.
+ */
+
+import Track from './Track.js';
+import NoiseTrack from './NoiseTrack.js';
+import SeededRandom from './SeededRandom.js';
+import AudioClock from './AudioClock.js';
+
+export default class SoundscapeTrack extends Track {
+  /**
+   * Create a new SoundscapeTrack
+   * @param {AudioContext} audioContext - The Web Audio API context
+   * @param {Object} options - Configuration options
+   * @param {string} options.soundscape - Soundscape: 'rain', 'ocean', 'wind', or 'stream' (default: 'rain')
+   * @param {number} options.intensity - How strong the weather is (0-1, default: 0.5)
+   * @param {number} options.size - How large or distant the source is (0-1, default: 0.5)
+   * @param {number} options.seed - Random seed for the texture (default: 1)
+   * @param {number} options.volume - Initial volume (0-1)
+   */
+  constructor(audioContext, options = {}) {
+    // Set track type for offline rendering
+    options.type = 'soundscape';
+    
+    super(audioContext, options);
+    
+    this.soundscape = SoundscapeTrack.SOUNDSCAPES.includes(options.soundscape) ? options.soundscape : 'rain';
+    this.intensity = typeof options.intensity === 'number' ? Math.max(0, Math.min(1, options.intensity)) : 0.5;
+    this.size = typeof options.size === 'number' ? Math.max(0, Math.min(1, options.size)) : 0.5;
+    this.seed = Number.isInteger(options.seed) ? options.seed : 1;
+    
+    // Audio graph for the current settings (created on start)
+    this.graph = null;
+  }
+  
+  /**
+   * Supported soundscapes
+   * @return {Array<string>} Soundscape names
+   */
+  static get SOUNDSCAPES() {
+    return ['rain', 'ocean', 'wind', 'stream'];
+  }
+  
+  /**
+   * Get the settings that define the sound of this track
+   * @return {Object} { soundscape, intensity, size, seed }
+   */
+  getSettings() {
+    return {
+      soundscape: this.soundscape,
+      intensity: this.intensity,
+      size: this.size,
+      seed: this.seed
+    };
+  }
+  
+  /**
+   * Build the audio graph for a soundscape. The returned sources have not
+   * been started; the caller starts and stops them and connects the output.
+   * @param {BaseAudioContext} context - Context to build the graph in
+   * @param {Object} settings - Soundscape settings (see getSettings)
+   * @return {Object} { output: GainNode, sources: Array<AudioScheduledSourceNode>, nodes: Array<AudioNode> }
+   */
+  static buildGraph(context, settings) {
+    const graph = {
+      output: context.createGain(),
+      sources: [],
+      nodes: []
+    };
+    
+    const random = new SeededRandom(settings.seed);
+    
+    switch (settings.soundscape) {
+      case 'ocean':
+        SoundscapeTrack._buildOcean(context, graph, random, settings);
+        break;
+      case 'wind':
+        SoundscapeTrack._buildWind(context, graph, random, settings);
+        break;
+      case 'stream':
+        SoundscapeTrack._buildStream(context, graph, random, settings);
+        break;
+      case 'rain':
+      default:
+        SoundscapeTrack._buildRain(context, graph, random, settings);
+        break;
+    }
+    
+    return graph;
+  }
+  
+  /**
+   * Create a stereo noise buffer with independent channels, using the noise
+   * track's generators
+   * @private
+   * @param {BaseAudioContext} context - Context used to create the buffer
+   * @param {SeededRandom} random - Random number source
+   * @param {number} seconds - Buffer duration in seconds
+   * @param {string} color - Noise color, one of NoiseTrack.NOISE_TYPES
+   * @return {AudioBuffer} Noise buffer
+   */
+  static _createNoiseBuffer(context, random, seconds, color) {
+    const length = Math.floor(seconds * context.sampleRate);
+    const buffer = context.createBuffer(2, length, context.sampleRate);
+    
+    for (let channel = 0; channel < 2; channel++) {
+      NoiseTrack.generateNoise(buffer.getChannelData(channel), color, context.sampleRate, random);
+    }
+    
+    return buffer;
+  }
+  
+  /**
+   * Create a looping buffer source and register it with the graph
+   * @private
+   * @param {BaseAudioContext} context - Context to create the source in
+   * @param {Object} graph - Graph being built
+   * @param {AudioBuffer} buffer - Buffer to loop
+   * @return {AudioBufferSourceNode} The source
+   */
+  static _createLoopSource(context, graph, buffer) {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    graph.sources.push(source);
+    return source;
+  }
+  
+  /**
+   * Create a gain node and register it with the graph
+   * @private
+   * @param {BaseAudioContext} context - Context to create the node in
+   * @param {Object} graph - Graph being built
+   * @param {number} value - Initial gain
+   * @return {GainNode} The gain node
+   */
+  static _createGain(context, graph, value) {
+    const gain = context.createGain();
+    gain.gain.value = value;
+    graph.nodes.push(gain);
+    return gain;
+  }
+  
+  /**
+   * Create a biquad filter and register it with the graph
+   * @private
+   * @param {BaseAudioContext} context - Context to create the node in
+   * @param {Object} graph - Graph being built
+   * @param {string} type - Filter type
+   * @param {number} frequency - Cutoff or center frequency in Hz
+   * @param {number} Q - Filter Q
+   * @return {BiquadFilterNode} The filter
+   */
+  static _createFilter(context, graph, type, frequency, Q) {
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    graph.nodes.push(filter);
+    return filter;
+  }
+  
+  /**
+   * Modulate an AudioParam with a sine LFO
+   * @private
+   * @param {BaseAudioContext} context - Context to create the LFO in
+   * @param {Object} graph - Graph being built
+   * @param {number} frequency - LFO rate in Hz
+   * @param {number} depth - Modulation depth (in the units of the target)
+   * @param {AudioParam} target - Parameter to modulate
+   */
+  static _addLfo(context, graph, frequency, depth, target) {
+    const lfo = context.createOscillator();
+    lfo.type = 'sine';
+    lfo.frequency.value = frequency;
+    
+    const depthGain = SoundscapeTrack._createGain(context, graph, depth);
+    lfo.connect(depthGain);
+    depthGain.connect(target);
+    
+    graph.sources.push(lfo);
+  }
+  
+  /**
+   * Build rain: a filtered hiss plus a loop of individual droplets
+   * @private
+   * @param {BaseAudioContext} context - Context to build in
+   * @param {Object} graph - Graph being built
+   * @param {SeededRandom} random - Random number source
+   * @param {Object} settings - Soundscape settings
+   */
+  static _buildRain(context, graph, random, settings) {
+    const { intensity, size } = settings;
+    
+    // Background hiss of distant rain; larger rain sounds darker
+    const hissSource = SoundscapeTrack._createLoopSource(
+      context, graph, SoundscapeTrack._createNoiseBuffer(context, random, 4, 'pink'));
+    const hissFilter = SoundscapeTrack._createFilter(context, graph, 'highpass', 900 - size * 500, 0.7);
+    const hissGain = SoundscapeTrack._createGain(context, graph, 0.15 + intensity * 0.35);
+    hissSource.connect(hissFilter);
+    hissFilter.connect(hissGain);
+    hissGain.connect(graph.output);
+    
+    // Droplets: short decaying noise bursts at random times and positions.
+    // They are written with wrap-around so the buffer loops without a seam.
+    const seconds = 12;
+    const length = Math.floor(seconds * context.sampleRate);
+    const dropBuffer = context.createBuffer(2, length, context.sampleRate);
+    const left = dropBuffer.getChannelData(0);
+    const right = dropBuffer.getChannelData(1);
+    
+    const dropCount = Math.round(seconds * (20 + intensity * 180));
+    
+    for (let drop = 0; drop < dropCount; drop++) {
+      const start = Math.floor(random.next() * length);
+      const amplitude = random.range(0.05, 0.4);
+      const decay = random.range(0.002, 0.012) * (0.5 + size) * context.sampleRate;
+      const brightness = random.range(0.15, 0.8);
+      const pan = random.next();
+      const leftGain = Math.cos(pan * Math.PI / 2);
+      const rightGain = Math.sin(pan * Math.PI / 2);
+      
+      // One-pole low-pass: bigger drops are softer and duller
+      let filtered = 0;
+      const dropLength = Math.floor(decay * 5);
+      
+      for (let n = 0; n < dropLength; n++) {
+        const envelope = Math.exp(-n / decay);
+        filtered += brightness * (random.nextSample() - filtered);
+        const value = filtered * envelope * amplitude;
+        const index = (start + n) % length;
+        left[index] += value * leftGain;
+        right[index] += value * rightGain;
+      }
+    }
+    
+    const dropSource = SoundscapeTrack._createLoopSource(context, graph, dropBuffer);
+    const dropGain = SoundscapeTrack._createGain(context, graph, 0.5 + intensity * 0.3);
+    dropSource.connect(dropGain);
+    dropGain.connect(graph.output);
+  }
+  
+  /**
+   * Build ocean: low-passed noise whose cutoff and level follow slow swells
+   * @private
+   * @param {BaseAudioContext} context - Context to build in
+   * @param {Object} graph - Graph being built
+   * @param {SeededRandom} random - Random number source
+   * @param {Object} settings - Soundscape settings
+   */
+  static _buildOcean(context, graph, random, settings) {
+    const { intensity, size } = settings;
+    
+    // Bigger waves arrive more slowly
+    const swellPeriod = 6 + size * 8;
+    
+    // Two layers with unrelated periods so the swells never quite repeat
+    [
+      { color: 'brown', period: swellPeriod, level: 0.6 },
+      { color: 'pink', period: swellPeriod * random.range(1.3, 1.7), level: 0.3 }
+    ].forEach(layer => {
+      const source = SoundscapeTrack._createLoopSource(
+        context, graph, SoundscapeTrack._createNoiseBuffer(context, random, 6, layer.color));
+      
+      const cutoff = 400 + intensity * 900 - size * 200;
+      const filter = SoundscapeTrack._createFilter(context, graph, 'lowpass', cutoff, 0.5);
+      SoundscapeTrack._addLfo(context, graph, 1 / layer.period, cutoff * 0.7, filter.frequency);
+      
+      // The level rises and falls with the cutoff
+      const swellGain = SoundscapeTrack._createGain(context, graph, layer.level);
+      SoundscapeTrack._addLfo(context, graph, 1 / layer.period, layer.level * (0.4 + intensity * 0.5), swellGain.gain);
+      
+      source.connect(filter);
+      filter.connect(swellGain);
+      swellGain.connect(graph.output);
+    });
+  }
+  
+  /**
+   * Build wind: band-passed noise with irregular gusts and a faint howl
+   * @private
+   * @param {BaseAudioContext} context - Context to build in
+   * @param {Object} graph - Graph being built
+   * @param {SeededRandom} random - Random number source
+   * @param {Object} settings - Soundscape settings
+   */
+  static _buildWind(context, graph, random, settings) {
+    const { intensity, size } = settings;
+    
+    const source = SoundscapeTrack._createLoopSource(
+      context, graph, SoundscapeTrack._createNoiseBuffer(context, random, 6, 'pink'));
+    
+    // Larger spaces give a lower, broader rush
+    const center = 300 + (1 - size) * 700;
+    const gustDepth = center * (0.3 + intensity * 0.5);
+    
+    const bandFilter = SoundscapeTrack._createFilter(context, graph, 'bandpass', center, 0.8 + (1 - size) * 2);
+    SoundscapeTrack._addLfo(context, graph, random.range(0.05, 0.09), gustDepth * 0.6, bandFilter.frequency);
+    SoundscapeTrack._addLfo(context, graph, random.range(0.11, 0.17), gustDepth * 0.4, bandFilter.frequency);
+    
+    const gustGain = SoundscapeTrack._createGain(context, graph, 0.6 + intensity * 0.3);
+    SoundscapeTrack._addLfo(context, graph, random.range(0.07, 0.12), 0.2 + intensity * 0.2, gustGain.gain);
+    
+    source.connect(bandFilter);
+    bandFilter.connect(gustGain);
+    gustGain.connect(graph.output);
+    
+    // A narrow resonance an octave up adds the howl of strong wind
+    const howlFilter = SoundscapeTrack._createFilter(context, graph, 'bandpass', center * 2, 12);
+    SoundscapeTrack._addLfo(context, graph, random.range(0.03, 0.06), center * 0.5, howlFilter.frequency);
+    
+    const howlGain = SoundscapeTrack._createGain(context, graph, intensity * 0.5);
+    source.connect(howlFilter);
+    howlFilter.connect(howlGain);
+    howlGain.connect(graph.output);
+  }
+  
+  /**
+   * Build stream: resonant noise bands that wobble at different rates
+   * @private
+   * @param {BaseAudioContext} context - Context to build in
+   * @param {Object} graph - Graph being built
+   * @param {SeededRandom} random - Random number source
+   * @param {Object} settings - Soundscape settings
+   */
+  static _buildStream(context, graph, random, settings) {
+    const { intensity, size } = settings;
+    
+    const source = SoundscapeTrack._createLoopSource(
+      context, graph, SoundscapeTrack._createNoiseBuffer(context, random, 4, 'white'));
+    
+    // A bigger stream sounds lower
+    const scale = 1.3 - size * 0.6;
+    
+    [400, 800, 1500, 2600].forEach(baseFrequency => {
+      const center = baseFrequency * scale;
+      const filter = SoundscapeTrack._createFilter(context, graph, 'bandpass', center, random.range(4, 7));
+      SoundscapeTrack._addLfo(
+        context, graph, random.range(0.2, 1.2) * (0.5 + intensity), center * 0.3, filter.frequency);
+      
+      const bandGain = SoundscapeTrack._createGain(context, graph, 0.35 + intensity * 0.25);
+      
+      source.connect(filter);
+      filter.connect(bandGain);
+      bandGain.connect(graph.output);
+    });
+    
+    // Low body of the water
+    const bodyFilter = SoundscapeTrack._createFilter(context, graph, 'lowpass', 500 * scale, 0.7);
+    const bodyGain = SoundscapeTrack._createGain(context, graph, 0.1 + intensity * 0.1);
+    source.connect(bodyFilter);
+    bodyFilter.connect(bodyGain);
+    bodyGain.connect(graph.output);
+  }
+  
+  /**
+   * Start all sources of a graph
+   * @private
+   * @param {Object} graph - Graph to start
+   * @param {number} when - Context time to start at
+   */
+  _startGraph(graph, when) {
+    graph.output.connect(this.gainNode);
+    graph.sources.forEach(source => source.start(when));
+  }
+  
+  /**
+   * Schedule all sources of a graph to stop
+   * @private
+   * @param {Object} graph - Graph to stop
+   * @param {number} when - Context time to stop at
+   */
+  _stopGraph(graph, when) {
+    graph.sources.forEach(source => source.stop(when));
+  }
+  
+  /**
+   * Disconnect a graph whose sources have stopped
+   * @private
+   * @param {Object} graph - Graph to dispose
+   */
+  _disposeGraph(graph) {
+    graph.sources.forEach(source => source.disconnect());
+    graph.nodes.forEach(node => node.disconnect());
+    graph.output.disconnect();
+  }
+  
+  /**
+   * Replace the playing graph with one built from the current settings,
+   * crossfading between the two so parameter changes do not cut out.
+   * While the track is fading out its sources are already scheduled to stop,
+   * so the graph is left as it is.
+   * @private
+   */
+  _crossfadeToNewGraph() {
+    if (this.stopTime !== null) return;
+    
+    const crossfade = 0.5;
+    const now = this.audioContext.currentTime;
+    const oldGraph = this.graph;
+    
+    this.graph = SoundscapeTrack.buildGraph(this.audioContext, this.getSettings());
+    this.graph.output.gain.setValueAtTime(0, now);
+    this.graph.output.gain.linearRampToValueAtTime(1, now + crossfade);
+    this._startGraph(this.graph, now);
+    
+    if (oldGraph) {
+      oldGraph.output.gain.setValueAtTime(oldGraph.output.gain.value, now);
+      oldGraph.output.gain.linearRampToValueAtTime(0, now + crossfade);
+      this._stopGraph(oldGraph, now + crossfade);
+      AudioClock.forContext(this.audioContext).schedule(now + crossfade, () => this._disposeGraph(oldGraph));
+    }
+  }
+  
+  /**
+   * Start the soundscape with fade-in
+   */
+  start() {
+    if (this.isPlaying) return;
+    
+    this.graph = SoundscapeTrack.buildGraph(this.audioContext, this.getSettings());
+    this._startGraph(this.graph, this.audioContext.currentTime);
+    
+    // Call the parent class start method for fade-in
+    super.start();
+  }
+  
+  /**
+   * Schedule the graph's sources to stop at the end of the fade-out
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    if (this.graph) {
+      this._stopGraph(this.graph, time);
+    }
+  }
+  
+  /**
+   * Stop the soundscape with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
+   * @return {Promise} Resolves when the track has stopped
+   */
+  async stop(fadeOutTime = this.fadeOutDuration) {
+    if (!this.isPlaying) return Promise.resolve();
+    
+    // Apply fade-out using parent method
+    await super.stop(fadeOutTime);
+    
+    if (this.graph) {
+      this._disposeGraph(this.graph);
+      this.graph = null;
+    }
+    
+    return Promise.resolve();
+  }
+  
+  /**
+   * Get the options that recreate this track
+   * @return {Object} Track options, including the soundscape settings
+   */
+  getConfiguration() {
+    return {
+      ...super.getConfiguration(),
+      ...this.getSettings()
+    };
+  }
+  
+  /**
+   * Update soundscape track parameters
+   * @param {Object} params - Parameters to update
+   * @param {string} params.soundscape - New soundscape ('rain', 'ocean', 'wind', or 'stream')
+   * @param {number} params.intensity - New intensity (0-1)
+   * @param {number} params.size - New size (0-1)
+   * @param {number} params.seed - New random seed
+   * @param {number} params.volume - New volume level (0-1)
+   */
+  update(params = {}) {
+    let settingsChanged = false;
+    
+    if (SoundscapeTrack.SOUNDSCAPES.includes(params.soundscape) && params.soundscape !== this.soundscape) {
+      this.soundscape = params.soundscape;
+      settingsChanged = true;
+    }
+    
+    if (typeof params.intensity === 'number') {
+      const intensity = Math.max(0, Math.min(1, params.intensity));
+      settingsChanged = settingsChanged || intensity !== this.intensity;
+      this.intensity = intensity;
+    }
+    
+    if (typeof params.size === 'number') {
+      const size = Math.max(0, Math.min(1, params.size));
+      settingsChanged = settingsChanged || size !== this.size;
+      this.size = size;
+    }
+    
+    if (Number.isInteger(params.seed) && params.seed !== this.seed) {
+      this.seed = params.seed;
+      settingsChanged = true;
+    }
+    
+    if (settingsChanged && this.isPlaying) {
+      this._crossfadeToNewGraph();
+    }
+    
+    // Call parent update for common parameters like volume
+    super.update(params);
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.isPlaying) {
+      this.stop();
+    }
+    
+    // Call parent dispose
+    super.dispose();
+  }
+}
\ No newline at end of file
@@ -3,18 +3,37 @@
  * 
  * This class serves as the foundation for all audio tracks in the application.
  * It provides common functionality and structure for different track types.
+ *
+ * Tracks build their audio graph in any BaseAudioContext. AudioExporter
+ * renders exports by cloning the live tracks into an OfflineAudioContext
+ * (see cloneTo), so playback and exports come from the same code.
  */
 
+import AutomationLane from './AutomationLane.js';
+import Reverb from './Reverb.js';
+import AudioClock from './AudioClock.js';
+import FadeCurve from './FadeCurve.js';
+import EqualLoudness from './EqualLoudness.js';
+
+// Counter that keeps generated track IDs unique when several tracks
+// are created within the same millisecond (e.g. when loading a preset)
+let trackCounter = 0;
+
 export default class Track {
   /**
    * Create a new Track
-   * @param {AudioContext} audioContext - The Web Audio API context
+   * @param {BaseAudioContext} audioContext - The Web Audio API context (live or offline)
    * @param {Object} options - Configuration options for the track
    * @param {string} options.id - Unique identifier for the track
    * @param {number} options.volume - Initial volume (0-1)
    * @param {number} options.fadeInDuration - Fade-in duration in seconds (default: 2)
    * @param {number} options.fadeOutDuration - Fade-out duration in seconds (default: 1)
+   * @param {string} options.fadeCurve - Fade curve: 'linear', 'exponential', 'equal-power' or 's-curve' (default: 'linear')
    * @param {string} options.type - Track type (set by subclasses)
+   * @param {Object} options.automation - Automation breakpoints keyed by parameter name
+   * @param {AudioNode} options.destination - Node to connect the track output to (default: audioContext.destination)
+   * @param {Object} options.reverb - Reverb settings ({ type, mix, decay }), or null for none
+   * @param {boolean} options.equalLoudness - Apply equal-loudness compensation (tonal tracks only, default: false)
    */
   constructor(audioContext, options = {}) {
     if (!audioContext) {
@@ -22,25 +41,84 @@ export default class Track {
     }
     
     this.audioContext = audioContext;
-    this.id = options.id || `track-${Date.now()}`;
+    this.id = options.id || `track-${Date.now()}-${trackCounter++}`;
     this.isPlaying = false;
     
+    // Context time at which a pending fade-out ends, or null if not stopping
+    this.stopTime = null;
+    
     // Track type (will be set by subclasses)
     this.type = options.type || 'base';
     
+    // Target volume; the gain node follows it except while fading
+    this.volume = typeof options.volume === 'number' ?
+      Math.max(0, Math.min(1, options.volume)) : 0.7;
+    
     // Create the track's gain node for volume control
     this.gainNode = this.audioContext.createGain();
-    this.gainNode.gain.value = typeof options.volume === 'number' ?
-      Math.max(0, Math.min(1, options.volume)) : 0.7;
+    this.gainNode.gain.value = this.volume;
     
-    // Connect the gain node to the destination (output)
-    this.gainNode.connect(this.audioContext.destination);
+    // Connect the gain node to the master bus (or straight to the output)
+    this.destination = options.destination || this.audioContext.destination;
+    this.gainNode.connect(this.destination);
+    
+    // Optional reverb between the gain node and the destination
+    this.reverb = null;
+    if (options.reverb) {
+      this.setReverb(options.reverb);
+    }
     
     // Fade durations in seconds (with defaults)
     this.fadeInDuration = typeof options.fadeInDuration === 'number' && options.fadeInDuration >= 0 ?
       options.fadeInDuration : 2;
     this.fadeOutDuration = typeof options.fadeOutDuration === 'number' && options.fadeOutDuration >= 0 ?
       options.fadeOutDuration : 1;
+    
+    // Shape of the fades
+    this.fadeCurve = FadeCurve.isValid(options.fadeCurve) ? options.fadeCurve : FadeCurve.DEFAULT;
+    
+    // Parameters that may be automated (set by subclasses)
+    this.automatableParameters = [];
+    
+    // Automation lanes keyed by parameter name
+    this.automation = {};
+    
+    // Context time that corresponds to automation position 0
+    this.automationStartTime = 0;
+    
+    // Equal-loudness compensation (created by tonal subclasses)
+    this.loudnessCompensation = null;
+  }
+  
+  /**
+   * Create the equal-loudness stage in front of the gain node.
+   * Called by tonal subclasses, which connect their tones to the returned
+   * input and drive the stage with their carrier frequency.
+   * @protected
+   * @param {boolean} enabled - Whether the compensation starts enabled
+   * @return {AudioNode} Node to connect the tones to
+   */
+  _initEqualLoudness(enabled) {
+    this.loudnessCompensation = new EqualLoudness(this.audioContext, { enabled });
+    this.loudnessCompensation.connect(this.gainNode);
+    return this.loudnessCompensation.input;
+  }
+  
+  /**
+   * Register the parameters that can be automated and load their lanes.
+   * Called by subclasses once their own state is set up.
+   * @protected
+   * @param {Array<string>} parameters - Automatable parameter names
+   * @param {Object} automation - Breakpoint arrays keyed by parameter name (from options.automation)
+   */
+  _initAutomation(parameters, automation = null) {
+    this.automatableParameters = parameters;
+    
+    if (automation) {
+      for (const [parameter, breakpoints] of Object.entries(automation)) {
+        this.setAutomation(parameter, breakpoints);
+      }
+    }
   }
   
   /**
@@ -48,7 +126,7 @@ export default class Track {
    * @return {number} Current volume (0-1)
    */
   getVolume() {
-    return this.gainNode.gain.value;
+    return this.volume;
   }
   
   /**
@@ -57,11 +135,12 @@ export default class Track {
    */
   setVolume(volume) {
     const safeVolume = Math.max(0, Math.min(1, volume));
+    this.volume = safeVolume;
     
     // If currently playing, apply a smooth transition
     if (this.isPlaying) {
       const now = this.audioContext.currentTime;
-      this.gainNode.gain.cancelScheduledValues(now);
+      FadeCurve.cancel(this.gainNode.gain, now);
       this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
       this.gainNode.gain.linearRampToValueAtTime(safeVolume, now + 0.1);
     } else {
@@ -71,37 +150,112 @@ export default class Track {
     return safeVolume;
   }
   
+  /**
+   * Add, update or remove the track's reverb
+   * @param {Object|null} settings - Reverb settings ({ type, mix, decay }), or null to remove it
+   */
+  setReverb(settings) {
+    if (!settings) {
+      if (this.reverb) {
+        this.gainNode.disconnect(this.reverb.input);
+        this.gainNode.connect(this.destination);
+        this.reverb.dispose();
+        this.reverb = null;
+      }
+      return;
+    }
+    
+    if (this.reverb) {
+      this.reverb.update(settings);
+      return;
+    }
+    
+    this.reverb = new Reverb(this.audioContext, settings);
+    this.reverb.connect(this.destination);
+    this.gainNode.connect(this.reverb.input);
+    this.gainNode.disconnect(this.destination);
+  }
+  
+  /**
+   * Get the track's reverb settings
+   * @return {Object|null} Reverb settings ({ type, mix, decay }), or null if there is no reverb
+   */
+  getReverb() {
+    return this.reverb ? this.reverb.getSettings() : null;
+  }
+  
   /**
    * Apply fade-in effect
    * @private
    */
   _applyFadeIn() {
     const now = this.audioContext.currentTime;
-    this.gainNode.gain.cancelScheduledValues(now);
+    FadeCurve.cancel(this.gainNode.gain, now);
     
-    // Start from zero and ramp up to the target volume
-    const targetVolume = this.gainNode.gain.value;
-    this.gainNode.gain.setValueAtTime(0, now);
-    this.gainNode.gain.linearRampToValueAtTime(targetVolume, now + this.fadeInDuration);
+    // Start from zero and fade up to the target volume
+    FadeCurve.schedule(this.gainNode.gain, 0, this.volume, now, this.fadeInDuration, this.fadeCurve);
   }
   
   /**
-   * Apply fade-out effect
+   * Apply fade-out effect and schedule the sources to stop when it ends.
+   * While the context is not running (suspended in the background, interrupted,
+   * or waiting for a user gesture) its clock stands still and a fade would
+   * never finish, so the track is silenced and stopped right away instead.
    * @private
-   * @return {Promise} Resolves when fade-out is complete
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
+   * @return {Promise} Resolves on the audio clock when fade-out is complete
    */
-  _applyFadeOut() {
-    return new Promise(resolve => {
-      const now = this.audioContext.currentTime;
-      const currentVolume = this.gainNode.gain.value;
-      
-      this.gainNode.gain.cancelScheduledValues(now);
-      this.gainNode.gain.setValueAtTime(currentVolume, now);
-      this.gainNode.gain.linearRampToValueAtTime(0, now + this.fadeOutDuration);
-      
-      // Resolve the promise after the fade-out duration
-      setTimeout(resolve, this.fadeOutDuration * 1000);
-    });
+  _applyFadeOut(fadeOutTime = this.fadeOutDuration) {
+    const now = this.audioContext.currentTime;
+    
+    if (this.audioContext.state !== 'running') {
+      FadeCurve.cancel(this.gainNode.gain, now);
+      this.gainNode.gain.setValueAtTime(0, now);
+      this.stopTime = now;
+      this._scheduleSourceStop(now);
+      return Promise.resolve(now);
+    }
+    const endTime = now + fadeOutTime;
+    const currentVolume = this.gainNode.gain.value;
+    
+    FadeCurve.cancel(this.gainNode.gain, now);
+    FadeCurve.schedule(this.gainNode.gain, currentVolume, 0, now, fadeOutTime, this.fadeCurve);
+    
+    // The sources stop exactly at the end of the fade, even if the main thread is throttled
+    this.stopTime = endTime;
+    this._scheduleSourceStop(endTime);
+    
+    return AudioClock.forContext(this.audioContext).waitUntil(endTime);
+  }
+  
+  /**
+   * Schedule the track's sources to stop at a context time
+   * This method should be overridden by subclasses
+   * @protected
+   * @param {number} time - Context time at which the sources stop
+   */
+  _scheduleSourceStop(time) {
+    // No sources in the base class
+  }
+  
+  /**
+   * Schedule a fade-out that ends at a given context time without stopping
+   * the track, e.g. at the end of an offline render
+   * @param {number} endTime - Context time at which the track is silent
+   */
+  scheduleFadeOut(endTime) {
+    const startTime = Math.max(this.audioContext.currentTime, endTime - this.fadeOutDuration);
+    
+    // In a short render the fade-out cuts the fade-in short
+    const fadeInProgress = this.fadeInDuration > 0 ?
+      (startTime - this.automationStartTime) / this.fadeInDuration : 1;
+    const startVolume = FadeCurve.getValue(this.fadeCurve, 0, this.volume, fadeInProgress);
+    
+    if (fadeInProgress < 1) {
+      FadeCurve.cancel(this.gainNode.gain, startTime);
+    }
+    
+    FadeCurve.schedule(this.gainNode.gain, startVolume, 0, startTime, endTime - startTime, this.fadeCurve);
   }
   
   /**
@@ -112,18 +266,25 @@ export default class Track {
     if (this.isPlaying) return;
     
     this.isPlaying = true;
+    this.stopTime = null;
+    
+    // Automation lanes run from the moment the track starts
+    this.automationStartTime = this.audioContext.currentTime;
+    this._applyAutomation(this.automationStartTime, 0);
+    
     this._applyFadeIn();
   }
   
   /**
    * Stop the track with fade-out
+   * @param {number} fadeOutTime - Fade-out duration in seconds (default: the track's fade-out duration)
    * @return {Promise} Resolves when the track has stopped
    */
-  async stop() {
+  async stop(fadeOutTime = this.fadeOutDuration) {
     if (!this.isPlaying) return Promise.resolve();
     
     // Apply fade-out effect
-    await this._applyFadeOut();
+    await this._applyFadeOut(fadeOutTime);
     
     this.isPlaying = false;
     return Promise.resolve();
@@ -168,7 +329,48 @@ export default class Track {
     }
     return this.fadeOutDuration;
   }
-
+  
+  /**
+   * Get the fade curve
+   * @return {string} Fade curve type
+   */
+  getFadeCurve() {
+    return this.fadeCurve;
+  }
+  
+  /**
+   * Set the fade curve
+   * @param {string} curve - 'linear', 'exponential', 'equal-power' or 's-curve'
+   * @return {string} The actual curve set
+   */
+  setFadeCurve(curve) {
+    if (FadeCurve.isValid(curve)) {
+      this.fadeCurve = curve;
+    }
+    return this.fadeCurve;
+  }
+  
+  /**
+   * Check whether equal-loudness compensation is applied
+   * @return {boolean} True if enabled (always false for tracks without a carrier)
+   */
+  getEqualLoudness() {
+    return this.loudnessCompensation ? this.loudnessCompensation.isEnabled() : false;
+  }
+  
+  /**
+   * Switch equal-loudness compensation on or off
+   * Tracks without a carrier frequency ignore this.
+   * @param {boolean} enabled - Whether to apply the compensation
+   * @return {boolean} The actual setting
+   */
+  setEqualLoudness(enabled) {
+    if (this.loudnessCompensation) {
+      this.loudnessCompensation.setEnabled(enabled, !this.isPlaying);
+    }
+    return this.getEqualLoudness();
+  }
+  
   /**
    * Update track parameters
    * This method should be overridden by subclasses
@@ -176,6 +378,8 @@ export default class Track {
    * @param {number} params.volume - New volume level (0-1)
    * @param {number} params.fadeInDuration - New fade-in duration in seconds
    * @param {number} params.fadeOutDuration - New fade-out duration in seconds
+   * @param {string} params.fadeCurve - New fade curve
+   * @param {boolean} params.equalLoudness - Whether to apply equal-loudness compensation
    */
   update(params = {}) {
     if (typeof params.volume === 'number') {
@@ -189,6 +393,193 @@ export default class Track {
     if (typeof params.fadeOutDuration === 'number') {
       this.setFadeOutDuration(params.fadeOutDuration);
     }
+    
+    if (typeof params.fadeCurve === 'string') {
+      this.setFadeCurve(params.fadeCurve);
+    }
+    
+    if (params.reverb !== undefined) {
+      this.setReverb(params.reverb);
+    }
+    
+    if (typeof params.equalLoudness === 'boolean') {
+      this.setEqualLoudness(params.equalLoudness);
+    }
+  }
+  
+  /**
+   * Get the options that recreate this track (without its ID or destination).
+   * Subclasses add their own parameters.
+   * @return {Object} Track options, including the track type
+   */
+  getConfiguration() {
+    const configuration = {
+      type: this.type,
+      volume: this.volume,
+      fadeInDuration: this.fadeInDuration,
+      fadeOutDuration: this.fadeOutDuration,
+      fadeCurve: this.fadeCurve
+    };
+    
+    if (this.hasAutomation()) {
+      configuration.automation = this.getAutomationConfiguration();
+    }
+    
+    if (this.reverb) {
+      configuration.reverb = this.getReverb();
+    }
+    
+    if (this.loudnessCompensation) {
+      configuration.equalLoudness = this.getEqualLoudness();
+    }
+    
+    return configuration;
+  }
+  
+  /**
+   * Create a copy of this track in another context, e.g. an OfflineAudioContext
+   * for export. The copy is not started.
+   * @param {BaseAudioContext} audioContext - Context to build the copy in
+   * @param {Object} options - Options that override the configuration (e.g. destination)
+   * @return {Track} The new track
+   */
+  cloneTo(audioContext, options = {}) {
+    return new this.constructor(audioContext, { ...this.getConfiguration(), ...options });
+  }
+  
+  /**
+   * Set the automation lane for a parameter
+   * @param {string} parameter - Parameter name (e.g. 'beatFrequency')
+   * @param {Array<Object>} breakpoints - Breakpoints ({ time, value, curve }); empty clears the lane
+   * @return {AutomationLane|null} The lane, or null if cleared or the parameter cannot be automated
+   */
+  setAutomation(parameter, breakpoints) {
+    if (!this.automatableParameters.includes(parameter)) {
+      console.warn(`Parameter "${parameter}" cannot be automated on ${this.type} tracks`);
+      return null;
+    }
+    
+    const lane = new AutomationLane(breakpoints);
+    
+    if (lane.isEmpty()) {
+      delete this.automation[parameter];
+    } else {
+      this.automation[parameter] = lane;
+    }
+    
+    // Reschedule from the current position so the change is heard immediately
+    if (this.isPlaying) {
+      this._applyAutomation(this.audioContext.currentTime, this.getAutomationPosition());
+    }
+    
+    return this.automation[parameter] || null;
+  }
+  
+  /**
+   * Get the automation lane for a parameter
+   * @param {string} parameter - Parameter name
+   * @return {AutomationLane|null} The lane, or null if the parameter is not automated
+   */
+  getAutomation(parameter) {
+    return this.automation[parameter] || null;
+  }
+  
+  /**
+   * Remove the automation lane for a parameter
+   * @param {string} parameter - Parameter name
+   */
+  clearAutomation(parameter) {
+    this.setAutomation(parameter, []);
+  }
+  
+  /**
+   * Check whether any parameter is automated
+   * @return {boolean} True if at least one lane exists
+   */
+  hasAutomation() {
+    return Object.keys(this.automation).length > 0;
+  }
+  
+  /**
+   * Get all automation lanes as plain breakpoint arrays (for presets)
+   * @return {Object} Breakpoint arrays keyed by parameter name
+   */
+  getAutomationConfiguration() {
+    const configuration = {};
+    
+    for (const [parameter, lane] of Object.entries(this.automation)) {
+      configuration[parameter] = lane.toJSON();
+    }
+    
+    return configuration;
+  }
+  
+  /**
+   * Get the current position within the automation lanes
+   * @return {number} Position in seconds (0 when not playing)
+   */
+  getAutomationPosition() {
+    if (!this.isPlaying) return 0;
+    return Math.max(0, this.audioContext.currentTime - this.automationStartTime);
+  }
+  
+  /**
+   * Jump to a position within the automation lanes. A negative position holds
+   * the start of the lanes until that many seconds from now.
+   * @param {number} position - Position in seconds
+   */
+  seekAutomation(position) {
+    if (!this.isPlaying) return;
+    
+    const now = this.audioContext.currentTime;
+    
+    this.automationStartTime = now - position;
+    this._applyAutomation(now, position);
+  }
+  
+  /**
+   * Get the effective value of a parameter, taking automation into account
+   * @param {string} parameter - Parameter name
+   * @return {number} Current value
+   */
+  getParameterValue(parameter) {
+    const lane = this.getAutomation(parameter);
+    
+    if (lane) {
+      return lane.getValueAtTime(this.getAutomationPosition());
+    }
+    
+    return this[parameter];
+  }
+  
+  /**
+   * Schedule a parameter from its automation lane, or hold its static value
+   * @protected
+   * @param {string} parameter - Parameter name
+   * @param {AudioParam} param - The AudioParam that carries the value
+   * @param {number} startTime - Context time to start scheduling from
+   * @param {number} offset - Automation position at startTime in seconds
+   */
+  _scheduleParameter(parameter, param, startTime, offset) {
+    const lane = this.getAutomation(parameter);
+    
+    if (lane) {
+      lane.scheduleOn(param, startTime, offset);
+    } else {
+      param.cancelScheduledValues(startTime);
+      param.setValueAtTime(this[parameter], startTime);
+    }
+  }
+  
+  /**
+   * Apply automation lanes to the track's audio nodes
+   * This method should be overridden by subclasses that support automation
+   * @protected
+   * @param {number} startTime - Context time to start scheduling from
+   * @param {number} offset - Automation position at startTime in seconds
+   */
+  _applyAutomation(startTime, offset) {
+    // No automatable parameters in the base class
   }
   
   /**
@@ -201,5 +592,15 @@ export default class Track {
     
     // Disconnect from the audio graph
     this.gainNode.disconnect();
+    
+    if (this.loudnessCompensation) {
+      this.loudnessCompensation.dispose();
+      this.loudnessCompensation = null;
+    }
+    
+    if (this.reverb) {
+      this.reverb.dispose();
+      this.reverb = null;
+    }
   }
 }
\ No newline at end of file
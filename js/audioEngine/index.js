@@ -7,8 +7,19 @@
 import AudioController from './AudioController.js';
 import Track from './Track.js';
 import BinauralTrack from './BinauralTrack.js';
+import MonauralTrack from './MonauralTrack.js';
 import IsochronicTrack from './IsochronicTrack.js';
 import NoiseTrack from './NoiseTrack.js';
+import SoundscapeTrack from './SoundscapeTrack.js';
+import SampleTrack from './SampleTrack.js';
+import SeededRandom from './SeededRandom.js';
+import AutomationLane from './AutomationLane.js';
+import SessionProgram from './SessionProgram.js';
+import MasterBus from './MasterBus.js';
+import Reverb from './Reverb.js';
+import AudioClock from './AudioClock.js';
+import FadeCurve from './FadeCurve.js';
+import EqualLoudness from './EqualLoudness.js';
 import AudioExporter from '../audioExporter.js';
 
 // Export all components
@@ -16,8 +27,19 @@ export {
   AudioController,
   Track,
   BinauralTrack,
+  MonauralTrack,
   IsochronicTrack,
   NoiseTrack,
+  SoundscapeTrack,
+  SampleTrack,
+  SeededRandom,
+  AutomationLane,
+  SessionProgram,
+  MasterBus,
+  Reverb,
+  AudioClock,
+  FadeCurve,
+  EqualLoudness,
   AudioExporter
 };
 
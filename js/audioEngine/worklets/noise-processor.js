@@ -0,0 +1,105 @@
+/**
+ * noise-processor.js - AudioWorklet noise generator for the Binaural Beats PWA
+ *
+ * Generates white, pink and brown noise sample by sample from a seeded
+ * PRNG on the audio thread, so the noise never repeats and has no loop
+ * seam. The generators are the same as NoiseTrack.generateNoise:
+ * - White noise: uniform random samples
+ * - Pink noise: Paul Kellet's refined filter
+ * - Brown noise: leaky integrated white noise
+ *
+ * Loaded by NoiseTrack.loadWorklet. Send 'stop' on the port to end the processor.
+ */
+
+import SeededRandom from '../SeededRandom.js';
+
+// Output gains that match the level of NoiseTrack's peak-normalized noise buffers
+const OUTPUT_GAINS = {
+  white: 1,
+  pink: 0.14,
+  brown: 4.2
+};
+
+class NoiseProcessor extends AudioWorkletProcessor {
+  /**
+   * Create a new NoiseProcessor
+   * @param {Object} options - AudioWorkletNode options
+   * @param {Object} options.processorOptions - { noiseType: 'white' | 'pink' | 'brown', seed: integer }
+   */
+  constructor(options = {}) {
+    super();
+    
+    const processorOptions = options.processorOptions || {};
+    this.noiseType = OUTPUT_GAINS[processorOptions.noiseType] ? processorOptions.noiseType : 'white';
+    this.outputGain = OUTPUT_GAINS[this.noiseType];
+    
+    const seed = Number.isInteger(processorOptions.seed) ? processorOptions.seed : 1;
+    
+    // Each channel gets an independent generator and its own filter state
+    this.channels = [0, 1].map(channel => ({
+      random: new SeededRandom(seed + channel),
+      pink: [0, 0, 0, 0, 0, 0, 0],
+      brown: 0
+    }));
+    
+    this.isActive = true;
+    this.port.onmessage = event => {
+      if (event.data === 'stop') {
+        this.isActive = false;
+      }
+    };
+  }
+  
+  /**
+   * Generate the next sample for a channel
+   * @private
+   * @param {Object} state - Channel generator state
+   * @return {number} Sample in the range [-1, 1]
+   */
+  _nextSample(state) {
+    const white = state.random.nextSample();
+    let sample;
+    
+    if (this.noiseType === 'pink') {
+      const b = state.pink;
+      b[0] = 0.99886 * b[0] + white * 0.0555179;
+      b[1] = 0.99332 * b[1] + white * 0.0750759;
+      b[2] = 0.96900 * b[2] + white * 0.1538520;
+      b[3] = 0.86650 * b[3] + white * 0.3104856;
+      b[4] = 0.55000 * b[4] + white * 0.5329522;
+      b[5] = -0.7616 * b[5] - white * 0.0168980;
+      sample = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+      b[6] = white * 0.115926;
+    } else if (this.noiseType === 'brown') {
+      state.brown = (state.brown + 0.02 * white) / 1.02;
+      sample = state.brown;
+    } else {
+      sample = white;
+    }
+    
+    return Math.max(-1, Math.min(1, sample * this.outputGain));
+  }
+  
+  /**
+   * Fill the output with noise
+   * @param {Array} inputs - Unused
+   * @param {Array} outputs - Output buffers
+   * @return {boolean} False once the processor has been stopped
+   */
+  process(inputs, outputs) {
+    const output = outputs[0];
+    
+    for (let channel = 0; channel < output.length; channel++) {
+      const state = this.channels[Math.min(channel, this.channels.length - 1)];
+      const data = output[channel];
+      
+      for (let i = 0; i < data.length; i++) {
+        data[i] = this._nextSample(state);
+      }
+    }
+    
+    return this.isActive;
+  }
+}
+
+registerProcessor('noise-processor', NoiseProcessor);
\ No newline at end of file
@@ -6,6 +6,9 @@
  * Uses OfflineAudioContext for fast, non-realtime rendering.
  */
 
+import MasterBus from './audioEngine/MasterBus.js';
+import NoiseTrack from './audioEngine/NoiseTrack.js';
+
 export default class AudioExporter {
   /**
    * Create a new AudioExporter
@@ -47,11 +50,16 @@ export default class AudioExporter {
     this.exportProgress = 0;
     this.exportCancelled = false;
     this.exportFilename = ''; // Custom filename
+    this.seedOverride = null; // Noise seed for offline rendering (null: use the tracks' seeds)
+    this.earBalance = null; // Ear balance for offline rendering (null: none)
     
     // Source and destination nodes
     this.sourceNode = null;
     this.destinationNode = null;
     
+    // Master bus settings reproduced in the offline graph
+    this.masterBusSettings = null;
+    
     // Callbacks
     this.onProgress = null;
     this.onComplete = null;
@@ -90,9 +98,10 @@ export default class AudioExporter {
    * Set up the audio nodes for export
    * @param {AudioNode} sourceNode - The audio node to export from (typically the master gain node)
    * @param {Array} [tracks] - Optional array of tracks for offline rendering
+   * @param {Object} [masterBusSettings] - Master bus EQ and limiter settings for offline rendering
    * @return {boolean} Success status
    */
-  setupRecording(sourceNode, tracks = []) {
+  setupRecording(sourceNode, tracks = [], masterBusSettings = null) {
     if (!this.isSupported) {
       this._handleError('Neither MediaRecorder nor OfflineAudioContext is supported in this browser');
       return false;
@@ -104,6 +113,7 @@ export default class AudioExporter {
       
       // Store connected tracks for offline rendering
       this.sourceNode._connectedTracks = tracks;
+      this.masterBusSettings = masterBusSettings;
       
       // If MediaRecorder is supported, set up for real-time recording as fallback
       if (typeof MediaRecorder !== 'undefined') {
@@ -130,6 +140,9 @@ export default class AudioExporter {
    * @param {Object} options.mp3Options - MP3 encoding options
    * @param {number} options.mp3Options.bitRate - MP3 bitrate in kbps (128, 192, 256, 320)
    * @param {string} options.mp3Options.quality - MP3 quality: 'low', 'medium', 'high'
+   * @param {number} options.seed - Noise seed that overrides the noise tracks' own seeds (optional)
+   * @param {Object} options.earBalance - Ear balance to render into the export: { left, right } in dB (optional;
+   *   offline rendering only, real-time recording never includes it)
    * @param {Function} options.onProgress - Progress callback (receives a value from 0-100)
    * @param {Function} options.onComplete - Completion callback (receives the exported audio blob)
    * @param {Function} options.onError - Error callback (receives the error message)
@@ -185,6 +198,8 @@ export default class AudioExporter {
     // Set export options
     this.recordingDuration = Math.min(options.duration || 60, this.maxDuration);
     this.exportFormat = options.format || 'wav';
+    this.seedOverride = Number.isInteger(options.seed) ? options.seed : null;
+    this.earBalance = options.earBalance || null;
     this.onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
     this.onComplete = typeof options.onComplete === 'function' ? options.onComplete : null;
     this.onError = typeof options.onError === 'function' ? options.onError : null;
@@ -255,10 +270,14 @@ export default class AudioExporter {
           return reject(new Error('Invalid source node'));
         }
         
-        // Create a gain node in the offline context to serve as our output
-        const offlineGain = this.offlineContext.createGain();
-        offlineGain.gain.value = this.sourceNode.gain.value;
-        offlineGain.connect(this.offlineContext.destination);
+        // Recreate the master bus in the offline context; tracks connect to its input
+        const masterBus = new MasterBus(this.offlineContext, {
+          ...(this.masterBusSettings || {}),
+          volume: this.sourceNode.gain.value,
+          balance: this.earBalance || {}
+        });
+        masterBus.connect(this.offlineContext.destination);
+        const offlineGain = masterBus.input;
         
         // We'll need to get all tracks from the AudioController
         // This will be passed in from the AudioController when it calls startExport
@@ -275,39 +294,14 @@ export default class AudioExporter {
           return resolve();
         }
         
-        // Clone each track into the offline context
-        const trackPromises = tracks.map(track => this._cloneTrackToOfflineContext(track, offlineGain));
-        
-        // Wait for all tracks to be cloned
-        Promise.all(trackPromises)
-          .then(() => resolve())
-          .catch(error => reject(error));
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }
-  
-  /**
-   * Clone a track to the offline context
-   * @private
-   * @param {Track} track - The track to clone
-   * @param {GainNode} outputNode - The node to connect the cloned track to
-   * @return {Promise} Promise that resolves when the track is cloned
-   */
-  _cloneTrackToOfflineContext(track, outputNode) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Different track types need different handling
-        if (track.type === 'binaural') {
-          this._cloneBinauralTrack(track, outputNode).then(resolve).catch(reject);
-        } else if (track.type === 'isochronic') {
-          this._cloneIsochronicTrack(track, outputNode).then(resolve).catch(reject);
-        } else if (track.type === 'noise') {
-          this._cloneNoiseTrack(track, outputNode).then(resolve).catch(reject);
-        } else {
-          reject(new Error(`Unknown track type: ${track.type}`));
-        }
+        // Load the noise worklet into the offline context first, so noise
+        // tracks render with the same generator as live playback
+        NoiseTrack.loadWorklet(this.offlineContext).then(() => {
+          // Recreate each track in the offline context
+          tracks.forEach((track, index) => this._createOfflineTrack(track, offlineGain, index));
+          
+          resolve();
+        }).catch(error => reject(error));
       } catch (error) {
         reject(error);
       }
@@ -315,241 +309,29 @@ export default class AudioExporter {
   }
   
   /**
-   * Clone a binaural track to the offline context
-   * @private
-   * @param {BinauralTrack} track - The binaural track to clone
-   * @param {GainNode} outputNode - The node to connect the cloned track to
-   * @return {Promise} Promise that resolves when the track is cloned
-   */
-  _cloneBinauralTrack(track, outputNode) {
-    return new Promise((resolve) => {
-      // Create oscillators for left and right channels
-      const leftOsc = this.offlineContext.createOscillator();
-      const rightOsc = this.offlineContext.createOscillator();
-      
-      // Set frequencies
-      leftOsc.frequency.value = track.leftFrequency;
-      rightOsc.frequency.value = track.rightFrequency;
-      
-      // Set oscillator types (sine wave is best for binaural beats)
-      leftOsc.type = 'sine';
-      rightOsc.type = 'sine';
-      
-      // Create stereo panners
-      const leftPanner = this.offlineContext.createStereoPanner();
-      const rightPanner = this.offlineContext.createStereoPanner();
-      
-      // Set panning
-      leftPanner.pan.value = -1;  // Full left
-      rightPanner.pan.value = 1;  // Full right
-      
-      // Create gain node for track volume
-      const trackGain = this.offlineContext.createGain();
-      trackGain.gain.value = track.getVolume();
-      
-      // Connect everything
-      leftOsc.connect(leftPanner);
-      rightOsc.connect(rightPanner);
-      leftPanner.connect(trackGain);
-      rightPanner.connect(trackGain);
-      trackGain.connect(outputNode);
-      
-      // Apply fade-in and fade-out
-      const now = 0;
-      const duration = this.recordingDuration;
-      const fadeInDuration = track.fadeInDuration || 2;
-      const fadeOutDuration = track.fadeOutDuration || 1;
-      
-      // Start with zero gain and ramp up for fade-in
-      trackGain.gain.setValueAtTime(0, now);
-      trackGain.gain.linearRampToValueAtTime(track.getVolume(), now + fadeInDuration);
-      
-      // Ramp down to zero at the end for fade-out
-      if (duration > fadeOutDuration) {
-        trackGain.gain.setValueAtTime(track.getVolume(), duration - fadeOutDuration);
-        trackGain.gain.linearRampToValueAtTime(0, duration);
-      }
-      
-      // Start oscillators
-      leftOsc.start(now);
-      rightOsc.start(now);
-      
-      // Stop oscillators at the end
-      leftOsc.stop(duration);
-      rightOsc.stop(duration);
-      
-      resolve();
-    });
-  }
-  
-  /**
-   * Clone an isochronic track to the offline context
-   * @private
-   * @param {IsochronicTrack} track - The isochronic track to clone
-   * @param {GainNode} outputNode - The node to connect the cloned track to
-   * @return {Promise} Promise that resolves when the track is cloned
-   */
-  _cloneIsochronicTrack(track, outputNode) {
-    return new Promise((resolve) => {
-      // Create carrier oscillator
-      const carrierOsc = this.offlineContext.createOscillator();
-      carrierOsc.frequency.value = track.carrierFrequency;
-      carrierOsc.type = 'sine';
-      
-      // Create LFO for amplitude modulation
-      const lfo = this.offlineContext.createOscillator();
-      lfo.frequency.value = track.beatFrequency;
-      lfo.type = 'sine';
-      
-      // Create gain nodes
-      const trackGain = this.offlineContext.createGain();
-      trackGain.gain.value = track.getVolume();
-      
-      const modulationGain = this.offlineContext.createGain();
-      modulationGain.gain.value = 0; // Will be controlled by LFO
-      
-      // Create wave shaper for LFO to create sharper on/off effect
-      const waveShaper = this.offlineContext.createWaveShaper();
-      waveShaper.curve = this._createPulseWaveShaper();
-      
-      // Connect LFO through wave shaper to modulation gain
-      lfo.connect(waveShaper);
-      waveShaper.connect(modulationGain.gain);
-      
-      // Connect carrier through modulation gain to track gain
-      carrierOsc.connect(modulationGain);
-      modulationGain.connect(trackGain);
-      trackGain.connect(outputNode);
-      
-      // Apply fade-in and fade-out
-      const now = 0;
-      const duration = this.recordingDuration;
-      const fadeInDuration = track.fadeInDuration || 2;
-      const fadeOutDuration = track.fadeOutDuration || 1;
-      
-      // Start with zero gain and ramp up for fade-in
-      trackGain.gain.setValueAtTime(0, now);
-      trackGain.gain.linearRampToValueAtTime(track.getVolume(), now + fadeInDuration);
-      
-      // Ramp down to zero at the end for fade-out
-      if (duration > fadeOutDuration) {
-        trackGain.gain.setValueAtTime(track.getVolume(), duration - fadeOutDuration);
-        trackGain.gain.linearRampToValueAtTime(0, duration);
-      }
-      
-      // Start oscillators
-      carrierOsc.start(now);
-      lfo.start(now);
-      
-      // Stop oscillators at the end
-      carrierOsc.stop(duration);
-      lfo.stop(duration);
-      
-      resolve();
-    });
-  }
-  
-  /**
-   * Create a wave shaper curve for pulse wave generation
+   * Recreate a track in the offline context and schedule it for the whole export.
+   * The track builds the same graph it plays live, so the export sounds like playback.
    * @private
-   * @return {Float32Array} Wave shaper curve
+   * @param {Track} track - The live track
+   * @param {AudioNode} outputNode - The node to connect the offline track to
+   * @param {number} index - Position of the track, used to derive its noise seed from the export seed
+   * @return {Track} The offline track
    */
-  _createPulseWaveShaper() {
-    const curve = new Float32Array(256);
-    for (let i = 0; i < 128; i++) {
-      curve[i] = 0;
-    }
-    for (let i = 128; i < 256; i++) {
-      curve[i] = 1;
+  _createOfflineTrack(track, outputNode, index = 0) {
+    const options = { destination: outputNode };
+    
+    // An export seed gives every noise track its own seed derived from it
+    if (this.seedOverride !== null && track.type === 'noise') {
+      options.seed = this.seedOverride + index;
     }
-    return curve;
-  }
-  
-  /**
-   * Clone a noise track to the offline context
-   * @private
-   * @param {NoiseTrack} track - The noise track to clone
-   * @param {GainNode} outputNode - The node to connect the cloned track to
-   * @return {Promise} Promise that resolves when the track is cloned
-   */
-  _cloneNoiseTrack(track, outputNode) {
-    return new Promise((resolve) => {
-      // Create buffer source for noise
-      const bufferSize = 2 * this.offlineContext.sampleRate;
-      const noiseBuffer = this.offlineContext.createBuffer(2, bufferSize, this.offlineContext.sampleRate);
-      
-      // Generate noise based on type
-      const generateNoise = (channelData) => {
-        if (track.noiseType === 'white') {
-          // White noise: random values between -1 and 1
-          for (let i = 0; i < bufferSize; i++) {
-            channelData[i] = Math.random() * 2 - 1;
-          }
-        } else if (track.noiseType === 'pink') {
-          // Pink noise: filtered white noise
-          let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-          for (let i = 0; i < bufferSize; i++) {
-            const white = Math.random() * 2 - 1;
-            b0 = 0.99886 * b0 + white * 0.0555179;
-            b1 = 0.99332 * b1 + white * 0.0750759;
-            b2 = 0.96900 * b2 + white * 0.1538520;
-            b3 = 0.86650 * b3 + white * 0.3104856;
-            b4 = 0.55000 * b4 + white * 0.5329522;
-            b5 = -0.7616 * b5 - white * 0.0168980;
-            channelData[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
-            channelData[i] *= 0.11; // Scale to keep in range [-1, 1]
-            b6 = white * 0.115926;
-          }
-        } else if (track.noiseType === 'brown') {
-          // Brown noise: integrated white noise
-          let lastOut = 0;
-          for (let i = 0; i < bufferSize; i++) {
-            const white = Math.random() * 2 - 1;
-            lastOut = (lastOut + (0.02 * white)) / 1.02;
-            channelData[i] = lastOut * 3.5; // Scale to keep in range [-1, 1]
-          }
-        }
-      };
-      
-      // Fill both channels with noise
-      generateNoise(noiseBuffer.getChannelData(0));
-      generateNoise(noiseBuffer.getChannelData(1));
-      
-      // Create buffer source
-      const noiseSource = this.offlineContext.createBufferSource();
-      noiseSource.buffer = noiseBuffer;
-      noiseSource.loop = true;
-      
-      // Create gain node for track volume
-      const trackGain = this.offlineContext.createGain();
-      trackGain.gain.value = track.getVolume();
-      
-      // Connect noise source to track gain
-      noiseSource.connect(trackGain);
-      trackGain.connect(outputNode);
-      
-      // Apply fade-in and fade-out
-      const now = 0;
-      const duration = this.recordingDuration;
-      const fadeInDuration = track.fadeInDuration || 2;
-      const fadeOutDuration = track.fadeOutDuration || 1;
-      
-      // Start with zero gain and ramp up for fade-in
-      trackGain.gain.setValueAtTime(0, now);
-      trackGain.gain.linearRampToValueAtTime(track.getVolume(), now + fadeInDuration);
-      
-      // Ramp down to zero at the end for fade-out
-      if (duration > fadeOutDuration) {
-        trackGain.gain.setValueAtTime(track.getVolume(), duration - fadeOutDuration);
-        trackGain.gain.linearRampToValueAtTime(0, duration);
-      }
-      
-      // Start noise source
-      noiseSource.start(now);
-      noiseSource.stop(duration);
-      
-      resolve();
-    });
+    
+    const offlineTrack = track.cloneTo(this.offlineContext, options);
+    
+    // Fade in from the start and fade out at the end of the export
+    offlineTrack.start();
+    offlineTrack.scheduleFadeOut(this.recordingDuration);
+    
+    return offlineTrack;
   }
   
   /**
@@ -0,0 +1,508 @@
+/**
+ * EarBalanceCalibration.js - Left/right ear balance calibration for the Binaural Beats PWA
+ *
+ * Many people hear less in one ear, which makes binaural beats lopsided.
+ * This class runs a short calibration: for each ear the listener sets a tone
+ * to the level where it is only just audible (threshold) and to a comfortable
+ * level. The difference between the ears becomes a gain compensation on the
+ * master bus, applied by lowering the better ear, so it never adds gain.
+ * The result is stored in local storage and applied on every visit.
+ */
+
+// Local storage key for the calibration
+const STORAGE_KEY = 'binauralBeats_earBalance';
+
+// Calibration tone (Hz) and level range (dB relative to full scale, before the master volume)
+const TONE_FREQUENCY = 400;
+const MIN_LEVEL = -80;
+const MAX_LEVEL = -6;
+
+// Largest compensation (dB)
+const MAX_COMPENSATION = 24;
+
+// Measurements taken during the calibration, in order
+const STEPS = [
+  {
+    ear: 'left',
+    measure: 'threshold',
+    title: 'Left ear: quietest level',
+    instruction: 'A tone is playing in your left ear. Lower the slider until you can only just hear it.',
+    startLevel: -40
+  },
+  {
+    ear: 'left',
+    measure: 'comfort',
+    title: 'Left ear: comfortable level',
+    instruction: 'Now move the slider until the tone in your left ear is at a comfortable listening level.',
+    startLevel: -24
+  },
+  {
+    ear: 'right',
+    measure: 'threshold',
+    title: 'Right ear: quietest level',
+    instruction: 'A tone is playing in your right ear. Lower the slider until you can only just hear it.',
+    startLevel: -40
+  },
+  {
+    ear: 'right',
+    measure: 'comfort',
+    title: 'Right ear: comfortable level',
+    instruction: 'Now move the slider until the tone in your right ear is at a comfortable listening level.',
+    startLevel: -24
+  }
+];
+
+export default class EarBalanceCalibration {
+  /**
+   * Create a new EarBalanceCalibration
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {HTMLElement} options.modal - Modal that holds the calibration
+   * @param {HTMLElement} options.titleElement - Element for the step title
+   * @param {HTMLElement} options.instructionElement - Element for the step instruction or the result
+   * @param {HTMLElement} options.levelControl - Container of the level slider (hidden on the result screen)
+   * @param {HTMLInputElement} options.levelSlider - Tone level slider (dB)
+   * @param {HTMLElement} options.levelDisplay - Element showing the tone level
+   * @param {HTMLButtonElement} options.nextButton - Confirms a measurement
+   * @param {HTMLButtonElement} options.applyButton - Applies the result
+   * @param {HTMLElement} options.statusElement - Element showing the current compensation
+   * @param {Function} options.onBeforeStart - Called before the first tone (e.g. to stop playback); may return a
+   *   Promise, and measuring waits for it so a fade-out does not skew the first readings
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    this.onBeforeStart = options.onBeforeStart || null;
+    
+    // DOM elements
+    this.modal = options.modal || null;
+    this.titleElement = options.titleElement || null;
+    this.instructionElement = options.instructionElement || null;
+    this.levelControl = options.levelControl || null;
+    this.levelSlider = options.levelSlider || null;
+    this.levelDisplay = options.levelDisplay || null;
+    this.nextButton = options.nextButton || null;
+    this.applyButton = options.applyButton || null;
+    this.statusElement = options.statusElement || null;
+    
+    // Stored calibration: { left, right, measurements }
+    this.calibration = this._loadCalibration();
+    
+    // Calibration in progress
+    this.stepIndex = -1;
+    this.measurements = null;
+    this.result = null;
+    this.previousBalance = null;
+    this.toneNodes = null;
+    
+    if (this.audioController) {
+      this.audioController.setEarBalance(this.getBalance());
+    }
+    
+    if (this.modal) {
+      this.modal.querySelectorAll('.close-button, .ear-balance-cancel-button').forEach(button => {
+        button.addEventListener('click', () => this.close());
+      });
+      
+      // Close when clicking outside the modal content
+      this.modal.addEventListener('click', event => {
+        if (event.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+    
+    if (this.levelSlider) {
+      this.levelSlider.min = MIN_LEVEL.toString();
+      this.levelSlider.max = MAX_LEVEL.toString();
+      this.levelSlider.addEventListener('input', () => this._setToneLevel(parseFloat(this.levelSlider.value)));
+    }
+    
+    if (this.nextButton) {
+      this.nextButton.addEventListener('click', () => this._next());
+    }
+    
+    if (this.applyButton) {
+      this.applyButton.addEventListener('click', () => this.apply());
+    }
+    
+    this._updateStatus();
+  }
+  
+  /**
+   * Compute the compensation from the measured levels. The ear that needs
+   * more level (by the average of the threshold and comfort differences) is
+   * left as is, and the other ear is lowered by the difference.
+   * @param {Object} measurements - Levels in dB: { left: { threshold, comfort }, right: { threshold, comfort } }
+   * @return {Object} Gains in dB: { left, right }
+   */
+  static computeBalance(measurements) {
+    const { left, right } = measurements;
+    const difference = ((right.threshold - left.threshold) + (right.comfort - left.comfort)) / 2;
+    
+    // Round to half a dB; the measurement is not more precise than that
+    const compensation = Math.min(MAX_COMPENSATION, Math.round(Math.abs(difference) * 2) / 2);
+    
+    if (compensation === 0) {
+      return { left: 0, right: 0 };
+    }
+    
+    return difference > 0 ? { left: -compensation, right: 0 } : { left: 0, right: -compensation };
+  }
+  
+  /**
+   * Get the stored compensation
+   * @return {Object} Gains in dB: { left, right }
+   */
+  getBalance() {
+    return {
+      left: this.calibration ? this.calibration.left : 0,
+      right: this.calibration ? this.calibration.right : 0
+    };
+  }
+  
+  /**
+   * Check whether a compensation is applied
+   * @return {boolean} True if either ear is lowered
+   */
+  isCalibrated() {
+    const { left, right } = this.getBalance();
+    return left !== 0 || right !== 0;
+  }
+  
+  /**
+   * Remove the compensation
+   */
+  reset() {
+    this.calibration = null;
+    this._saveCalibration(null);
+    
+    if (this.audioController) {
+      this.audioController.setEarBalance({ left: 0, right: 0 });
+    }
+    
+    this._updateStatus();
+  }
+  
+  /**
+   * Open the calibration and play the first tone
+   * @return {Promise<void>} Resolves when the first tone has started
+   */
+  async open() {
+    if (!this.modal || !this.audioController) return;
+    
+    this.modal.classList.add('active');
+    
+    if (typeof this.onBeforeStart === 'function') {
+      // Playback fades out on the master bus, which would lower the first tone
+      this._showStopping();
+      await this.onBeforeStart();
+      
+      // Closed while waiting
+      if (!this.modal.classList.contains('active')) return;
+    }
+    
+    // Measure without the current compensation
+    this.previousBalance = this.audioController.getEarBalance();
+    this.audioController.setEarBalance({ left: 0, right: 0 });
+    
+    this.measurements = { left: {}, right: {} };
+    this.result = null;
+    this._showStep(0);
+  }
+  
+  /**
+   * Show that the calibration is waiting for playback to stop
+   * @private
+   */
+  _showStopping() {
+    if (this.titleElement) {
+      this.titleElement.textContent = 'Stopping playback…';
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = 'The calibration starts as soon as playback has faded out.';
+    }
+    
+    [this.levelControl, this.nextButton, this.applyButton].forEach(element => {
+      if (element) {
+        element.hidden = true;
+      }
+    });
+  }
+  
+  /**
+   * Stop the tone and close the calibration, keeping the previous compensation
+   * unless the result was applied
+   */
+  close() {
+    this._stopTone();
+    this.stepIndex = -1;
+    
+    if (this.previousBalance && this.audioController) {
+      this.audioController.setEarBalance(this.previousBalance);
+    }
+    
+    if (this.audioController) {
+      this.audioController.releaseAuxiliaryInput();
+    }
+    
+    this.previousBalance = null;
+    
+    if (this.modal) {
+      this.modal.classList.remove('active');
+    }
+  }
+  
+  /**
+   * Apply and store the result of the calibration
+   */
+  apply() {
+    if (!this.result) return;
+    
+    this.calibration = {
+      ...this.result,
+      measurements: this.measurements,
+      date: new Date().toISOString()
+    };
+    this._saveCalibration(this.calibration);
+    
+    // Closing restores this instead of the old compensation
+    this.previousBalance = this.getBalance();
+    this._updateStatus();
+    this.close();
+  }
+  
+  /**
+   * Show a measurement step and play its tone
+   * @private
+   * @param {number} index - Step index
+   */
+  _showStep(index) {
+    const step = STEPS[index];
+    this.stepIndex = index;
+    
+    if (this.titleElement) {
+      this.titleElement.textContent = `${step.title} (${index + 1}/${STEPS.length})`;
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = step.instruction;
+    }
+    
+    if (this.levelControl) {
+      this.levelControl.hidden = false;
+    }
+    
+    if (this.levelSlider) {
+      this.levelSlider.value = step.startLevel.toString();
+    }
+    
+    if (this.nextButton) {
+      this.nextButton.hidden = false;
+    }
+    
+    if (this.applyButton) {
+      this.applyButton.hidden = true;
+    }
+    
+    this._playTone(step.ear === 'left' ? 0 : 1, step.startLevel);
+  }
+  
+  /**
+   * Store the current level and go on to the next step, or show the result
+   * @private
+   */
+  _next() {
+    const step = STEPS[this.stepIndex];
+    if (!step) return;
+    
+    this.measurements[step.ear][step.measure] = parseFloat(this.levelSlider.value);
+    
+    if (this.stepIndex < STEPS.length - 1) {
+      this._showStep(this.stepIndex + 1);
+    } else {
+      this._showResult();
+    }
+  }
+  
+  /**
+   * Show the measured levels and the resulting compensation
+   * @private
+   */
+  _showResult() {
+    this._stopTone();
+    this.stepIndex = -1;
+    this.result = EarBalanceCalibration.computeBalance(this.measurements);
+    
+    const { left, right } = this.measurements;
+    const describe = (label, levels) => `${label}: quietest ${levels.threshold} dB, comfortable ${levels.comfort} dB.`;
+    
+    if (this.titleElement) {
+      this.titleElement.textContent = 'Result';
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = [
+        describe('Left ear', left),
+        describe('Right ear', right),
+        this.result.left === 0 && this.result.right === 0 ?
+          'Your ears are balanced, so no compensation is needed.' :
+          `Compensation: ${this._formatBalance(this.result)}.`
+      ].join(' ');
+    }
+    
+    if (this.levelControl) {
+      this.levelControl.hidden = true;
+    }
+    
+    if (this.nextButton) {
+      this.nextButton.hidden = true;
+    }
+    
+    if (this.applyButton) {
+      this.applyButton.hidden = false;
+    }
+  }
+  
+  /**
+   * Format a gain, e.g. "−3.5 dB"
+   * @private
+   * @param {number} value - Gain in dB
+   * @return {string} Formatted gain
+   */
+  _formatGain(value) {
+    return value === 0 ? '0 dB' : `${value.toFixed(1).replace('-', '−')} dB`;
+  }
+  
+  /**
+   * Describe a compensation, e.g. "left −3.5 dB, right 0 dB"
+   * @private
+   * @param {Object} balance - Gains in dB: { left, right }
+   * @return {string} Description
+   */
+  _formatBalance(balance) {
+    return `left ${this._formatGain(balance.left)}, right ${this._formatGain(balance.right)}`;
+  }
+  
+  /**
+   * Show the current compensation
+   * @private
+   */
+  _updateStatus() {
+    if (!this.statusElement) return;
+    
+    const { left, right } = this.getBalance();
+    this.statusElement.textContent = this.isCalibrated() ?
+      `L ${this._formatGain(left)} · R ${this._formatGain(right)}` :
+      'Not calibrated';
+  }
+  
+  /**
+   * Play the calibration tone in one channel
+   * @private
+   * @param {number} channel - Output channel (0: left, 1: right)
+   * @param {number} level - Tone level in dB
+   */
+  _playTone(channel, level) {
+    this._stopTone();
+    
+    const input = this.audioController.getAuxiliaryInput();
+    if (!input) return;
+    
+    const audioContext = this.audioController.audioContext;
+    
+    const oscillator = audioContext.createOscillator();
+    oscillator.frequency.value = TONE_FREQUENCY;
+    
+    const gain = audioContext.createGain();
+    gain.gain.value = 0;
+    
+    const merger = audioContext.createChannelMerger(2);
+    
+    oscillator.connect(gain);
+    gain.connect(merger, 0, channel);
+    merger.connect(input);
+    oscillator.start();
+    
+    this.toneNodes = { oscillator, gain, merger };
+    this._setToneLevel(level);
+  }
+  
+  /**
+   * Change the level of the calibration tone
+   * @private
+   * @param {number} level - Tone level in dB
+   */
+  _setToneLevel(level) {
+    if (this.levelDisplay) {
+      this.levelDisplay.textContent = `${Math.round(level)} dB`;
+    }
+    
+    if (!this.toneNodes) return;
+    
+    const { gain } = this.toneNodes;
+    gain.gain.setTargetAtTime(Math.pow(10, level / 20), this.audioController.audioContext.currentTime, 0.02);
+  }
+  
+  /**
+   * Stop the calibration tone
+   * @private
+   */
+  _stopTone() {
+    if (!this.toneNodes) return;
+    
+    const { oscillator, gain, merger } = this.toneNodes;
+    this.toneNodes = null;
+    
+    oscillator.stop();
+    oscillator.disconnect();
+    gain.disconnect();
+    merger.disconnect();
+  }
+  
+  /**
+   * Load the calibration from local storage
+   * @private
+   * @return {Object|null} Stored calibration, or null if there is none
+   */
+  _loadCalibration() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      
+      if (saved) {
+        const calibration = JSON.parse(saved);
+        
+        if (typeof calibration.left === 'number' && typeof calibration.right === 'number') {
+          return calibration;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load ear balance from local storage:', error);
+    }
+    return null;
+  }
+  
+  /**
+   * Save the calibration to local storage
+   * @private
+   * @param {Object|null} calibration - Calibration to store, or null to remove it
+   */
+  _saveCalibration(calibration) {
+    try {
+      if (calibration) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Failed to save ear balance to local storage:', error);
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.close();
+  }
+}
\ No newline at end of file
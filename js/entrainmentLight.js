@@ -0,0 +1,440 @@
+/**
+ * EntrainmentLight.js - Audio-visual entrainment light mode for the Binaural Beats PWA
+ *
+ * This class shows a full-screen light that pulses at the beat frequency of
+ * the playing beat track. The pulse phase is integrated from the AudioContext
+ * clock (not setInterval), so it stays locked to the audio and follows beat
+ * automation.
+ *
+ * Flickering light can trigger seizures in people with photosensitive
+ * epilepsy, so the mode is gated:
+ * - A warning must be acknowledged every time the mode is started
+ * - Beats of 3 Hz and above only flicker if that is explicitly allowed
+ * - Beats the display cannot draw (at or above half its frame rate) show a
+ *   steady light, because they would alias to a slower flicker
+ * - With prefers-reduced-motion the light never flickers
+ * - Brightness swings are limited to a moderate range
+ */
+
+// Frame rate assumed until it has been measured (Hz)
+const DEFAULT_FRAME_RATE = 60;
+
+// Frame intervals longer than this are ignored when measuring (ms)
+const MAX_FRAME_INTERVAL = 250;
+
+// Weight of each new frame in the frame rate estimate
+const FRAME_RATE_SMOOTHING = 0.1;
+
+export default class EntrainmentLight {
+  /**
+   * Create a new EntrainmentLight
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {HTMLElement} options.overlay - Full-screen overlay that displays the light
+   * @param {HTMLElement} options.statusElement - Element inside the overlay for status text
+   * @param {HTMLElement} options.warningModal - Modal with the photosensitivity warning
+   * @param {HTMLInputElement} options.acknowledgeCheckbox - Checkbox to acknowledge the warning
+   * @param {HTMLInputElement} options.allowFlickerCheckbox - Checkbox to allow flicker at 3 Hz and above
+   * @param {HTMLButtonElement} options.startButton - Button in the warning modal that starts the light
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    
+    // DOM elements
+    this.overlay = options.overlay || null;
+    this.statusElement = options.statusElement || null;
+    this.warningModal = options.warningModal || null;
+    this.acknowledgeCheckbox = options.acknowledgeCheckbox || null;
+    this.allowFlickerCheckbox = options.allowFlickerCheckbox || null;
+    this.startButton = options.startButton || null;
+    
+    // Brightness range of the light (HSL lightness in %)
+    this.minLightness = 8;
+    this.maxLightness = 45;
+    
+    // State
+    this.isRunning = false;
+    this.allowPhotosensitiveRange = false;
+    this.animationFrame = null;
+    
+    // Display frame rate, measured from the animation frames
+    this.frameRate = DEFAULT_FRAME_RATE;
+    this.lastFrameTimestamp = null;
+    
+    // Phase tracking
+    this.track = null;
+    this.phase = 0;
+    this.lastTime = 0;
+    this.lastFrequency = 0;
+    
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleFullscreenChange = this._handleFullscreenChange.bind(this);
+    
+    this._setupWarningModal();
+    
+    if (this.overlay) {
+      this.overlay.addEventListener('click', () => this.stop());
+    }
+  }
+  
+  /**
+   * Lowest flicker frequency (Hz) that needs explicit permission. Flicker
+   * from 3 Hz up can trigger photosensitive seizures; faster beats are
+   * gated too, since the display may show them as a slower flicker.
+   * @return {number} Frequency in Hz
+   */
+  static get PHOTOSENSITIVE_THRESHOLD() {
+    return 3;
+  }
+  
+  /**
+   * Check whether flicker at a frequency needs explicit permission
+   * @param {number} frequency - Frequency in Hz
+   * @return {boolean} True if the frequency is at or above the threshold
+   */
+  static isPhotosensitiveFrequency(frequency) {
+    return frequency >= EntrainmentLight.PHOTOSENSITIVE_THRESHOLD;
+  }
+  
+  /**
+   * Check whether a display can draw flicker at a frequency. At or above
+   * half the frame rate the flicker aliases to a different, slower rate.
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} frameRate - Display frame rate in Hz
+   * @return {boolean} True if the flicker can be drawn faithfully
+   */
+  static isDisplayableFrequency(frequency, frameRate) {
+    return frequency < frameRate / 2;
+  }
+  
+  /**
+   * Check whether the user has asked the system to minimize motion
+   * @return {boolean} True if prefers-reduced-motion is set
+   */
+  static prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+  
+  /**
+   * Wire up the warning modal controls
+   * @private
+   */
+  _setupWarningModal() {
+    if (!this.warningModal) return;
+    
+    if (this.acknowledgeCheckbox && this.startButton) {
+      this.acknowledgeCheckbox.addEventListener('change', () => {
+        this.startButton.disabled = !this.acknowledgeCheckbox.checked;
+      });
+    }
+    
+    if (this.startButton) {
+      this.startButton.addEventListener('click', () => {
+        if (this.acknowledgeCheckbox && !this.acknowledgeCheckbox.checked) return;
+        
+        const allowFlicker = this.allowFlickerCheckbox ? this.allowFlickerCheckbox.checked : false;
+        this.warningModal.classList.remove('active');
+        this.start(allowFlicker);
+      });
+    }
+    
+    const closeButtons = this.warningModal.querySelectorAll('.close-button, .light-cancel-button');
+    closeButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.warningModal.classList.remove('active');
+      });
+    });
+  }
+  
+  /**
+   * Show the photosensitivity warning; the light starts once it is acknowledged
+   */
+  open() {
+    if (!this.warningModal) return;
+    
+    // The warning has to be acknowledged again every time
+    if (this.acknowledgeCheckbox) {
+      this.acknowledgeCheckbox.checked = false;
+    }
+    
+    if (this.allowFlickerCheckbox) {
+      this.allowFlickerCheckbox.checked = false;
+    }
+    
+    if (this.startButton) {
+      this.startButton.disabled = true;
+    }
+    
+    this.warningModal.classList.add('active');
+  }
+  
+  /**
+   * Start the light
+   * @param {boolean} allowPhotosensitiveRange - Whether flicker at 3 Hz and above was confirmed
+   */
+  start(allowPhotosensitiveRange = false) {
+    if (this.isRunning || !this.overlay) return;
+    
+    this.isRunning = true;
+    this.allowPhotosensitiveRange = !!allowPhotosensitiveRange;
+    this.track = null;
+    this.frameRate = DEFAULT_FRAME_RATE;
+    this.lastFrameTimestamp = null;
+    
+    this.overlay.classList.add('active');
+    
+    // Full screen where supported (the overlay already covers the viewport)
+    if (typeof this.overlay.requestFullscreen === 'function') {
+      this.overlay.requestFullscreen().catch(() => {});
+    }
+    
+    document.addEventListener('keydown', this._handleKeyDown);
+    document.addEventListener('fullscreenchange', this._handleFullscreenChange);
+    
+    const renderFrame = timestamp => {
+      this._measureFrameRate(timestamp);
+      this._render();
+      this.animationFrame = requestAnimationFrame(renderFrame);
+    };
+    
+    this.animationFrame = requestAnimationFrame(renderFrame);
+  }
+  
+  /**
+   * Stop the light
+   */
+  stop() {
+    if (!this.isRunning) return;
+    
+    this.isRunning = false;
+    
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    
+    document.removeEventListener('keydown', this._handleKeyDown);
+    document.removeEventListener('fullscreenchange', this._handleFullscreenChange);
+    
+    if (document.fullscreenElement === this.overlay && typeof document.exitFullscreen === 'function') {
+      document.exitFullscreen().catch(() => {});
+    }
+    
+    this.overlay.classList.remove('active');
+    this.overlay.style.backgroundColor = '';
+    this.track = null;
+  }
+  
+  /**
+   * Check whether the light is running
+   * @return {boolean} True if the light is running
+   */
+  isActive() {
+    return this.isRunning;
+  }
+  
+  /**
+   * Exit on Escape
+   * @private
+   * @param {KeyboardEvent} event - Key event
+   */
+  _handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.stop();
+    }
+  }
+  
+  /**
+   * Exit when the overlay leaves full screen
+   * @private
+   */
+  _handleFullscreenChange() {
+    if (!document.fullscreenElement) {
+      this.stop();
+    }
+  }
+  
+  /**
+   * Update the frame rate estimate from an animation frame timestamp
+   * @private
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   */
+  _measureFrameRate(timestamp) {
+    const interval = this.lastFrameTimestamp === null ? 0 : timestamp - this.lastFrameTimestamp;
+    this.lastFrameTimestamp = timestamp;
+    
+    // Skip gaps from throttled or hidden pages
+    if (interval <= 0 || interval > MAX_FRAME_INTERVAL) return;
+    
+    this.frameRate += (1000 / interval - this.frameRate) * FRAME_RATE_SMOOTHING;
+  }
+  
+  /**
+   * Find the first playing track that has a beat frequency
+   * @private
+   * @return {Track|null} Beat track, or null if none is playing
+   */
+  _findBeatTrack() {
+    if (!this.audioController) return null;
+    
+    for (const track of this.audioController.tracks.values()) {
+      if (track.isPlaying && typeof track.beatFrequency === 'number') {
+        return track;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the context time of the audio that is currently being heard
+   * @private
+   * @return {number} Context time in seconds
+   */
+  _getAudibleTime() {
+    const audioContext = this.audioController.audioContext;
+    
+    // Account for output latency where the browser reports it
+    if (typeof audioContext.getOutputTimestamp === 'function') {
+      const timestamp = audioContext.getOutputTimestamp();
+      
+      if (timestamp.contextTime > 0) {
+        return timestamp.contextTime + (performance.now() - timestamp.performanceTime) / 1000;
+      }
+    }
+    
+    return audioContext.currentTime;
+  }
+  
+  /**
+   * Set the phase for a newly selected track by integrating its beat
+   * frequency from the moment it started
+   * @private
+   * @param {Track} track - The beat track
+   * @param {number} time - Current context time
+   */
+  _anchorPhase(track, time) {
+    const elapsed = Math.max(0, time - track.automationStartTime);
+    const lane = track.getAutomation('beatFrequency');
+    let cycles = 0;
+    
+    if (lane) {
+      // Trapezoidal integration in 50 ms steps
+      const step = 0.05;
+      let previous = lane.getValueAtTime(0);
+      
+      for (let position = step; position < elapsed + step; position += step) {
+        const current = lane.getValueAtTime(Math.min(position, elapsed));
+        const span = Math.min(step, elapsed - (position - step));
+        cycles += (previous + current) / 2 * span;
+        previous = current;
+      }
+    } else {
+      cycles = track.beatFrequency * elapsed;
+    }
+    
+    this.track = track;
+    this.phase = cycles % 1;
+    this.lastTime = time;
+    this.lastFrequency = track.getParameterValue('beatFrequency');
+  }
+  
+  /**
+   * Pick a hue for a beat frequency (delta, theta, alpha, beta, gamma)
+   * @private
+   * @param {number} frequency - Beat frequency in Hz
+   * @return {number} Hue in degrees
+   */
+  _getHue(frequency) {
+    if (frequency < 4) return 230;
+    if (frequency < 8) return 265;
+    if (frequency < 13) return 160;
+    if (frequency < 30) return 40;
+    return 10;
+  }
+  
+  /**
+   * Draw one frame
+   * @private
+   */
+  _render() {
+    const track = this._findBeatTrack();
+    
+    if (!track || !this.audioController.audioContext) {
+      this.track = null;
+      this._showSteady(230, 'Start playback with a binaural, monaural or isochronic track');
+      return;
+    }
+    
+    const time = this._getAudibleTime();
+    
+    // Re-anchor when the beat track changes (e.g. a new program stage)
+    if (track !== this.track) {
+      this._anchorPhase(track, time);
+    }
+    
+    // Advance the phase by the average frequency since the last frame
+    const frequency = track.getParameterValue('beatFrequency');
+    const elapsed = Math.max(0, time - this.lastTime);
+    this.phase = (this.phase + (this.lastFrequency + frequency) / 2 * elapsed) % 1;
+    this.lastTime = time;
+    this.lastFrequency = frequency;
+    
+    const hue = this._getHue(frequency);
+    const label = `${frequency.toFixed(1)} Hz`;
+    
+    if (EntrainmentLight.prefersReducedMotion()) {
+      this._showSteady(hue, `${label} · Flicker off (reduced motion is enabled)`);
+      return;
+    }
+    
+    if (!EntrainmentLight.isDisplayableFrequency(frequency, this.frameRate)) {
+      this._showSteady(hue, `${label} · Flicker off (too fast for a ${Math.round(this.frameRate)} Hz display)`);
+      return;
+    }
+    
+    if (EntrainmentLight.isPhotosensitiveFrequency(frequency) && !this.allowPhotosensitiveRange) {
+      const threshold = EntrainmentLight.PHOTOSENSITIVE_THRESHOLD;
+      this._showSteady(hue, `${label} · Flicker paused: ${threshold} Hz and above was not allowed`);
+      return;
+    }
+    
+    // Brightest when the beat is loudest (phase 0)
+    const brightness = 0.5 + 0.5 * Math.cos(2 * Math.PI * this.phase);
+    const lightness = this.minLightness + (this.maxLightness - this.minLightness) * brightness;
+    
+    this.overlay.style.backgroundColor = `hsl(${hue}, 60%, ${lightness}%)`;
+    this._setStatus(label);
+  }
+  
+  /**
+   * Show a steady, non-flickering light
+   * @private
+   * @param {number} hue - Hue in degrees
+   * @param {string} message - Status text
+   */
+  _showSteady(hue, message) {
+    const lightness = (this.minLightness + this.maxLightness) / 2;
+    this.overlay.style.backgroundColor = `hsl(${hue}, 40%, ${lightness}%)`;
+    this._setStatus(message);
+  }
+  
+  /**
+   * Update the status text
+   * @private
+   * @param {string} message - Status text
+   */
+  _setStatus(message) {
+    if (this.statusElement && this.statusElement.textContent !== message) {
+      this.statusElement.textContent = message;
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.stop();
+  }
+}
\ No newline at end of file
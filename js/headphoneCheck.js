@@ -0,0 +1,389 @@
+/**
+ * HeadphoneCheck.js - Headphone and channel check for the Binaural Beats PWA
+ *
+ * Binaural beats only work when each ear receives its own tone, and fail
+ * silently if the earbuds are swapped or the output is mono. This class runs
+ * a short guided check:
+ * 1. a tone in the left channel only
+ * 2. a tone in the right channel only
+ * 3. two tones 1 Hz apart, one per channel: with stereo headphones the sound
+ *    stays steady, but summed to mono the tones cancel once a second and the
+ *    sound swells in and out of silence
+ * The listener answers what they hear after each tone. Passing all three
+ * steps confirms stereo headphones for the rest of the browser session.
+ */
+
+// Session storage key for the confirmation
+const STORAGE_KEY = 'binauralBeats_headphonesConfirmed';
+
+// Test tone level (before the master volume) and edge ramp (seconds)
+const TONE_LEVEL = 0.25;
+const TONE_RAMP = 0.05;
+
+// Steps of the check: the tones to play, and the answers with their outcome
+const STEPS = [
+  {
+    title: 'Step 1 of 3: Left ear',
+    instruction: 'A tone is playing in the left channel. Where do you hear it?',
+    duration: 3,
+    tones: [{ channel: 0, frequency: 500 }],
+    answers: [
+      { label: 'Left ear only', result: 'ok' },
+      { label: 'Right ear only', result: 'swapped' },
+      { label: 'Both ears', result: 'mono' },
+      { label: 'Nothing', result: 'silent' }
+    ]
+  },
+  {
+    title: 'Step 2 of 3: Right ear',
+    instruction: 'A tone is playing in the right channel. Where do you hear it?',
+    duration: 3,
+    tones: [{ channel: 1, frequency: 500 }],
+    answers: [
+      { label: 'Right ear only', result: 'ok' },
+      { label: 'Left ear only', result: 'swapped' },
+      { label: 'Both ears', result: 'mono' },
+      { label: 'Nothing', result: 'silent' }
+    ]
+  },
+  {
+    title: 'Step 3 of 3: Stereo',
+    instruction: 'Two tones 1 Hz apart are playing, one in each ear. With stereo headphones the sound ' +
+      'stays steady or drifts gently inside your head. Does it fade in and out to silence about once a second?',
+    duration: 6,
+    tones: [{ channel: 0, frequency: 250 }, { channel: 1, frequency: 251 }],
+    answers: [
+      { label: 'No, it stays steady', result: 'ok' },
+      { label: 'Yes, it fades to silence', result: 'mono' }
+    ]
+  }
+];
+
+// Messages shown at the end of the check
+const RESULTS = {
+  ok: 'Stereo headphones confirmed. Each ear receives its own tone, so binaural beats will work.',
+  swapped: 'Left and right are swapped. Swap the earbuds (or check your output settings) and run the check again.',
+  mono: 'Your output seems to be mono, or playing through a single speaker, so binaural beats cannot work. ' +
+    'Use stereo headphones, turn off mono audio in your accessibility settings and run the check again.',
+  silent: 'No tone was heard. Check that your headphones are connected and the volume is up, then run the check again.'
+};
+
+export default class HeadphoneCheck {
+  /**
+   * Create a new HeadphoneCheck
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {HTMLElement} options.modal - Modal that holds the check
+   * @param {HTMLElement} options.titleElement - Element for the step title
+   * @param {HTMLElement} options.instructionElement - Element for the step instruction or the result
+   * @param {HTMLElement} options.answersElement - Container for the answer buttons
+   * @param {HTMLButtonElement} options.replayButton - Button that plays the tone again
+   * @param {Function} options.onBeforeStart - Called before the first tone (e.g. to stop playback); may return a
+   *   Promise, and the check waits for it so the tones are not muted by a fade-out
+   * @param {Function} options.onChange - Called with the confirmation state when it changes
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    this.onBeforeStart = options.onBeforeStart || null;
+    this.onChange = options.onChange || null;
+    
+    // DOM elements
+    this.modal = options.modal || null;
+    this.titleElement = options.titleElement || null;
+    this.instructionElement = options.instructionElement || null;
+    this.answersElement = options.answersElement || null;
+    this.replayButton = options.replayButton || null;
+    
+    // State
+    this.confirmed = this._loadConfirmation();
+    this.stepIndex = -1;
+    this.toneNodes = null;
+    
+    if (this.modal) {
+      this.modal.querySelectorAll('.close-button').forEach(button => {
+        button.addEventListener('click', () => this.close());
+      });
+      
+      // Close when clicking outside the modal content
+      this.modal.addEventListener('click', event => {
+        if (event.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+    
+    if (this.replayButton) {
+      this.replayButton.addEventListener('click', () => this._playStep());
+    }
+  }
+  
+  /**
+   * Check whether stereo headphones were confirmed in this browser session
+   * @return {boolean} True if confirmed
+   */
+  isConfirmed() {
+    return this.confirmed;
+  }
+  
+  /**
+   * Open the check and play the first tone
+   * @return {Promise<void>} Resolves when the first tone has started
+   */
+  async open() {
+    if (!this.modal) return;
+    
+    this.modal.classList.add('active');
+    
+    if (typeof this.onBeforeStart === 'function') {
+      // Playback fades out on the master bus, which would mute the first tone
+      this._showStopping();
+      await this.onBeforeStart();
+      
+      // Closed while waiting
+      if (!this.modal.classList.contains('active')) return;
+    }
+    
+    this._showStep(0);
+  }
+  
+  /**
+   * Show that the check is waiting for playback to stop
+   * @private
+   */
+  _showStopping() {
+    if (this.titleElement) {
+      this.titleElement.textContent = 'Stopping playback…';
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = 'The check starts as soon as playback has faded out.';
+    }
+    
+    if (this.replayButton) {
+      this.replayButton.hidden = true;
+    }
+    
+    this._renderAnswers([]);
+  }
+  
+  /**
+   * Stop the tone and close the check
+   */
+  close() {
+    this._stopTone();
+    this.stepIndex = -1;
+    
+    if (this.audioController) {
+      this.audioController.releaseAuxiliaryInput();
+    }
+    
+    if (this.modal) {
+      this.modal.classList.remove('active');
+    }
+  }
+  
+  /**
+   * Show a step and play its tone
+   * @private
+   * @param {number} index - Step index
+   */
+  _showStep(index) {
+    const step = STEPS[index];
+    this.stepIndex = index;
+    
+    if (this.titleElement) {
+      this.titleElement.textContent = step.title;
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = step.instruction;
+    }
+    
+    this._renderAnswers(step.answers.map(answer => ({
+      label: answer.label,
+      onClick: () => this._answer(answer.result)
+    })));
+    
+    if (this.replayButton) {
+      this.replayButton.hidden = false;
+    }
+    
+    this._playStep();
+  }
+  
+  /**
+   * Replace the answer buttons
+   * @private
+   * @param {Array<Object>} buttons - Buttons as { label, onClick }
+   */
+  _renderAnswers(buttons) {
+    if (!this.answersElement) return;
+    
+    this.answersElement.innerHTML = '';
+    
+    buttons.forEach(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.className = 'secondary-button headphone-check-answer';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      this.answersElement.appendChild(button);
+    });
+  }
+  
+  /**
+   * Handle an answer: go on to the next step, or finish the check
+   * @private
+   * @param {string} result - Outcome of the answer ('ok', 'swapped', 'mono' or 'silent')
+   */
+  _answer(result) {
+    if (result === 'ok' && this.stepIndex < STEPS.length - 1) {
+      this._showStep(this.stepIndex + 1);
+    } else {
+      this._finish(result);
+    }
+  }
+  
+  /**
+   * Show the result of the check and store the confirmation
+   * @private
+   * @param {string} result - Outcome of the check
+   */
+  _finish(result) {
+    this._stopTone();
+    this.stepIndex = -1;
+    this._setConfirmed(result === 'ok');
+    
+    if (this.titleElement) {
+      this.titleElement.textContent = result === 'ok' ? 'Check passed' : 'Check failed';
+    }
+    
+    if (this.instructionElement) {
+      this.instructionElement.textContent = RESULTS[result];
+    }
+    
+    if (this.replayButton) {
+      this.replayButton.hidden = true;
+    }
+    
+    const buttons = [{ label: 'Done', onClick: () => this.close() }];
+    
+    if (result !== 'ok') {
+      buttons.unshift({ label: 'Check again', onClick: () => this._showStep(0) });
+    }
+    
+    this._renderAnswers(buttons);
+  }
+  
+  /**
+   * Play the tone of the current step
+   * @private
+   */
+  _playStep() {
+    const step = STEPS[this.stepIndex];
+    if (!step || !this.audioController) return;
+    
+    this._stopTone();
+    
+    const input = this.audioController.getAuxiliaryInput();
+    if (!input) return;
+    
+    const audioContext = this.audioController.audioContext;
+    const now = audioContext.currentTime;
+    const end = now + step.duration;
+    
+    // Each tone goes to its own output channel
+    const merger = audioContext.createChannelMerger(2);
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(TONE_LEVEL, now + TONE_RAMP);
+    gain.gain.setValueAtTime(TONE_LEVEL, end - TONE_RAMP);
+    gain.gain.linearRampToValueAtTime(0, end);
+    
+    const oscillators = step.tones.map(({ channel, frequency }) => {
+      const oscillator = audioContext.createOscillator();
+      oscillator.frequency.value = frequency;
+      oscillator.connect(merger, 0, channel);
+      oscillator.start(now);
+      oscillator.stop(end);
+      return oscillator;
+    });
+    
+    merger.connect(gain);
+    gain.connect(input);
+    
+    this.toneNodes = { oscillators, merger, gain };
+  }
+  
+  /**
+   * Stop the tone that is playing
+   * @private
+   */
+  _stopTone() {
+    if (!this.toneNodes) return;
+    
+    const { oscillators, merger, gain } = this.toneNodes;
+    this.toneNodes = null;
+    
+    oscillators.forEach(oscillator => {
+      try {
+        oscillator.stop();
+      } catch (error) {
+        // Already stopped
+      }
+      oscillator.disconnect();
+    });
+    
+    merger.disconnect();
+    gain.disconnect();
+  }
+  
+  /**
+   * Update the confirmation state
+   * @private
+   * @param {boolean} confirmed - Whether stereo headphones are confirmed
+   */
+  _setConfirmed(confirmed) {
+    if (confirmed === this.confirmed) return;
+    
+    this.confirmed = confirmed;
+    this._saveConfirmation(confirmed);
+    
+    if (typeof this.onChange === 'function') {
+      this.onChange(confirmed);
+    }
+  }
+  
+  /**
+   * Load the confirmation from session storage
+   * @private
+   * @return {boolean} Whether stereo headphones were confirmed
+   */
+  _loadConfirmation() {
+    try {
+      return sessionStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+      console.error('Failed to load headphone check from session storage:', error);
+    }
+    return false;
+  }
+  
+  /**
+   * Save the confirmation to session storage
+   * @private
+   * @param {boolean} confirmed - Whether stereo headphones are confirmed
+   */
+  _saveConfirmation(confirmed) {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, confirmed.toString());
+    } catch (error) {
+      console.error('Failed to save headphone check to session storage:', error);
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.close();
+  }
+}
\ No newline at end of file
@@ -8,12 +8,32 @@ import AudioController from './audioEngine/AudioController.js';
 import { BinauralTrack, IsochronicTrack, NoiseTrack } from './audioEngine/index.js';
 import PresetManager from './presetManager.js';
 import UIController from './uiController.js';
+import Visualizer from './visualizer.js';
+import EntrainmentLight from './entrainmentLight.js';
+import MediaSessionController from './mediaSessionController.js';
+import ScreenWakeLock from './screenWakeLock.js';
+import NightMode from './nightMode.js';
+import SessionHistory from './sessionHistory.js';
+import StatsView from './statsView.js';
+import SessionRating from './sessionRating.js';
+import HeadphoneCheck from './headphoneCheck.js';
+import EarBalanceCalibration from './earBalanceCalibration.js';
 
 // Application state
 const APP_STATE = {
   audioController: null,
   presetManager: null,
   uiController: null,
+  visualizer: null,
+  entrainmentLight: null,
+  mediaSession: null,
+  screenWakeLock: null,
+  nightMode: null,
+  sessionHistory: null,
+  statsView: null,
+  sessionRating: null,
+  headphoneCheck: null,
+  earBalance: null,
   activeTrackIds: [],
   deferredPrompt: null
 };
@@ -27,7 +47,17 @@ const DOM = {
   timerDisplay: null,
   fadeInDurationInput: null,
   fadeOutDurationInput: null,
+  fadeCurveSelect: null,
+  backgroundPlaybackSelect: null,
   resetFadeSettingsButton: null,
+  masterEqLow: null,
+  masterEqMid: null,
+  masterEqHigh: null,
+  masterEqLowValue: null,
+  masterEqMidValue: null,
+  masterEqHighValue: null,
+  masterLimiterToggle: null,
+  equalLoudnessToggle: null,
   addTrackButton: null,
   savePresetButton: null,
   loadPresetButton: null,
@@ -43,7 +73,63 @@ const DOM = {
   startExportButton: null,
   exportProgressBar: null,
   exportProgressText: null,
-  exportProgressContainer: null
+  exportProgressContainer: null,
+  programStageList: null,
+  programStageName: null,
+  programStageDuration: null,
+  programStageCrossfade: null,
+  addProgramStageButton: null,
+  programStageIndicator: null,
+  programSeek: null,
+  programPosition: null,
+  clearProgramButton: null,
+  visualizerPanel: null,
+  visualizerToggle: null,
+  spectrumCanvas: null,
+  oscilloscopeCanvas: null,
+  spectrogramCanvas: null,
+  lightModeButton: null,
+  lightWarningModal: null,
+  lightAcknowledge: null,
+  lightAllowFlicker: null,
+  startLightModeButton: null,
+  lightOverlay: null,
+  lightStatus: null,
+  keepScreenOnCheckbox: null,
+  nightModeButton: null,
+  nightOverlay: null,
+  nightTimer: null,
+  nightStopButton: null,
+  statsButton: null,
+  statsModal: null,
+  statsContent: null,
+  statsExportCsvButton: null,
+  statsExportJsonButton: null,
+  ratingPromptCheckbox: null,
+  ratingModal: null,
+  ratingSummary: null,
+  ratingFocus: null,
+  ratingRelaxation: null,
+  ratingNote: null,
+  ratingSaveButton: null,
+  headphoneCheckButton: null,
+  headphoneCheckModal: null,
+  headphoneCheckTitle: null,
+  headphoneCheckInstruction: null,
+  headphoneCheckAnswers: null,
+  headphoneCheckReplay: null,
+  earBalanceStatus: null,
+  earBalanceCalibrateButton: null,
+  earBalanceResetButton: null,
+  earBalanceModal: null,
+  earBalanceTitle: null,
+  earBalanceInstruction: null,
+  earBalanceLevelControl: null,
+  earBalanceLevel: null,
+  earBalanceLevelValue: null,
+  earBalanceNextButton: null,
+  earBalanceApplyButton: null,
+  exportEarBalance: null
 };
 
 // Initialize the application
@@ -55,10 +141,190 @@ function initApp() {
   cacheDOM();
   checkAudioContextSupport();
   initPresetManager();
+  initSessionHistory();
+  initHeadphoneCheck();
+  initEarBalance();
   initUIController();
+  initVisualizer();
+  initEntrainmentLight();
+  initMediaSession();
+  initNightMode();
   setupEventListeners();
 }
 
+// Initialize the visualizer
+function initVisualizer() {
+  try {
+    APP_STATE.visualizer = new Visualizer({
+      audioController: APP_STATE.audioController,
+      panel: DOM.visualizerPanel,
+      toggleButton: DOM.visualizerToggle,
+      spectrumCanvas: DOM.spectrumCanvas,
+      oscilloscopeCanvas: DOM.oscilloscopeCanvas,
+      spectrogramCanvas: DOM.spectrogramCanvas
+    });
+  } catch (error) {
+    console.error('Failed to initialize Visualizer:', error);
+  }
+}
+
+// Initialize the entrainment light
+function initEntrainmentLight() {
+  try {
+    APP_STATE.entrainmentLight = new EntrainmentLight({
+      audioController: APP_STATE.audioController,
+      overlay: DOM.lightOverlay,
+      statusElement: DOM.lightStatus,
+      warningModal: DOM.lightWarningModal,
+      acknowledgeCheckbox: DOM.lightAcknowledge,
+      allowFlickerCheckbox: DOM.lightAllowFlicker,
+      startButton: DOM.startLightModeButton
+    });
+  } catch (error) {
+    console.error('Failed to initialize EntrainmentLight:', error);
+  }
+}
+
+// Initialize lock-screen and media key controls
+function initMediaSession() {
+  try {
+    APP_STATE.mediaSession = new MediaSessionController({
+      audioController: APP_STATE.audioController,
+      uiController: APP_STATE.uiController,
+      onPlay: startPlayback,
+      onStop: stopPlayback
+    });
+  } catch (error) {
+    console.error('Failed to initialize MediaSessionController:', error);
+  }
+}
+
+// Initialize the screen wake lock and the night mode screen
+function initNightMode() {
+  try {
+    APP_STATE.screenWakeLock = new ScreenWakeLock({
+      audioController: APP_STATE.audioController,
+      checkbox: DOM.keepScreenOnCheckbox
+    });
+    
+    APP_STATE.nightMode = new NightMode({
+      audioController: APP_STATE.audioController,
+      screenWakeLock: APP_STATE.screenWakeLock,
+      overlay: DOM.nightOverlay,
+      timerElement: DOM.nightTimer,
+      stopButton: DOM.nightStopButton,
+      onStop: stopPlayback
+    });
+  } catch (error) {
+    console.error('Failed to initialize NightMode:', error);
+  }
+  
+  // Keep the media session and wake lock in step with playback, program stages and presets
+  if (APP_STATE.uiController) {
+    APP_STATE.uiController.setStateChangeCallback(() => {
+      if (APP_STATE.mediaSession) {
+        APP_STATE.mediaSession.update();
+      }
+      
+      if (APP_STATE.screenWakeLock) {
+        APP_STATE.screenWakeLock.update();
+      }
+    });
+  }
+}
+
+// Initialize the session history and the statistics view
+function initSessionHistory() {
+  try {
+    APP_STATE.sessionHistory = new SessionHistory({
+      presetManager: APP_STATE.presetManager,
+      audioController: APP_STATE.audioController
+    });
+    
+    APP_STATE.sessionRating = new SessionRating({
+      sessionHistory: APP_STATE.sessionHistory,
+      modal: DOM.ratingModal,
+      summaryElement: DOM.ratingSummary,
+      focusSelect: DOM.ratingFocus,
+      relaxationSelect: DOM.ratingRelaxation,
+      noteInput: DOM.ratingNote,
+      saveButton: DOM.ratingSaveButton,
+      promptCheckbox: DOM.ratingPromptCheckbox,
+      onSaved: session => {
+        if (APP_STATE.statsView) {
+          APP_STATE.statsView.updateSession(session);
+        }
+      }
+    });
+    
+    APP_STATE.statsView = new StatsView({
+      sessionHistory: APP_STATE.sessionHistory,
+      modal: DOM.statsModal,
+      contentElement: DOM.statsContent,
+      exportCsvButton: DOM.statsExportCsvButton,
+      exportJsonButton: DOM.statsExportJsonButton,
+      onEditSession: session => APP_STATE.sessionRating.open(session)
+    });
+  } catch (error) {
+    console.error('Failed to initialize SessionHistory:', error);
+  }
+}
+
+// Initialize the headphone and channel check
+function initHeadphoneCheck() {
+  try {
+    APP_STATE.headphoneCheck = new HeadphoneCheck({
+      audioController: APP_STATE.audioController,
+      modal: DOM.headphoneCheckModal,
+      titleElement: DOM.headphoneCheckTitle,
+      instructionElement: DOM.headphoneCheckInstruction,
+      answersElement: DOM.headphoneCheckAnswers,
+      replayButton: DOM.headphoneCheckReplay,
+      onBeforeStart: () => {
+        // The test tones must play on their own, after the master fade-out
+        if (APP_STATE.uiController && APP_STATE.uiController.isPlaying) {
+          return stopPlayback();
+        }
+        return Promise.resolve();
+      },
+      onChange: () => {
+        if (APP_STATE.uiController) {
+          APP_STATE.uiController.updateHeadphoneWarnings();
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to initialize HeadphoneCheck:', error);
+  }
+}
+
+// Initialize the ear balance calibration (applies the stored compensation)
+function initEarBalance() {
+  try {
+    APP_STATE.earBalance = new EarBalanceCalibration({
+      audioController: APP_STATE.audioController,
+      modal: DOM.earBalanceModal,
+      titleElement: DOM.earBalanceTitle,
+      instructionElement: DOM.earBalanceInstruction,
+      levelControl: DOM.earBalanceLevelControl,
+      levelSlider: DOM.earBalanceLevel,
+      levelDisplay: DOM.earBalanceLevelValue,
+      nextButton: DOM.earBalanceNextButton,
+      applyButton: DOM.earBalanceApplyButton,
+      statusElement: DOM.earBalanceStatus,
+      onBeforeStart: () => {
+        // The calibration tones must play on their own, after the master fade-out
+        if (APP_STATE.uiController && APP_STATE.uiController.isPlaying) {
+          return stopPlayback();
+        }
+        return Promise.resolve();
+      }
+    });
+  } catch (error) {
+    console.error('Failed to initialize EarBalanceCalibration:', error);
+  }
+}
+
 // Initialize the UI controller
 function initUIController() {
   try {
@@ -66,6 +332,8 @@ function initUIController() {
     APP_STATE.uiController = new UIController({
       audioController: APP_STATE.audioController,
       presetManager: APP_STATE.presetManager,
+      sessionHistory: APP_STATE.sessionHistory,
+      headphoneCheck: APP_STATE.headphoneCheck,
       domElements: DOM
     });
     
@@ -74,6 +342,13 @@ function initUIController() {
       APP_STATE.uiController.createTrackUI(trackId, trackType);
     });
     
+    // Ask for a rating when a session has been recorded
+    APP_STATE.uiController.setSessionEndCallback(session => {
+      if (APP_STATE.sessionRating) {
+        APP_STATE.sessionRating.prompt(session);
+      }
+    });
+    
     // UIController successfully initialized
   } catch (error) {
     console.error('Failed to initialize UIController:', error);
@@ -102,7 +377,17 @@ function cacheDOM() {
   DOM.timerDisplay = document.getElementById('timer-display');
   DOM.fadeInDurationInput = document.getElementById('fade-in-duration');
   DOM.fadeOutDurationInput = document.getElementById('fade-out-duration');
+  DOM.fadeCurveSelect = document.getElementById('fade-curve');
+  DOM.backgroundPlaybackSelect = document.getElementById('background-playback');
   DOM.resetFadeSettingsButton = document.getElementById('reset-fade-settings');
+  DOM.masterEqLow = document.getElementById('master-eq-low');
+  DOM.masterEqMid = document.getElementById('master-eq-mid');
+  DOM.masterEqHigh = document.getElementById('master-eq-high');
+  DOM.masterEqLowValue = document.getElementById('master-eq-low-value');
+  DOM.masterEqMidValue = document.getElementById('master-eq-mid-value');
+  DOM.masterEqHighValue = document.getElementById('master-eq-high-value');
+  DOM.masterLimiterToggle = document.getElementById('master-limiter');
+  DOM.equalLoudnessToggle = document.getElementById('equal-loudness');
   DOM.addTrackButton = document.getElementById('add-track-button');
   DOM.savePresetButton = document.getElementById('save-preset-button');
   DOM.loadPresetButton = document.getElementById('load-preset-button');
@@ -121,6 +406,74 @@ function cacheDOM() {
   DOM.exportProgressBar = document.getElementById('export-progress-bar');
   DOM.exportProgressText = document.getElementById('export-progress-text');
   DOM.exportProgressContainer = document.getElementById('export-progress-container');
+  DOM.programStageList = document.getElementById('program-stage-list');
+  DOM.programStageName = document.getElementById('program-stage-name');
+  DOM.programStageDuration = document.getElementById('program-stage-duration');
+  DOM.programStageCrossfade = document.getElementById('program-stage-crossfade');
+  DOM.addProgramStageButton = document.getElementById('add-program-stage-button');
+  DOM.programStageIndicator = document.getElementById('program-stage-indicator');
+  DOM.programSeek = document.getElementById('program-seek');
+  DOM.programPosition = document.getElementById('program-position');
+  DOM.clearProgramButton = document.getElementById('clear-program-button');
+  
+  // Visualizer elements
+  DOM.visualizerPanel = document.getElementById('visualizer-panel');
+  DOM.visualizerToggle = document.getElementById('visualizer-toggle');
+  DOM.spectrumCanvas = document.getElementById('spectrum-canvas');
+  DOM.oscilloscopeCanvas = document.getElementById('oscilloscope-canvas');
+  DOM.spectrogramCanvas = document.getElementById('spectrogram-canvas');
+  
+  // Entrainment light elements
+  DOM.lightModeButton = document.getElementById('light-mode-button');
+  DOM.lightWarningModal = document.getElementById('light-warning-modal');
+  DOM.lightAcknowledge = document.getElementById('light-acknowledge');
+  DOM.lightAllowFlicker = document.getElementById('light-allow-flicker');
+  DOM.startLightModeButton = document.getElementById('start-light-mode-button');
+  DOM.lightOverlay = document.getElementById('light-overlay');
+  DOM.lightStatus = document.getElementById('light-status');
+  
+  // Wake lock and night mode elements
+  DOM.keepScreenOnCheckbox = document.getElementById('keep-screen-on');
+  DOM.nightModeButton = document.getElementById('night-mode-button');
+  DOM.nightOverlay = document.getElementById('night-overlay');
+  DOM.nightTimer = document.getElementById('night-timer');
+  DOM.nightStopButton = document.getElementById('night-stop-button');
+  
+  // Session history elements
+  DOM.statsButton = document.getElementById('stats-button');
+  DOM.statsModal = document.getElementById('stats-modal');
+  DOM.statsContent = document.getElementById('stats-content');
+  DOM.statsExportCsvButton = document.getElementById('stats-export-csv');
+  DOM.statsExportJsonButton = document.getElementById('stats-export-json');
+  DOM.ratingPromptCheckbox = document.getElementById('rating-prompt');
+  DOM.ratingModal = document.getElementById('rating-modal');
+  DOM.ratingSummary = document.getElementById('rating-summary');
+  DOM.ratingFocus = document.getElementById('rating-focus');
+  DOM.ratingRelaxation = document.getElementById('rating-relaxation');
+  DOM.ratingNote = document.getElementById('rating-note');
+  DOM.ratingSaveButton = document.getElementById('rating-save-button');
+  
+  // Headphone check elements
+  DOM.headphoneCheckButton = document.getElementById('headphone-check-button');
+  DOM.headphoneCheckModal = document.getElementById('headphone-check-modal');
+  DOM.headphoneCheckTitle = document.getElementById('headphone-check-title');
+  DOM.headphoneCheckInstruction = document.getElementById('headphone-check-instruction');
+  DOM.headphoneCheckAnswers = document.getElementById('headphone-check-answers');
+  DOM.headphoneCheckReplay = document.getElementById('headphone-check-replay');
+  
+  // Ear balance elements
+  DOM.earBalanceStatus = document.getElementById('ear-balance-status');
+  DOM.earBalanceCalibrateButton = document.getElementById('ear-balance-calibrate');
+  DOM.earBalanceResetButton = document.getElementById('ear-balance-reset');
+  DOM.earBalanceModal = document.getElementById('ear-balance-modal');
+  DOM.earBalanceTitle = document.getElementById('ear-balance-title');
+  DOM.earBalanceInstruction = document.getElementById('ear-balance-instruction');
+  DOM.earBalanceLevelControl = document.getElementById('ear-balance-level-control');
+  DOM.earBalanceLevel = document.getElementById('ear-balance-level');
+  DOM.earBalanceLevelValue = document.getElementById('ear-balance-level-value');
+  DOM.earBalanceNextButton = document.getElementById('ear-balance-next');
+  DOM.earBalanceApplyButton = document.getElementById('ear-balance-apply');
+  DOM.exportEarBalance = document.getElementById('export-ear-balance');
 }
 
 // Check if Web Audio API is supported
@@ -188,6 +541,37 @@ function setupEventListeners() {
     });
   }
   
+  // Master EQ and limiter
+  [
+    { input: DOM.masterEqLow, band: 'low' },
+    { input: DOM.masterEqMid, band: 'mid' },
+    { input: DOM.masterEqHigh, band: 'high' }
+  ].forEach(({ input, band }) => {
+    if (input) {
+      input.addEventListener('input', (e) => {
+        if (APP_STATE.uiController) {
+          APP_STATE.uiController.setMasterEQ(band, parseFloat(e.target.value));
+        }
+      });
+    }
+  });
+  
+  if (DOM.masterLimiterToggle) {
+    DOM.masterLimiterToggle.addEventListener('change', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.setLimiterEnabled(e.target.checked);
+      }
+    });
+  }
+  
+  if (DOM.equalLoudnessToggle) {
+    DOM.equalLoudnessToggle.addEventListener('change', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.setEqualLoudness(e.target.checked);
+      }
+    });
+  }
+  
   if (DOM.timerDurationSelect) {
     DOM.timerDurationSelect.addEventListener('change', (e) => {
       if (APP_STATE.uiController) {
@@ -250,6 +634,22 @@ function setupEventListeners() {
     });
   }
   
+  if (DOM.fadeCurveSelect) {
+    DOM.fadeCurveSelect.addEventListener('change', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.setFadeCurve(e.target.value);
+      }
+    });
+  }
+  
+  if (DOM.backgroundPlaybackSelect) {
+    DOM.backgroundPlaybackSelect.addEventListener('change', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.setBackgroundPlayback(e.target.value);
+      }
+    });
+  }
+  
   if (DOM.resetFadeSettingsButton) {
     DOM.resetFadeSettingsButton.addEventListener('click', () => {
       if (APP_STATE.uiController) {
@@ -274,11 +674,120 @@ function setupEventListeners() {
     DOM.loadPresetButton.addEventListener('click', () => showPresetModal('load'));
   }
   
+  // Session program controls
+  if (DOM.addProgramStageButton) {
+    DOM.addProgramStageButton.addEventListener('click', () => {
+      if (!APP_STATE.uiController) return;
+      
+      const name = DOM.programStageName ? DOM.programStageName.value.trim() : '';
+      const durationMinutes = DOM.programStageDuration ? parseFloat(DOM.programStageDuration.value) : 5;
+      const crossfadeSeconds = DOM.programStageCrossfade ? parseFloat(DOM.programStageCrossfade.value) : 10;
+      
+      if (isNaN(durationMinutes) || durationMinutes <= 0) {
+        showError('Please enter a stage duration greater than zero');
+        return;
+      }
+      
+      if (APP_STATE.uiController.addProgramStage(name, durationMinutes, isNaN(crossfadeSeconds) ? 10 : crossfadeSeconds)) {
+        if (DOM.programStageName) {
+          DOM.programStageName.value = '';
+        }
+        showMessage('Stage added to the session program');
+      } else {
+        showError('Add at least one track before adding a stage');
+      }
+    });
+  }
+  
+  if (DOM.programSeek) {
+    DOM.programSeek.addEventListener('input', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.previewProgramSeek(parseFloat(e.target.value));
+      }
+    });
+    
+    DOM.programSeek.addEventListener('change', (e) => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.seekProgram(parseFloat(e.target.value));
+      }
+    });
+  }
+  
+  if (DOM.clearProgramButton) {
+    DOM.clearProgramButton.addEventListener('click', () => {
+      if (APP_STATE.uiController) {
+        APP_STATE.uiController.clearProgram();
+      }
+    });
+  }
+  
   // Export button
   if (DOM.exportButton) {
     DOM.exportButton.addEventListener('click', showExportModal);
   }
   
+  // Light mode button (the warning is shown every time)
+  if (DOM.lightModeButton) {
+    DOM.lightModeButton.addEventListener('click', () => {
+      if (APP_STATE.entrainmentLight) {
+        APP_STATE.entrainmentLight.open();
+      }
+    });
+  }
+  
+  // Night mode button
+  if (DOM.nightModeButton) {
+    DOM.nightModeButton.addEventListener('click', () => {
+      if (APP_STATE.nightMode) {
+        APP_STATE.nightMode.open();
+      }
+    });
+  }
+  
+  // Ear balance buttons
+  if (DOM.earBalanceCalibrateButton) {
+    DOM.earBalanceCalibrateButton.addEventListener('click', () => {
+      if (APP_STATE.earBalance) {
+        APP_STATE.earBalance.open();
+      }
+    });
+  }
+  
+  if (DOM.earBalanceResetButton) {
+    DOM.earBalanceResetButton.addEventListener('click', () => {
+      if (APP_STATE.earBalance) {
+        APP_STATE.earBalance.reset();
+      }
+    });
+  }
+  
+  // Headphone check button
+  if (DOM.headphoneCheckButton) {
+    DOM.headphoneCheckButton.addEventListener('click', () => {
+      if (APP_STATE.headphoneCheck) {
+        APP_STATE.headphoneCheck.open();
+      }
+    });
+  }
+  
+  // Session history button
+  if (DOM.statsButton) {
+    DOM.statsButton.addEventListener('click', () => {
+      if (APP_STATE.statsView) {
+        APP_STATE.statsView.open();
+      }
+    });
+  }
+  
+  // Light mode warning modal: close when clicking outside
+  if (DOM.lightWarningModal) {
+    DOM.lightWarningModal.addEventListener('click', (e) => {
+      if (e.target === DOM.lightWarningModal) {
+        DOM.lightWarningModal.classList.remove('active');
+      }
+    });
+  }
+  
   // Export modal
   if (DOM.exportModal) {
     // Close button
@@ -353,19 +862,29 @@ function setupEventListeners() {
       }
     });
   }
-
-  // Handle visibility change to pause audio when tab is not visible
+  
+  // Handle visibility change: keep playing or pause, depending on the background setting
   document.addEventListener('visibilitychange', () => {
-    if (!APP_STATE.audioController) return;
+    if (!APP_STATE.audioController || !APP_STATE.audioController.isPlaying) return;
+    
+    const keepPlaying = !APP_STATE.uiController || APP_STATE.uiController.getBackgroundPlayback() === 'play';
     
-    if (document.hidden && APP_STATE.audioController.isPlaying) {
+    if (document.hidden && !keepPlaying) {
       // Pause audio when tab is hidden
       pauseAudioEngine();
-    } else if (!document.hidden && APP_STATE.audioController.isPlaying) {
-      // Resume audio when tab becomes visible again
+    } else if (!document.hidden) {
+      // Resume audio when tab becomes visible again (the system may also
+      // have suspended it while hidden)
       resumeAudioEngine();
     }
   });
+  
+  // Record a session that is still playing when the app is closed
+  window.addEventListener('pagehide', () => {
+    if (APP_STATE.sessionHistory) {
+      APP_STATE.sessionHistory.endSession(false);
+    }
+  });
 }
 
 // Toggle playback (play/stop)
@@ -390,10 +909,10 @@ function startPlayback() {
 
 // Stop playback
 function stopPlayback() {
-  if (!APP_STATE.uiController) return;
+  if (!APP_STATE.uiController) return Promise.resolve();
   
   // Stop playback with fade-out
-  APP_STATE.uiController.stopPlayback();
+  return APP_STATE.uiController.stopPlayback();
 }
 
 // Update play button state
@@ -461,7 +980,7 @@ function updateTimerDisplay() {
 function pauseAudioEngine() {
   if (APP_STATE.audioController && APP_STATE.audioController.isInitialized) {
     // Just suspend the audio context without stopping tracks
-    APP_STATE.audioController.audioContext.suspend();
+    APP_STATE.audioController.suspend();
     console.log('Audio engine paused (tab hidden)');
   }
 }
@@ -470,7 +989,7 @@ function pauseAudioEngine() {
 function resumeAudioEngine() {
   if (APP_STATE.audioController && APP_STATE.audioController.isInitialized) {
     // Resume the audio context
-    APP_STATE.audioController.audioContext.resume();
+    APP_STATE.audioController.resume();
     console.log('Audio engine resumed (tab visible)');
     
     // Sync UI controller with audio controller state
@@ -567,6 +1086,10 @@ async function savePreset() {
     
     console.log('Preset saved:', savedPreset);
     
+    if (APP_STATE.uiController) {
+      APP_STATE.uiController.setCurrentPresetName(presetName);
+    }
+    
     // Show success message
     showMessage(`Preset "${presetName}" saved successfully`);
     
@@ -673,6 +1196,11 @@ async function deletePreset(presetId) {
     // Delete preset by ID
     await APP_STATE.presetManager.deletePreset(preset.name);
     
+    // Delete audio files that only this preset used
+    if (APP_STATE.uiController) {
+      APP_STATE.uiController.deleteUnusedSamples();
+    }
+    
     // Update UI
     populatePresetList();
     
@@ -1346,6 +1874,11 @@ function showExportModal() {
     DOM.exportProgressContainer.style.display = 'none';
   }
   
+  // The ear balance can only be applied once it has been calibrated
+  if (DOM.exportEarBalance) {
+    DOM.exportEarBalance.disabled = !APP_STATE.earBalance || !APP_STATE.earBalance.isCalibrated();
+  }
+  
   // Check if fast export is supported
   const isFastExportSupported =
     typeof AudioExporter !== 'undefined' &&
@@ -1466,6 +1999,18 @@ function startExport() {
     filename = filenameInput.value.trim();
   }
   
+  // Get the noise seed if provided (the same seed renders identical files)
+  const seedInput = document.getElementById('export-seed');
+  let seed = null;
+  if (seedInput && seedInput.value.trim()) {
+    seed = parseInt(seedInput.value, 10);
+    
+    if (isNaN(seed) || seed < 0) {
+      showError('Export failed: The noise seed must be a whole number of 0 or more');
+      return;
+    }
+  }
+  
   // Get MP3 options if applicable
   let mp3Options = null;
   if (format === 'mp3') {
@@ -1508,6 +2053,8 @@ function startExport() {
     format: format,
     filename: filename,
     mp3Options: mp3Options,
+    seed: seed,
+    applyEarBalance: !!(DOM.exportEarBalance && DOM.exportEarBalance.checked && !DOM.exportEarBalance.disabled),
     onProgress: updateExportProgress,
     onComplete: handleExportComplete,
     onError: handleExportError
@@ -1590,4 +2137,3 @@ function generateExportFilename(format) {
   const timestamp = date.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
   return `binaural_beat_${timestamp}.${format}`;
 }
-  
@@ -0,0 +1,305 @@
+/**
+ * MediaSessionController.js - Media Session API integration for the Binaural Beats PWA
+ *
+ * This class publishes what is playing (preset name, program stage and beat
+ * frequency) to navigator.mediaSession and handles its actions, so lock
+ * screens, OS media overlays and headset buttons can control playback
+ * without opening the tab:
+ * - play starts playback (and the timer)
+ * - pause and stop fade out and stop playback
+ * - seeking moves within the session program, or within the timer
+ *
+ * Browsers without the Media Session API are left alone.
+ */
+
+// Seconds moved by the seek forward/backward buttons when no offset is given
+const DEFAULT_SEEK_OFFSET = 30;
+
+// How often metadata is refreshed while playing (beat automation changes the frequency)
+const REFRESH_INTERVAL = 5000;
+
+export default class MediaSessionController {
+  /**
+   * Create a new MediaSessionController
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {UIController} options.uiController - The UI controller instance
+   * @param {Function} options.onPlay - Starts playback
+   * @param {Function} options.onStop - Stops playback
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    this.uiController = options.uiController || null;
+    this.onPlay = options.onPlay || null;
+    this.onStop = options.onStop || null;
+    
+    // Metadata refresh while playing
+    this.refreshInterval = null;
+    
+    // Last published metadata, to avoid needless updates
+    this.lastMetadataKey = '';
+    
+    if (MediaSessionController.isSupported()) {
+      this._setupActionHandlers();
+      this.update();
+    }
+  }
+  
+  /**
+   * Check whether the browser supports the Media Session API
+   * @return {boolean} True if supported
+   */
+  static isSupported() {
+    return 'mediaSession' in navigator;
+  }
+  
+  /**
+   * Register the media session action handlers
+   * @private
+   */
+  _setupActionHandlers() {
+    const handlers = {
+      play: () => this._play(),
+      pause: () => this._stop(),
+      stop: () => this._stop(),
+      seekto: details => this._seekTo(details.seekTime),
+      seekbackward: details => this._seekBy(-(details.seekOffset || DEFAULT_SEEK_OFFSET)),
+      seekforward: details => this._seekBy(details.seekOffset || DEFAULT_SEEK_OFFSET)
+    };
+    
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        // Older browsers reject actions they do not know (e.g. 'stop')
+        console.warn(`Media session action "${action}" is not supported`);
+      }
+    }
+  }
+  
+  /**
+   * Check whether playback is running
+   * @private
+   * @return {boolean} True if playing
+   */
+  _isPlaying() {
+    return this.uiController ? this.uiController.isPlaying : !!(this.audioController && this.audioController.isPlaying);
+  }
+  
+  /**
+   * Handle the play action
+   * @private
+   */
+  _play() {
+    if (!this._isPlaying() && typeof this.onPlay === 'function') {
+      this.onPlay();
+    }
+  }
+  
+  /**
+   * Handle the pause and stop actions
+   * @private
+   */
+  _stop() {
+    if (this._isPlaying() && typeof this.onStop === 'function') {
+      this.onStop();
+    }
+  }
+  
+  /**
+   * Get the seekable position: the session program if one is running,
+   * otherwise the timer
+   * @private
+   * @return {Object|null} { duration, position } in seconds, or null if there is nothing to seek
+   */
+  _getPosition() {
+    if (!this.audioController || !this._isPlaying()) return null;
+    
+    if (this.audioController.isProgramRunning()) {
+      const { position, totalDuration } = this.audioController.getProgramState();
+      return { duration: totalDuration, position };
+    }
+    
+    if (this.audioController.getRemainingTime() > 0) {
+      return {
+        duration: this.audioController.timerDuration / 1000,
+        position: this.audioController.getTimerPosition() / 1000
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Seek to a position
+   * @private
+   * @param {number} time - Position in seconds
+   */
+  _seekTo(time) {
+    const current = this._getPosition();
+    if (!current || typeof time !== 'number') return;
+    
+    const position = Math.max(0, Math.min(current.duration, time));
+    
+    if (this.audioController.isProgramRunning()) {
+      if (this.uiController) {
+        this.uiController.seekProgram(position);
+      } else {
+        this.audioController.seekProgram(position);
+      }
+    } else {
+      this.audioController.seekTimer(position * 1000);
+    }
+    
+    this._updatePositionState();
+  }
+  
+  /**
+   * Seek relative to the current position
+   * @private
+   * @param {number} offset - Offset in seconds
+   */
+  _seekBy(offset) {
+    const current = this._getPosition();
+    
+    if (current) {
+      this._seekTo(current.position + offset);
+    }
+  }
+  
+  /**
+   * Find the first playing track that has a beat frequency
+   * @private
+   * @return {Track|null} Beat track, or null if none is playing
+   */
+  _findBeatTrack() {
+    if (!this.audioController) return null;
+    
+    for (const track of this.audioController.tracks.values()) {
+      if (track.isPlaying && typeof track.beatFrequency === 'number') {
+        return track;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build the metadata text
+   * @private
+   * @return {Object} { title, artist, album }
+   */
+  _getMetadataText() {
+    const presetName = this.uiController ? this.uiController.getCurrentPresetName() : null;
+    const details = [];
+    
+    if (this.audioController && this.audioController.isProgramRunning()) {
+      const { stageIndex, stage } = this.audioController.getProgramState();
+      const stageCount = this.audioController.getProgram().stages.length;
+      
+      if (stage) {
+        details.push(`${stage.name} (${stageIndex + 1}/${stageCount})`);
+      }
+    }
+    
+    const beatTrack = this._findBeatTrack();
+    if (beatTrack) {
+      details.push(`${beatTrack.getParameterValue('beatFrequency').toFixed(1)} Hz ${beatTrack.type} beat`);
+    }
+    
+    return {
+      title: presetName || 'Binaural Beats',
+      artist: details.join(' · '),
+      album: 'Binaural Beats'
+    };
+  }
+  
+  /**
+   * Publish the metadata if it changed
+   * @private
+   */
+  _updateMetadata() {
+    const text = this._getMetadataText();
+    const key = `${text.title}|${text.artist}`;
+    
+    if (key === this.lastMetadataKey) return;
+    this.lastMetadataKey = key;
+    
+    navigator.mediaSession.metadata = new MediaMetadata({
+      ...text,
+      artwork: [
+        { src: 'images/icons/icon-192x192.png', sizes: '192x192', type: 'image/png' },
+        { src: 'images/icons/icon-512x512.png', sizes: '512x512', type: 'image/png' }
+      ]
+    });
+  }
+  
+  /**
+   * Publish the seekable position (the OS advances it on its own while playing)
+   * @private
+   */
+  _updatePositionState() {
+    if (typeof navigator.mediaSession.setPositionState !== 'function') return;
+    
+    const current = this._getPosition();
+    
+    try {
+      if (current && current.duration > 0) {
+        navigator.mediaSession.setPositionState({
+          duration: current.duration,
+          position: Math.min(current.position, current.duration),
+          playbackRate: 1
+        });
+      } else {
+        // Nothing to seek: clear the position
+        navigator.mediaSession.setPositionState();
+      }
+    } catch (error) {
+      console.warn('Failed to update media session position:', error);
+    }
+  }
+  
+  /**
+   * Bring the media session up to date with the playback state
+   */
+  update() {
+    if (!MediaSessionController.isSupported()) return;
+    
+    const isPlaying = this._isPlaying();
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+    
+    this._updateMetadata();
+    this._updatePositionState();
+    
+    // Keep the beat frequency current while playing
+    if (isPlaying && this.refreshInterval === null) {
+      this.refreshInterval = setInterval(() => this._updateMetadata(), REFRESH_INTERVAL);
+    } else if (!isPlaying && this.refreshInterval !== null) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.refreshInterval !== null) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    
+    if (MediaSessionController.isSupported()) {
+      ['play', 'pause', 'stop', 'seekto', 'seekbackward', 'seekforward'].forEach(action => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch (error) {
+          // Action was never registered
+        }
+      });
+      
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = 'none';
+    }
+  }
+}
\ No newline at end of file
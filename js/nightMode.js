@@ -0,0 +1,178 @@
+/**
+ * NightMode.js - Dimmed session screen for the Binaural Beats PWA
+ *
+ * A minimal, dark, low-brightness screen for use in bed: it shows only the
+ * remaining session time and a stop button. While it is open the screen is
+ * kept on (through ScreenWakeLock) for as long as playback runs; once the
+ * session ends the lock is released and the screen may turn off.
+ */
+
+export default class NightMode {
+  /**
+   * Create a new NightMode
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {ScreenWakeLock} options.screenWakeLock - Wake lock to hold while the screen is open
+   * @param {HTMLElement} options.overlay - Full-screen overlay
+   * @param {HTMLElement} options.timerElement - Element for the remaining time
+   * @param {HTMLButtonElement} options.stopButton - Button that stops playback
+   * @param {Function} options.onStop - Stops playback
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    this.screenWakeLock = options.screenWakeLock || null;
+    this.onStop = options.onStop || null;
+    
+    // DOM elements
+    this.overlay = options.overlay || null;
+    this.timerElement = options.timerElement || null;
+    this.stopButton = options.stopButton || null;
+    
+    // State
+    this.isOpen = false;
+    this.refreshInterval = null;
+    
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    
+    if (this.stopButton) {
+      this.stopButton.addEventListener('click', event => {
+        event.stopPropagation();
+        
+        if (typeof this.onStop === 'function') {
+          this.onStop();
+        }
+        
+        this._render();
+      });
+    }
+    
+    // Double-tap to return, so a stray touch in the dark does not leave the screen
+    if (this.overlay) {
+      this.overlay.addEventListener('dblclick', () => this.close());
+    }
+  }
+  
+  /**
+   * Open the night screen
+   */
+  open() {
+    if (this.isOpen || !this.overlay) return;
+    
+    this.isOpen = true;
+    this.overlay.classList.add('active');
+    document.addEventListener('keydown', this._handleKeyDown);
+    
+    if (this.screenWakeLock) {
+      this.screenWakeLock.setHeld(true);
+    }
+    
+    this._render();
+    this.refreshInterval = setInterval(() => this._render(), 500);
+  }
+  
+  /**
+   * Close the night screen
+   */
+  close() {
+    if (!this.isOpen) return;
+    
+    this.isOpen = false;
+    this.overlay.classList.remove('active');
+    document.removeEventListener('keydown', this._handleKeyDown);
+    
+    if (this.refreshInterval !== null) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    
+    if (this.screenWakeLock) {
+      this.screenWakeLock.setHeld(false);
+    }
+  }
+  
+  /**
+   * Check whether the night screen is open
+   * @return {boolean} True if open
+   */
+  isActive() {
+    return this.isOpen;
+  }
+  
+  /**
+   * Exit on Escape
+   * @private
+   * @param {KeyboardEvent} event - Key event
+   */
+  _handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+    }
+  }
+  
+  /**
+   * Get the remaining session time: the session program if one is running,
+   * otherwise the timer
+   * @private
+   * @return {number|null} Remaining time in seconds, or null if the session has no end
+   */
+  _getRemainingTime() {
+    if (this.audioController.isProgramRunning()) {
+      const { position, totalDuration } = this.audioController.getProgramState();
+      return totalDuration - position;
+    }
+    
+    const remaining = this.audioController.getRemainingTime();
+    return remaining > 0 ? remaining / 1000 : null;
+  }
+  
+  /**
+   * Format a duration as MM:SS
+   * @private
+   * @param {number} seconds - Duration in seconds
+   * @return {string} Formatted duration
+   */
+  _formatTime(seconds) {
+    const totalSeconds = Math.max(0, Math.ceil(seconds));
+    const minutes = Math.floor(totalSeconds / 60);
+    const remainder = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${remainder.toString().padStart(2, '0')}`;
+  }
+  
+  /**
+   * Update the time and stop button
+   * @private
+   */
+  _render() {
+    if (!this.audioController) return;
+    
+    const isPlaying = this.audioController.isPlaying;
+    let text;
+    
+    if (!isPlaying) {
+      text = 'Stopped';
+    } else {
+      const remaining = this._getRemainingTime();
+      text = remaining === null ? '∞' : this._formatTime(remaining);
+    }
+    
+    if (this.timerElement && this.timerElement.textContent !== text) {
+      this.timerElement.textContent = text;
+    }
+    
+    if (this.stopButton) {
+      this.stopButton.hidden = !isPlaying;
+    }
+    
+    // Let the screen turn off once the session has ended
+    if (this.screenWakeLock) {
+      this.screenWakeLock.update();
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.close();
+  }
+}
\ No newline at end of file
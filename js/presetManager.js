@@ -14,13 +14,17 @@ export default class PresetManager {
    * @param {Object} options - Configuration options
    * @param {string} options.dbName - IndexedDB database name (default: 'binauralBeatsDB')
    * @param {string} options.storeName - IndexedDB object store name (default: 'presets')
-   * @param {number} options.dbVersion - IndexedDB database version (default: 1)
+   * @param {string} options.sampleStoreName - IndexedDB object store name for audio samples (default: 'samples')
+   * @param {string} options.sessionStoreName - IndexedDB object store name for the session history (default: 'sessions')
+   * @param {number} options.dbVersion - IndexedDB database version (default: 3)
    */
   constructor(options = {}) {
     // Database configuration
     this.dbName = options.dbName || 'binauralBeatsDB';
     this.storeName = options.storeName || 'presets';
-    this.dbVersion = options.dbVersion || 1;
+    this.sampleStoreName = options.sampleStoreName || 'samples';
+    this.sessionStoreName = options.sessionStoreName || 'sessions';
+    this.dbVersion = options.dbVersion || 3;
     
     // Database connection
     this.db = null;
@@ -53,6 +57,18 @@ export default class PresetManager {
           store.createIndex('createdAt', 'createdAt', { unique: false });
         }
         
+        // Version 2: decoded audio for sample tracks, stored next to the presets
+        if (!db.objectStoreNames.contains(this.sampleStoreName)) {
+          const sampleStore = db.createObjectStore(this.sampleStoreName, { keyPath: 'id' });
+          sampleStore.createIndex('name', 'name', { unique: false });
+        }
+        
+        // Version 3: log of listening sessions
+        if (!db.objectStoreNames.contains(this.sessionStoreName)) {
+          const sessionStore = db.createObjectStore(this.sessionStoreName, { keyPath: 'id' });
+          sessionStore.createIndex('startedAt', 'startedAt', { unique: false });
+        }
+        
         console.log(`IndexedDB store '${this.storeName}' created or upgraded`);
       };
       
@@ -90,15 +106,16 @@ export default class PresetManager {
    * @private
    * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
    * @param {Function} callback - Callback function that receives the object store
+   * @param {string} storeName - Object store to use (default: the presets store)
    * @return {Promise} Resolves with the result of the callback
    */
-  async _transaction(mode, callback) {
+  async _transaction(mode, callback, storeName = this.storeName) {
     try {
       const db = await this._getDB();
       
       return new Promise((resolve, reject) => {
-        const transaction = db.transaction(this.storeName, mode);
-        const store = transaction.objectStore(this.storeName);
+        const transaction = db.transaction(storeName, mode);
+        const store = transaction.objectStore(storeName);
         
         // Handle transaction errors
         transaction.onerror = (event) => {
@@ -287,6 +304,236 @@ export default class PresetManager {
     });
   }
   
+  /**
+   * Save decoded audio to the database so presets can use it offline
+   * @param {string} name - Sample name (usually the file name)
+   * @param {AudioBuffer} audioBuffer - Decoded audio
+   * @return {Promise<Object>} Resolves with the saved sample's { id, name }
+   * @throws {Error} If saving fails
+   */
+  async saveSample(name, audioBuffer) {
+    if (!audioBuffer || typeof audioBuffer.getChannelData !== 'function') {
+      throw new Error('A decoded AudioBuffer is required');
+    }
+    
+    // AudioBuffers cannot be stored directly, so keep the raw channel data
+    const channels = [];
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      channels.push(new Float32Array(audioBuffer.getChannelData(channel)));
+    }
+    
+    const sample = {
+      id: `sample-${Date.now()}`,
+      name: name || 'Untitled sample',
+      createdAt: new Date().toISOString(),
+      sampleRate: audioBuffer.sampleRate,
+      length: audioBuffer.length,
+      channels
+    };
+    
+    return this._transaction('readwrite', (store, resolve, reject) => {
+      const request = store.add(sample);
+      
+      request.onsuccess = () => {
+        console.log(`Sample "${sample.name}" saved successfully`);
+        resolve({ id: sample.id, name: sample.name });
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to save sample: ${event.target.error}`));
+      };
+    }, this.sampleStoreName);
+  }
+  
+  /**
+   * Get a stored sample record by ID
+   * @param {string} id - Sample ID
+   * @return {Promise<Object|null>} Resolves with the sample record or null if not found
+   */
+  async getSample(id) {
+    return this._transaction('readonly', (store, resolve, reject) => {
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to load sample: ${event.target.error}`));
+      };
+    }, this.sampleStoreName);
+  }
+  
+  /**
+   * Load a stored sample as an AudioBuffer
+   * @param {string} id - Sample ID
+   * @param {BaseAudioContext} audioContext - Context used to create the buffer
+   * @return {Promise<AudioBuffer|null>} Resolves with the buffer or null if not found
+   */
+  async loadSampleBuffer(id, audioContext) {
+    const sample = await this.getSample(id);
+    
+    if (!sample) {
+      return null;
+    }
+    
+    const buffer = audioContext.createBuffer(sample.channels.length, sample.length, sample.sampleRate);
+    sample.channels.forEach((channelData, channel) => {
+      buffer.copyToChannel(channelData, channel);
+    });
+    
+    return buffer;
+  }
+  
+  /**
+   * Delete a stored sample
+   * @param {string} id - Sample ID
+   * @return {Promise<boolean>} Resolves with true when deleted
+   * @throws {Error} If deletion fails
+   */
+  async deleteSample(id) {
+    return this._transaction('readwrite', (store, resolve, reject) => {
+      const request = store.delete(id);
+      
+      request.onsuccess = () => {
+        console.log(`Sample "${id}" deleted successfully`);
+        resolve(true);
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to delete sample: ${event.target.error}`));
+      };
+    }, this.sampleStoreName);
+  }
+  
+  /**
+   * List the IDs of all stored samples
+   * @return {Promise<Array<string>>} Resolves with the sample IDs
+   */
+  async listSampleIds() {
+    return this._transaction('readonly', (store, resolve, reject) => {
+      const request = store.getAllKeys();
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to list samples: ${event.target.error}`));
+      };
+    }, this.sampleStoreName);
+  }
+  
+  /**
+   * Delete stored samples that no preset and no current track or program stage uses.
+   * Decoded audio is large, so this runs whenever a reference may have gone away
+   * (a track is removed, a preset is deleted or a track's file is replaced).
+   * @param {AudioController} audioController - The audio controller whose tracks and program are kept
+   * @return {Promise<number>} Resolves with the number of samples deleted
+   */
+  async deleteUnusedSamples(audioController = null) {
+    const inUse = new Set();
+    
+    const presets = await this.listPresets();
+    presets.forEach(preset => {
+      PresetManager._getSampleIds(preset.configuration).forEach(id => inUse.add(id));
+    });
+    
+    if (audioController) {
+      const current = this.createConfigurationFromAudioController(audioController);
+      PresetManager._getSampleIds(current).forEach(id => inUse.add(id));
+    }
+    
+    let deleted = 0;
+    
+    for (const id of await this.listSampleIds()) {
+      if (!inUse.has(id)) {
+        await this.deleteSample(id);
+        deleted++;
+      }
+    }
+    
+    return deleted;
+  }
+  
+  /**
+   * Save a session to the history
+   * @param {Object} session - Session record (see SessionHistory)
+   * @return {Promise<Object>} Resolves with the saved session
+   * @throws {Error} If saving fails
+   */
+  async saveSession(session) {
+    const record = {
+      id: `session-${Date.now()}`,
+      ...session
+    };
+    
+    return this._transaction('readwrite', (store, resolve, reject) => {
+      const request = store.put(record);
+      
+      request.onsuccess = () => {
+        resolve(record);
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to save session: ${event.target.error}`));
+      };
+    }, this.sessionStoreName);
+  }
+  
+  /**
+   * Update fields of a recorded session
+   * @param {string} id - Session ID
+   * @param {Object} changes - Fields to set (e.g. ratings and a note)
+   * @return {Promise<Object>} Resolves with the updated session
+   * @throws {Error} If the session does not exist or updating fails
+   */
+  async updateSession(id, changes) {
+    return this._transaction('readwrite', (store, resolve, reject) => {
+      const getRequest = store.get(id);
+      
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error(`Session "${id}" not found`));
+          return;
+        }
+        
+        const record = { ...getRequest.result, ...changes, id };
+        const putRequest = store.put(record);
+        
+        putRequest.onsuccess = () => {
+          resolve(record);
+        };
+        
+        putRequest.onerror = (event) => {
+          reject(new Error(`Failed to update session: ${event.target.error}`));
+        };
+      };
+      
+      getRequest.onerror = (event) => {
+        reject(new Error(`Failed to load session: ${event.target.error}`));
+      };
+    }, this.sessionStoreName);
+  }
+  
+  /**
+   * List all recorded sessions
+   * @return {Promise<Array>} Resolves with the sessions, oldest first
+   */
+  async listSessions() {
+    return this._transaction('readonly', (store, resolve, reject) => {
+      const request = store.index('startedAt').getAll();
+      
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to list sessions: ${event.target.error}`));
+      };
+    }, this.sessionStoreName);
+  }
+  
   /**
    * Convert AudioController state to a saveable preset configuration
    * @param {AudioController} audioController - The audio controller instance
@@ -303,40 +550,27 @@ export default class PresetManager {
       timerDuration: audioController.getRemainingTime(),
       fadeInDuration: audioController.getFadeInDuration(),
       fadeOutDuration: audioController.getFadeOutDuration(),
+      fadeCurve: audioController.getFadeCurve(),
+      masterBus: audioController.getMasterBusSettings(),
       tracks: []
     };
     
     // Add track configurations
     for (const track of audioController.tracks.values()) {
-      // Determine track type
-      let trackType;
-      let trackConfig = {
-        volume: track.getVolume()
-      };
-      
-      if (track.constructor.name === 'BinauralTrack') {
-        trackType = 'binaural';
-        trackConfig.carrierFrequency = track.carrierFrequency;
-        trackConfig.beatFrequency = track.beatFrequency;
-      } else if (track.constructor.name === 'IsochronicTrack') {
-        trackType = 'isochronic';
-        trackConfig.carrierFrequency = track.carrierFrequency;
-        trackConfig.beatFrequency = track.beatFrequency;
-      } else if (track.constructor.name === 'NoiseTrack') {
-        trackType = 'noise';
-        trackConfig.noiseType = track.noiseType;
-      } else {
-        // Skip unknown track types
-        continue;
-      }
-      
-      // Add track type to config
-      trackConfig.type = trackType;
+      // Fade durations and curve come from the preset-wide settings above, and
+      // equal-loudness compensation is a listener setting
+      const { fadeInDuration, fadeOutDuration, fadeCurve, equalLoudness, ...trackConfig } = track.getConfiguration();
       
       // Add to tracks array
       configuration.tracks.push(trackConfig);
     }
     
+    // Add the session program if one is loaded
+    const program = audioController.getProgram();
+    if (program && !program.isEmpty()) {
+      configuration.program = program.toJSON();
+    }
+    
     return configuration;
   }
   
@@ -379,6 +613,20 @@ export default class PresetManager {
       audioController.setFadeOutDuration(configuration.fadeOutDuration);
     }
     
+    // Older presets fade linearly
+    audioController.setFadeCurve(configuration.fadeCurve || 'linear');
+    
+    // Set master EQ and limiter (older presets keep the current settings)
+    if (configuration.masterBus) {
+      audioController.setMasterBusSettings(configuration.masterBus);
+    }
+    
+    // Load the session program (presets without one clear it)
+    audioController.loadProgram(configuration.program || null);
+    
+    // Load the audio for sample tracks before they are created
+    await this._loadSamplesForConfiguration(configuration, audioController);
+    
     // Create tracks from configuration
     for (const trackConfig of configuration.tracks) {
       const trackId = audioController.createTrack(trackConfig.type, trackConfig);
@@ -400,6 +648,60 @@ export default class PresetManager {
     }
   }
   
+  /**
+   * Load every sample referenced by a configuration (including program stages)
+   * into the AudioController
+   * @private
+   * @param {Object} configuration - The preset configuration
+   * @param {AudioController} audioController - The audio controller instance
+   * @return {Promise<void>} Resolves when all samples are loaded
+   */
+  async _loadSamplesForConfiguration(configuration, audioController) {
+    const sampleIds = PresetManager._getSampleIds(configuration);
+    
+    if (sampleIds.size === 0 || !audioController.initialize()) {
+      return;
+    }
+    
+    for (const sampleId of sampleIds) {
+      if (audioController.getSampleBuffer(sampleId)) {
+        continue;
+      }
+      
+      try {
+        const buffer = await this.loadSampleBuffer(sampleId, audioController.audioContext);
+        
+        if (buffer) {
+          audioController.registerSample(sampleId, buffer);
+        } else {
+          console.warn(`Sample "${sampleId}" referenced by the preset was not found`);
+        }
+      } catch (error) {
+        console.error(`Failed to load sample "${sampleId}":`, error);
+      }
+    }
+  }
+  
+  /**
+   * Get the IDs of the samples referenced by a configuration (including program stages)
+   * @private
+   * @param {Object} configuration - A preset configuration ({ tracks, program })
+   * @return {Set<string>} Sample IDs
+   */
+  static _getSampleIds(configuration) {
+    if (!configuration) return new Set();
+    
+    const trackConfigs = [...(configuration.tracks || [])];
+    
+    if (configuration.program && Array.isArray(configuration.program.stages)) {
+      configuration.program.stages.forEach(stage => trackConfigs.push(...(stage.tracks || [])));
+    }
+    
+    return new Set(trackConfigs
+      .filter(trackConfig => trackConfig.type === 'sample' && trackConfig.sampleId)
+      .map(trackConfig => trackConfig.sampleId));
+  }
+  
   /**
    * Close the database connection
    * @return {Promise<void>} Resolves when connection is closed
@@ -0,0 +1,183 @@
+/**
+ * ScreenWakeLock.js - Screen Wake Lock handling for the Binaural Beats PWA
+ *
+ * When the screen turns off during a session, some browsers throttle or
+ * suspend the page. This class holds a screen wake lock while playback is
+ * running, if the user has enabled it (or while the night mode screen is
+ * open). The browser releases the lock whenever the page is hidden, so it is
+ * requested again when the page becomes visible.
+ */
+
+// Local storage key for the user setting
+const STORAGE_KEY = 'binauralBeats_keepScreenOn';
+
+export default class ScreenWakeLock {
+  /**
+   * Create a new ScreenWakeLock
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {HTMLInputElement} options.checkbox - Checkbox for the "keep screen on" setting
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    this.checkbox = options.checkbox || null;
+    
+    // User setting (persisted) and temporary hold (e.g. night mode)
+    this.enabled = this._loadSetting();
+    this.held = false;
+    
+    // Active WakeLockSentinel, and a pending request
+    this.sentinel = null;
+    this.request = null;
+    
+    this._handleVisibilityChange = () => this.update();
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    
+    if (this.checkbox) {
+      this.checkbox.checked = this.enabled;
+      this.checkbox.disabled = !ScreenWakeLock.isSupported();
+      this.checkbox.addEventListener('change', () => this.setEnabled(this.checkbox.checked));
+    }
+  }
+  
+  /**
+   * Check whether the browser supports the Screen Wake Lock API
+   * @return {boolean} True if supported
+   */
+  static isSupported() {
+    return 'wakeLock' in navigator;
+  }
+  
+  /**
+   * Enable or disable keeping the screen on during playback
+   * @param {boolean} enabled - Whether to hold the wake lock while playing
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this._saveSetting(this.enabled);
+    
+    if (this.checkbox) {
+      this.checkbox.checked = this.enabled;
+    }
+    
+    this.update();
+  }
+  
+  /**
+   * Check whether keeping the screen on is enabled
+   * @return {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+  
+  /**
+   * Hold the wake lock during playback regardless of the setting
+   * @param {boolean} held - Whether to hold it
+   */
+  setHeld(held) {
+    this.held = !!held;
+    this.update();
+  }
+  
+  /**
+   * Check whether the wake lock is currently held
+   * @return {boolean} True if the screen is being kept on
+   */
+  isActive() {
+    return this.sentinel !== null;
+  }
+  
+  /**
+   * Acquire or release the wake lock to match the playback state
+   */
+  update() {
+    const isPlaying = !!(this.audioController && this.audioController.isPlaying);
+    const wanted = (this.enabled || this.held) && isPlaying && document.visibilityState === 'visible';
+    
+    if (wanted) {
+      this._acquire();
+    } else {
+      this._release();
+    }
+  }
+  
+  /**
+   * Request the wake lock if it is not held yet
+   * @private
+   */
+  async _acquire() {
+    if (!ScreenWakeLock.isSupported() || this.sentinel || this.request) return;
+    
+    try {
+      this.request = navigator.wakeLock.request('screen');
+      const sentinel = await this.request;
+      
+      // The browser releases the lock when the page is hidden
+      sentinel.addEventListener('release', () => {
+        if (this.sentinel === sentinel) {
+          this.sentinel = null;
+        }
+      });
+      
+      this.sentinel = sentinel;
+      this.request = null;
+      
+      // Playback may have stopped while the request was pending
+      this.update();
+    } catch (error) {
+      // E.g. the page is hidden or battery saver is on
+      this.request = null;
+      console.warn('Could not acquire screen wake lock:', error);
+    }
+  }
+  
+  /**
+   * Release the wake lock if it is held
+   * @private
+   */
+  _release() {
+    if (!this.sentinel) return;
+    
+    const sentinel = this.sentinel;
+    this.sentinel = null;
+    sentinel.release().catch(() => {});
+  }
+  
+  /**
+   * Load the setting from local storage
+   * @private
+   * @return {boolean} Whether keeping the screen on is enabled
+   */
+  _loadSetting() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+      console.error('Failed to load wake lock setting from local storage:', error);
+    }
+    return false;
+  }
+  
+  /**
+   * Save the setting to local storage
+   * @private
+   * @param {boolean} enabled - Whether keeping the screen on is enabled
+   */
+  _saveSetting(enabled) {
+    try {
+      localStorage.setItem(STORAGE_KEY, enabled.toString());
+    } catch (error) {
+      console.error('Failed to save wake lock setting to local storage:', error);
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    this.enabled = false;
+    this.held = false;
+    this._release();
+  }
+}
\ No newline at end of file
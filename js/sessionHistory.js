@@ -0,0 +1,374 @@
+/**
+ * SessionHistory.js - Listening session log for the Binaural Beats PWA
+ *
+ * This class records every playback session in the PresetManager database
+ * (start time, time actually listened, preset, track types and beat
+ * frequencies, and whether the session finished or was stopped), and
+ * derives statistics from the log: minutes per week, most-used presets and
+ * daily streaks. After a session the listener can rate focus and relaxation
+ * (1-5) and add a note, which is stored with the session record. The log
+ * can be exported as CSV or JSON.
+ *
+ * Listening time is measured on the audio clock, so time spent suspended
+ * (e.g. paused in the background) is not counted.
+ */
+
+// Sessions shorter than this are not recorded (seconds)
+const MIN_SESSION_DURATION = 5;
+
+// Name shown for sessions that were not started from a preset
+const UNSAVED_SESSION_NAME = 'Unsaved session';
+
+// Range of the focus and relaxation ratings
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+export default class SessionHistory {
+  /**
+   * Create a new SessionHistory
+   * @param {Object} options - Configuration options
+   * @param {PresetManager} options.presetManager - Preset manager whose database stores the log
+   * @param {AudioController} options.audioController - The audio controller instance
+   */
+  constructor(options = {}) {
+    this.presetManager = options.presetManager || null;
+    this.audioController = options.audioController || null;
+    
+    // Session being recorded
+    this.current = null;
+  }
+  
+  /**
+   * Start recording a session
+   * @param {string|null} presetName - Name of the current preset, if any
+   */
+  startSession(presetName = null) {
+    if (!this.audioController || !this.audioController.audioContext) return;
+    
+    const program = this.audioController.getProgram();
+    
+    this.current = {
+      startedAt: new Date().toISOString(),
+      startContextTime: this.audioController.audioContext.currentTime,
+      presetName: presetName || null,
+      programName: program && !program.isEmpty() ? program.name : null,
+      tracks: []
+    };
+    
+    this.addCurrentTracks();
+  }
+  
+  /**
+   * Add the tracks that are playing now to the current session (e.g. when a
+   * program stage starts)
+   */
+  addCurrentTracks() {
+    if (!this.current) return;
+    
+    for (const track of this.audioController.tracks.values()) {
+      const entry = { type: track.type };
+      
+      if (typeof track.beatFrequency === 'number') {
+        entry.beatFrequency = Math.round(track.getParameterValue('beatFrequency') * 100) / 100;
+      }
+      
+      const isKnown = this.current.tracks.some(known =>
+        known.type === entry.type && known.beatFrequency === entry.beatFrequency
+      );
+      
+      if (!isKnown) {
+        this.current.tracks.push(entry);
+      }
+    }
+  }
+  
+  /**
+   * Check whether a session is being recorded
+   * @return {boolean} True if recording
+   */
+  isRecording() {
+    return this.current !== null;
+  }
+  
+  /**
+   * Finish the current session and store it
+   * @param {boolean} completed - True if the session ran to its end (timer or program), false if it was stopped
+   * @return {Promise<Object|null>} Resolves with the stored session, or null if none was stored
+   */
+  async endSession(completed = false) {
+    if (!this.current) return null;
+    
+    const session = this.current;
+    this.current = null;
+    
+    const audioContext = this.audioController.audioContext;
+    const duration = audioContext ? audioContext.currentTime - session.startContextTime : 0;
+    
+    if (duration < MIN_SESSION_DURATION || !this.presetManager) {
+      return null;
+    }
+    
+    const record = {
+      startedAt: session.startedAt,
+      endedAt: new Date().toISOString(),
+      duration: Math.round(duration),
+      presetName: session.presetName,
+      programName: session.programName,
+      tracks: session.tracks,
+      completed: !!completed
+    };
+    
+    try {
+      return await this.presetManager.saveSession(record);
+    } catch (error) {
+      console.error('Failed to record session:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Store ratings and a note with a recorded session
+   * @param {string} id - Session ID
+   * @param {Object} rating - Rating
+   * @param {number|null} rating.focus - Focus rating (1-5), or null if not rated
+   * @param {number|null} rating.relaxation - Relaxation rating (1-5), or null if not rated
+   * @param {string} rating.note - Free-text note
+   * @return {Promise<Object>} Resolves with the updated session
+   */
+  async rateSession(id, rating = {}) {
+    if (!this.presetManager) {
+      throw new Error('Session history is not available');
+    }
+    
+    const clamp = value => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) ? Math.max(MIN_RATING, Math.min(MAX_RATING, number)) : null;
+    };
+    
+    return this.presetManager.updateSession(id, {
+      focus: clamp(rating.focus),
+      relaxation: clamp(rating.relaxation),
+      note: (rating.note || '').trim()
+    });
+  }
+  
+  /**
+   * Check whether a session has a rating or a note
+   * @param {Object} session - Session record
+   * @return {boolean} True if rated
+   */
+  static isRated(session) {
+    return typeof session.focus === 'number' || typeof session.relaxation === 'number' || !!session.note;
+  }
+  
+  /**
+   * Get the preset name a session is listed under
+   * @param {Object} session - Session record
+   * @return {string} Preset name, or the name used for sessions without a preset
+   */
+  static getPresetLabel(session) {
+    return session.presetName || UNSAVED_SESSION_NAME;
+  }
+  
+  /**
+   * Get the sessions recorded with a preset
+   * @param {Array} sessions - Session records
+   * @param {string|null} presetLabel - Preset name (as returned by getPresetLabel), or null for all sessions
+   * @return {Array} Matching sessions
+   */
+  static filterByPreset(sessions, presetLabel) {
+    if (!presetLabel) return sessions;
+    return sessions.filter(session => SessionHistory.getPresetLabel(session) === presetLabel);
+  }
+  
+  /**
+   * Average the focus and relaxation ratings of sessions
+   * @param {Array} sessions - Session records
+   * @return {Object} { focus, relaxation, count } where the averages are null if nothing was rated
+   */
+  static averageRatings(sessions) {
+    const average = key => {
+      const values = sessions.map(session => session[key]).filter(value => typeof value === 'number');
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+    
+    return {
+      focus: average('focus'),
+      relaxation: average('relaxation'),
+      count: sessions.filter(session => SessionHistory.isRated(session)).length
+    };
+  }
+  
+  /**
+   * Get all recorded sessions
+   * @return {Promise<Array>} Resolves with the sessions, oldest first
+   */
+  async getSessions() {
+    if (!this.presetManager) return [];
+    return this.presetManager.listSessions();
+  }
+  
+  /**
+   * Get the local calendar day of a date as a sortable key
+   * @private
+   * @param {Date} date - Date
+   * @return {string} Day key (YYYY-MM-DD)
+   */
+  static _dayKey(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  /**
+   * Get the start (Monday, 00:00 local time) of the week containing a date
+   * @private
+   * @param {Date} date - Date
+   * @return {Date} Start of the week
+   */
+  static _weekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+  }
+  
+  /**
+   * Compute statistics from a list of sessions
+   * @param {Array} sessions - Session records
+   * @param {Object} options - Options
+   * @param {number} options.weeks - Number of weeks to report minutes for (default: 8)
+   * @param {number} options.topPresets - Number of presets to list (default: 5)
+   * @param {Date} options.now - Current date (default: now)
+   * @return {Object} { totalSessions, completedSessions, totalMinutes, weeks: [{ start, minutes }],
+   *   topPresets: [{ name, sessions, minutes, focus, relaxation }], currentStreak, longestStreak }
+   */
+  static computeStats(sessions, options = {}) {
+    const weekCount = options.weeks || 8;
+    const topPresetCount = options.topPresets || 5;
+    const now = options.now || new Date();
+    
+    // Minutes per week, oldest week first
+    const thisWeek = SessionHistory._weekStart(now);
+    const weeks = [];
+    
+    for (let i = weekCount - 1; i >= 0; i--) {
+      const start = new Date(thisWeek);
+      start.setDate(start.getDate() - i * 7);
+      weeks.push({ start, minutes: 0 });
+    }
+    
+    const presets = new Map();
+    const days = new Set();
+    let totalSeconds = 0;
+    let completedSessions = 0;
+    
+    sessions.forEach(session => {
+      const startedAt = new Date(session.startedAt);
+      const minutes = session.duration / 60;
+      
+      totalSeconds += session.duration;
+      if (session.completed) completedSessions++;
+      days.add(SessionHistory._dayKey(startedAt));
+      
+      const weekStart = SessionHistory._weekStart(startedAt).getTime();
+      const week = weeks.find(entry => entry.start.getTime() === weekStart);
+      if (week) {
+        week.minutes += minutes;
+      }
+      
+      const name = SessionHistory.getPresetLabel(session);
+      const preset = presets.get(name) || { name, sessions: 0, minutes: 0, records: [] };
+      preset.sessions++;
+      preset.minutes += minutes;
+      preset.records.push(session);
+      presets.set(name, preset);
+    });
+    
+    const topPresets = [...presets.values()]
+      .sort((a, b) => b.sessions - a.sessions || b.minutes - a.minutes)
+      .slice(0, topPresetCount)
+      .map(({ records, ...preset }) => {
+        const { focus, relaxation } = SessionHistory.averageRatings(records);
+        return { ...preset, focus, relaxation };
+      });
+    
+    // Streaks of consecutive days with at least one session
+    const sortedDays = [...days].sort();
+    let longestStreak = 0;
+    let streak = 0;
+    let previousDay = null;
+    
+    sortedDays.forEach(dayKey => {
+      const day = new Date(`${dayKey}T00:00:00`);
+      
+      if (previousDay) {
+        const nextDay = new Date(previousDay);
+        nextDay.setDate(nextDay.getDate() + 1);
+        streak = SessionHistory._dayKey(nextDay) === dayKey ? streak + 1 : 1;
+      } else {
+        streak = 1;
+      }
+      
+      longestStreak = Math.max(longestStreak, streak);
+      previousDay = day;
+    });
+    
+    // The current streak is still alive if the last session was today or yesterday
+    const yesterday = new Date(now);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const lastDay = sortedDays[sortedDays.length - 1];
+    const currentStreak = lastDay === SessionHistory._dayKey(now) || lastDay === SessionHistory._dayKey(yesterday) ?
+      streak : 0;
+    
+    return {
+      totalSessions: sessions.length,
+      completedSessions,
+      totalMinutes: totalSeconds / 60,
+      weeks,
+      topPresets,
+      currentStreak,
+      longestStreak
+    };
+  }
+  
+  /**
+   * Convert sessions to CSV
+   * @param {Array} sessions - Session records
+   * @return {string} CSV text with a header row
+   */
+  static toCSV(sessions) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const header = [
+      'startedAt', 'endedAt', 'durationMinutes', 'presetName', 'programName', 'trackTypes', 'beatFrequencies',
+      'completed', 'focus', 'relaxation', 'note'
+    ];
+    const rows = sessions.map(session => [
+      session.startedAt,
+      session.endedAt,
+      (session.duration / 60).toFixed(2),
+      session.presetName,
+      session.programName,
+      session.tracks.map(track => track.type).join(' '),
+      session.tracks.filter(track => typeof track.beatFrequency === 'number').map(track => track.beatFrequency).join(' '),
+      session.completed ? 'finished' : 'stopped',
+      session.focus,
+      session.relaxation,
+      session.note
+    ].map(escape).join(','));
+    
+    return [header.join(','), ...rows].join('\n');
+  }
+  
+  /**
+   * Convert sessions to JSON
+   * @param {Array} sessions - Session records
+   * @return {string} Pretty-printed JSON
+   */
+  static toJSON(sessions) {
+    return JSON.stringify(sessions, null, 2);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * SessionRating.js - Post-session rating prompt for the Binaural Beats PWA
+ *
+ * After a session is recorded (the timer or program finished, or playback
+ * was stopped) this class asks the listener to rate focus and relaxation
+ * and jot a note. Every field is optional; the prompt can be skipped, and
+ * turned off altogether in the session history view.
+ */
+
+// Local storage key for the user setting
+const STORAGE_KEY = 'binauralBeats_askSessionRating';
+
+export default class SessionRating {
+  /**
+   * Create a new SessionRating
+   * @param {Object} options - Configuration options
+   * @param {SessionHistory} options.sessionHistory - The session history instance
+   * @param {HTMLElement} options.modal - Modal that holds the prompt
+   * @param {HTMLElement} options.summaryElement - Element describing the session being rated
+   * @param {HTMLSelectElement} options.focusSelect - Focus rating (empty or 1-5)
+   * @param {HTMLSelectElement} options.relaxationSelect - Relaxation rating (empty or 1-5)
+   * @param {HTMLTextAreaElement} options.noteInput - Note
+   * @param {HTMLButtonElement} options.saveButton - Saves the rating
+   * @param {HTMLInputElement} options.promptCheckbox - Checkbox for the "ask after each session" setting
+   * @param {Function} options.onSaved - Called with the updated session after a rating is saved
+   */
+  constructor(options = {}) {
+    this.sessionHistory = options.sessionHistory || null;
+    this.onSaved = options.onSaved || null;
+    
+    // DOM elements
+    this.modal = options.modal || null;
+    this.summaryElement = options.summaryElement || null;
+    this.focusSelect = options.focusSelect || null;
+    this.relaxationSelect = options.relaxationSelect || null;
+    this.noteInput = options.noteInput || null;
+    this.saveButton = options.saveButton || null;
+    this.promptCheckbox = options.promptCheckbox || null;
+    
+    // User setting (persisted)
+    this.enabled = this._loadSetting();
+    
+    // Session being rated
+    this.session = null;
+    
+    if (this.modal) {
+      this.modal.querySelectorAll('.close-button, .rating-skip-button').forEach(button => {
+        button.addEventListener('click', () => this.close());
+      });
+      
+      // Close when clicking outside the modal content
+      this.modal.addEventListener('click', event => {
+        if (event.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+    
+    if (this.saveButton) {
+      this.saveButton.addEventListener('click', () => this.save());
+    }
+    
+    if (this.promptCheckbox) {
+      this.promptCheckbox.checked = this.enabled;
+      this.promptCheckbox.addEventListener('change', () => this.setEnabled(this.promptCheckbox.checked));
+    }
+  }
+  
+  /**
+   * Enable or disable the prompt after each session
+   * @param {boolean} enabled - Whether to ask for a rating
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this._saveSetting(this.enabled);
+    
+    if (this.promptCheckbox) {
+      this.promptCheckbox.checked = this.enabled;
+    }
+  }
+  
+  /**
+   * Check whether the prompt is enabled
+   * @return {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+  
+  /**
+   * Ask for a rating of a recorded session, if the prompt is enabled
+   * @param {Object} session - Session record (as stored by SessionHistory)
+   */
+  prompt(session) {
+    if (!this.enabled || !session) return;
+    this.open(session);
+  }
+  
+  /**
+   * Open the prompt for a session
+   * @param {Object} session - Session record
+   */
+  open(session) {
+    if (!this.modal || !session) return;
+    
+    this.session = session;
+    
+    if (this.summaryElement) {
+      const minutes = Math.max(1, Math.round(session.duration / 60));
+      const name = session.presetName || 'Your session';
+      const outcome = session.completed ? 'finished' : 'stopped';
+      this.summaryElement.textContent = `${name} · ${minutes} min · ${outcome}`;
+    }
+    
+    if (this.focusSelect) {
+      this.focusSelect.value = typeof session.focus === 'number' ? session.focus.toString() : '';
+    }
+    
+    if (this.relaxationSelect) {
+      this.relaxationSelect.value = typeof session.relaxation === 'number' ? session.relaxation.toString() : '';
+    }
+    
+    if (this.noteInput) {
+      this.noteInput.value = session.note || '';
+    }
+    
+    this.modal.classList.add('active');
+  }
+  
+  /**
+   * Close the prompt without saving
+   */
+  close() {
+    this.session = null;
+    
+    if (this.modal) {
+      this.modal.classList.remove('active');
+    }
+  }
+  
+  /**
+   * Save the rating with the session
+   * @return {Promise<void>}
+   */
+  async save() {
+    if (!this.session || !this.sessionHistory) {
+      this.close();
+      return;
+    }
+    
+    const rating = {
+      focus: this.focusSelect ? this.focusSelect.value : null,
+      relaxation: this.relaxationSelect ? this.relaxationSelect.value : null,
+      note: this.noteInput ? this.noteInput.value : ''
+    };
+    
+    try {
+      const session = await this.sessionHistory.rateSession(this.session.id, rating);
+      this.close();
+      
+      if (typeof this.onSaved === 'function') {
+        this.onSaved(session);
+      }
+    } catch (error) {
+      console.error('Failed to save session rating:', error);
+    }
+  }
+  
+  /**
+   * Load the setting from local storage
+   * @private
+   * @return {boolean} Whether to ask for a rating (default: true)
+   */
+  _loadSetting() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) !== 'false';
+    } catch (error) {
+      console.error('Failed to load session rating setting from local storage:', error);
+    }
+    return true;
+  }
+  
+  /**
+   * Save the setting to local storage
+   * @private
+   * @param {boolean} enabled - Whether to ask for a rating
+   */
+  _saveSetting(enabled) {
+    try {
+      localStorage.setItem(STORAGE_KEY, enabled.toString());
+    } catch (error) {
+      console.error('Failed to save session rating setting to local storage:', error);
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.close();
+  }
+}
\ No newline at end of file
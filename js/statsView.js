@@ -0,0 +1,445 @@
+/**
+ * StatsView.js - Listening statistics view for the Binaural Beats PWA
+ *
+ * This class shows the session history recorded by SessionHistory in a
+ * modal: totals, minutes listened per week, the most-used presets and the
+ * current and longest daily streaks. Session ratings and notes are listed
+ * per preset, with their averages, so presets can be compared. The full
+ * history can be downloaded as CSV or JSON.
+ */
+
+// Number of sessions listed under ratings and notes
+const MAX_LISTED_SESSIONS = 20;
+
+import SessionHistory from './sessionHistory.js';
+
+export default class StatsView {
+  /**
+   * Create a new StatsView
+   * @param {Object} options - Configuration options
+   * @param {SessionHistory} options.sessionHistory - The session history instance
+   * @param {HTMLElement} options.modal - Modal that holds the view
+   * @param {HTMLElement} options.contentElement - Element the statistics are rendered into
+   * @param {HTMLButtonElement} options.exportCsvButton - Button that downloads the history as CSV
+   * @param {HTMLButtonElement} options.exportJsonButton - Button that downloads the history as JSON
+   * @param {Function} options.onEditSession - Called with a session to rate it or edit its note
+   */
+  constructor(options = {}) {
+    this.sessionHistory = options.sessionHistory || null;
+    this.onEditSession = options.onEditSession || null;
+    
+    // DOM elements
+    this.modal = options.modal || null;
+    this.contentElement = options.contentElement || null;
+    this.exportCsvButton = options.exportCsvButton || null;
+    this.exportJsonButton = options.exportJsonButton || null;
+    
+    // Sessions shown in the view, and the preset the ratings are filtered by (null for all)
+    this.sessions = [];
+    this.presetFilter = null;
+    
+    if (this.modal) {
+      this.modal.querySelectorAll('.close-button').forEach(button => {
+        button.addEventListener('click', () => this.close());
+      });
+      
+      // Close when clicking outside the modal content
+      this.modal.addEventListener('click', event => {
+        if (event.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+    
+    if (this.exportCsvButton) {
+      this.exportCsvButton.addEventListener('click', () => this.exportCSV());
+    }
+    
+    if (this.exportJsonButton) {
+      this.exportJsonButton.addEventListener('click', () => this.exportJSON());
+    }
+  }
+  
+  /**
+   * Load the history and open the view
+   * @return {Promise<void>}
+   */
+  async open() {
+    if (!this.modal) return;
+    
+    this.modal.classList.add('active');
+    this._renderMessage('Loading…');
+    
+    try {
+      this.sessions = this.sessionHistory ? await this.sessionHistory.getSessions() : [];
+      this._render();
+    } catch (error) {
+      console.error('Failed to load session history:', error);
+      this.sessions = [];
+      this._renderMessage('Could not load the session history.');
+    }
+    
+    this._updateExportButtons();
+  }
+  
+  /**
+   * Check whether the view is open
+   * @return {boolean} True if open
+   */
+  isOpen() {
+    return !!this.modal && this.modal.classList.contains('active');
+  }
+  
+  /**
+   * Replace a session in the view after it was rated
+   * @param {Object} session - Updated session record
+   */
+  updateSession(session) {
+    const index = this.sessions.findIndex(known => known.id === session.id);
+    
+    if (index !== -1) {
+      this.sessions[index] = session;
+      this._render();
+    }
+  }
+  
+  /**
+   * Close the view
+   */
+  close() {
+    if (this.modal) {
+      this.modal.classList.remove('active');
+    }
+  }
+  
+  /**
+   * Download the history as CSV
+   */
+  exportCSV() {
+    if (this.sessions.length === 0) return;
+    this._download(SessionHistory.toCSV(this.sessions), 'text/csv', 'csv');
+  }
+  
+  /**
+   * Download the history as JSON
+   */
+  exportJSON() {
+    if (this.sessions.length === 0) return;
+    this._download(SessionHistory.toJSON(this.sessions), 'application/json', 'json');
+  }
+  
+  /**
+   * Trigger a file download
+   * @private
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   * @param {string} extension - File extension
+   */
+  _download(text, type, extension) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `binaural_sessions_${date}.${extension}`;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+  
+  /**
+   * Enable the export buttons only when there is something to export
+   * @private
+   */
+  _updateExportButtons() {
+    const isEmpty = this.sessions.length === 0;
+    
+    if (this.exportCsvButton) {
+      this.exportCsvButton.disabled = isEmpty;
+    }
+    
+    if (this.exportJsonButton) {
+      this.exportJsonButton.disabled = isEmpty;
+    }
+  }
+  
+  /**
+   * Replace the content with a message
+   * @private
+   * @param {string} text - Message text
+   */
+  _renderMessage(text) {
+    if (!this.contentElement) return;
+    
+    this.contentElement.innerHTML = '';
+    
+    const message = document.createElement('p');
+    message.className = 'stats-empty';
+    message.textContent = text;
+    this.contentElement.appendChild(message);
+  }
+  
+  /**
+   * Format a number of minutes as e.g. "1 h 25 min"
+   * @private
+   * @param {number} minutes - Minutes
+   * @return {string} Formatted duration
+   */
+  _formatMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    
+    if (rounded < 60) {
+      return `${rounded} min`;
+    }
+    
+    return `${Math.floor(rounded / 60)} h ${rounded % 60} min`;
+  }
+  
+  /**
+   * Create a section with a heading
+   * @private
+   * @param {string} title - Section heading
+   * @return {HTMLElement} Section element
+   */
+  _createSection(title) {
+    const section = document.createElement('div');
+    section.className = 'stats-section';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.appendChild(heading);
+    
+    return section;
+  }
+  
+  /**
+   * Create a summary tile
+   * @private
+   * @param {string} label - Tile label
+   * @param {string} value - Tile value
+   * @return {HTMLElement} Tile element
+   */
+  _createTile(label, value) {
+    const tile = document.createElement('div');
+    tile.className = 'stats-tile';
+    
+    const valueElement = document.createElement('div');
+    valueElement.className = 'stats-tile-value';
+    valueElement.textContent = value;
+    tile.appendChild(valueElement);
+    
+    const labelElement = document.createElement('div');
+    labelElement.className = 'stats-tile-label';
+    labelElement.textContent = label;
+    tile.appendChild(labelElement);
+    
+    return tile;
+  }
+  
+  /**
+   * Format a rating average, e.g. "4.2/5"
+   * @private
+   * @param {number|null} value - Average rating
+   * @return {string} Formatted rating, or a dash if not rated
+   */
+  _formatRating(value) {
+    return typeof value === 'number' ? `${value.toFixed(1).replace(/\.0$/, '')}/5` : '–';
+  }
+  
+  /**
+   * Create the ratings and notes section, filtered by preset
+   * @private
+   * @return {HTMLElement} Section element
+   */
+  _createRatingsSection() {
+    const section = this._createSection('Ratings & Notes');
+    
+    // Preset filter
+    const presetNames = [...new Set(this.sessions.map(session => SessionHistory.getPresetLabel(session)))].sort();
+    
+    if (this.presetFilter && !presetNames.includes(this.presetFilter)) {
+      this.presetFilter = null;
+    }
+    
+    const filter = document.createElement('select');
+    filter.className = 'stats-preset-filter';
+    filter.setAttribute('aria-label', 'Filter by preset');
+    
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All presets';
+    filter.appendChild(allOption);
+    
+    presetNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      filter.appendChild(option);
+    });
+    
+    filter.value = this.presetFilter || '';
+    filter.addEventListener('change', () => {
+      this.presetFilter = filter.value || null;
+      this._render();
+    });
+    section.appendChild(filter);
+    
+    // Averages for the filtered sessions
+    const sessions = SessionHistory.filterByPreset(this.sessions, this.presetFilter);
+    const averages = SessionHistory.averageRatings(sessions);
+    
+    const summary = document.createElement('p');
+    summary.className = 'stats-rating-summary';
+    summary.textContent = averages.count > 0 ?
+      `Focus ${this._formatRating(averages.focus)} · Relaxation ${this._formatRating(averages.relaxation)} ` +
+        `(${averages.count} of ${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'} rated)` :
+      'No ratings yet for these sessions.';
+    section.appendChild(summary);
+    
+    // Newest sessions first
+    const list = document.createElement('ul');
+    list.className = 'stats-session-list';
+    
+    sessions.slice(-MAX_LISTED_SESSIONS).reverse().forEach(session => {
+      const item = document.createElement('li');
+      item.className = 'stats-session';
+      
+      const header = document.createElement('div');
+      header.className = 'stats-session-header';
+      
+      const title = document.createElement('span');
+      title.className = 'stats-session-title';
+      const startedAt = new Date(session.startedAt);
+      title.textContent = `${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` +
+        ` · ${SessionHistory.getPresetLabel(session)} · ${this._formatMinutes(session.duration / 60)}`;
+      header.appendChild(title);
+      
+      if (typeof this.onEditSession === 'function') {
+        const editButton = document.createElement('button');
+        editButton.className = 'stats-session-edit';
+        editButton.textContent = SessionHistory.isRated(session) ? 'Edit' : 'Rate';
+        editButton.addEventListener('click', () => this.onEditSession(session));
+        header.appendChild(editButton);
+      }
+      
+      item.appendChild(header);
+      
+      if (SessionHistory.isRated(session)) {
+        const ratings = document.createElement('div');
+        ratings.className = 'stats-session-ratings';
+        ratings.textContent = `Focus ${this._formatRating(session.focus)} · Relaxation ${this._formatRating(session.relaxation)}`;
+        item.appendChild(ratings);
+      }
+      
+      if (session.note) {
+        const note = document.createElement('div');
+        note.className = 'stats-session-note';
+        note.textContent = session.note;
+        item.appendChild(note);
+      }
+      
+      list.appendChild(item);
+    });
+    
+    section.appendChild(list);
+    return section;
+  }
+  
+  /**
+   * Render the statistics
+   * @private
+   */
+  _render() {
+    if (!this.contentElement) return;
+    
+    if (this.sessions.length === 0) {
+      this._renderMessage('No sessions yet. Sessions are recorded when you play and stop.');
+      return;
+    }
+    
+    const stats = SessionHistory.computeStats(this.sessions);
+    this.contentElement.innerHTML = '';
+    
+    // Summary
+    const summary = document.createElement('div');
+    summary.className = 'stats-summary';
+    summary.appendChild(this._createTile('Total listened', this._formatMinutes(stats.totalMinutes)));
+    summary.appendChild(this._createTile('Sessions', `${stats.totalSessions} (${stats.completedSessions} finished)`));
+    summary.appendChild(this._createTile('Current streak', `${stats.currentStreak} ${stats.currentStreak === 1 ? 'day' : 'days'}`));
+    summary.appendChild(this._createTile('Longest streak', `${stats.longestStreak} ${stats.longestStreak === 1 ? 'day' : 'days'}`));
+    this.contentElement.appendChild(summary);
+    
+    // Minutes per week
+    const weeksSection = this._createSection('Minutes per Week');
+    const chart = document.createElement('div');
+    chart.className = 'stats-week-chart';
+    const maxMinutes = Math.max(...stats.weeks.map(week => week.minutes), 1);
+    
+    stats.weeks.forEach(week => {
+      const column = document.createElement('div');
+      column.className = 'stats-week';
+      column.title = `Week of ${week.start.toLocaleDateString()}: ${this._formatMinutes(week.minutes)}`;
+      
+      const value = document.createElement('div');
+      value.className = 'stats-week-value';
+      value.textContent = Math.round(week.minutes).toString();
+      column.appendChild(value);
+      
+      const barContainer = document.createElement('div');
+      barContainer.className = 'stats-week-bar-container';
+      
+      const bar = document.createElement('div');
+      bar.className = 'stats-week-bar';
+      bar.style.height = `${(week.minutes / maxMinutes) * 100}%`;
+      barContainer.appendChild(bar);
+      column.appendChild(barContainer);
+      
+      const label = document.createElement('div');
+      label.className = 'stats-week-label';
+      label.textContent = week.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      column.appendChild(label);
+      
+      chart.appendChild(column);
+    });
+    
+    weeksSection.appendChild(chart);
+    this.contentElement.appendChild(weeksSection);
+    
+    // Most-used presets
+    const presetsSection = this._createSection('Most-used Presets');
+    const list = document.createElement('ol');
+    list.className = 'stats-preset-list';
+    
+    stats.topPresets.forEach(preset => {
+      const item = document.createElement('li');
+      
+      const name = document.createElement('span');
+      name.className = 'stats-preset-name';
+      name.textContent = preset.name;
+      item.appendChild(name);
+      
+      const details = document.createElement('span');
+      details.className = 'stats-preset-details';
+      details.textContent = `${preset.sessions} × · ${this._formatMinutes(preset.minutes)}`;
+      
+      if (preset.focus !== null || preset.relaxation !== null) {
+        details.textContent += ` · focus ${this._formatRating(preset.focus)}, relaxation ${this._formatRating(preset.relaxation)}`;
+      }
+      item.appendChild(details);
+      
+      list.appendChild(item);
+    });
+    
+    presetsSection.appendChild(list);
+    this.contentElement.appendChild(presetsSection);
+    
+    this.contentElement.appendChild(this._createRatingsSection());
+  }
+}
\ No newline at end of file
@@ -6,18 +6,28 @@
  * play/stop button, volume control, timer, preset selection, and track management.
  */
 
+import AudioController from './audioEngine/AudioController.js';
+
 export default class UIController {
   /**
    * Create a new UIController
    * @param {Object} options - Configuration options
    * @param {AudioController} options.audioController - The audio controller instance
    * @param {PresetManager} options.presetManager - The preset manager instance
+   * @param {SessionHistory} options.sessionHistory - Records each playback session
+   * @param {HeadphoneCheck} options.headphoneCheck - Stereo headphone check (binaural panels warn until it passes)
    * @param {Object} options.domElements - DOM elements to control
    */
   constructor(options = {}) {
     // Store references to controllers
     this.audioController = options.audioController || null;
     this.presetManager = options.presetManager || null;
+    this.sessionHistory = options.sessionHistory || null;
+    this.headphoneCheck = options.headphoneCheck || null;
+    
+    // Audio files being stored; unused samples are not cleaned up meanwhile,
+    // since a file that is stored but not yet on its track looks unused
+    this.pendingSampleLoads = 0;
     
     // Store DOM elements
     this.dom = options.domElements || {};
@@ -26,12 +36,28 @@ export default class UIController {
     this.isPlaying = false;
     this.masterVolume = this.loadVolumeFromStorage() || 0.7;
     this.timerDuration = 0; // in minutes
-    this.timerEndTime = null;
-    this.timerInterval = null;
+    this.timerInterval = null; // Display refresh (the timer itself runs in the audio controller)
+    this.currentPresetName = null; // Name of the last loaded or saved preset
+    this.stateChangeCallback = null; // Called when playback, stage or preset changes
+    this.sessionEndCallback = null; // Called with each recorded session
+    
+    // Session program state
+    this.programInterval = null;
+    this.isSeekingProgram = false;
+    
+    // Master bus settings (EQ and limiter)
+    this.masterBusSettings = this.loadMasterBusFromStorage();
     
     // Fade settings
     this.fadeInDuration = this.loadFadeInDurationFromStorage() || 2;
     this.fadeOutDuration = this.loadFadeOutDurationFromStorage() || 1;
+    this.fadeCurve = this.loadFadeCurveFromStorage() || 'linear';
+    
+    // Background behavior: 'play' (keep playing when hidden) or 'pause'
+    this.backgroundPlayback = this.loadBackgroundPlaybackFromStorage() || 'play';
+    
+    // Equal-loudness compensation for tonal tracks (off by default)
+    this.equalLoudness = this.loadEqualLoudnessFromStorage();
     
     // Initialize UI
     this.initUI();
@@ -49,6 +75,12 @@ export default class UIController {
       this.audioController.setMasterVolume(this.masterVolume);
     }
     
+    // Apply stored master bus settings
+    if (this.audioController && this.masterBusSettings) {
+      this.audioController.setMasterBusSettings(this.masterBusSettings);
+    }
+    this.updateMasterBusUI();
+    
     // Initialize fade settings
     this.updateFadeSettingsUI();
     
@@ -56,13 +88,26 @@ export default class UIController {
     if (this.audioController) {
       this.audioController.setFadeInDuration(this.fadeInDuration);
       this.audioController.setFadeOutDuration(this.fadeOutDuration);
+      this.audioController.setFadeCurve(this.fadeCurve);
     }
     
+    // Apply background playback setting
+    this.applyBackgroundPlayback();
+    
+    // Apply equal-loudness setting
+    if (this.audioController) {
+      this.audioController.setEqualLoudness(this.equalLoudness);
+    }
+    this.updateEqualLoudnessUI();
+    
     // Update play button state
     this.updatePlayButtonState();
     
     // Update timer display
     this.updateTimerDisplay();
+    
+    // Show the (empty) session program
+    this.renderProgram();
   }
   
   /**
@@ -87,44 +132,89 @@ export default class UIController {
       this.audioController.initialize();
     }
     
-    // Start all tracks (AudioController handles the fade-in)
-    this.audioController.startAll();
+    const program = this.audioController.getProgram();
     
-    // Start timer if set
-    if (this.timerDuration > 0) {
-      this.startTimer(this.timerDuration);
+    if (program && !program.isEmpty()) {
+      // A session program sets its own length, so the timer is not used
+      this.audioController.startProgram({
+        onStageChange: (stageIndex, stage, trackIds) => this._handleProgramStageChange(trackIds),
+        onComplete: () => this.stopPlayback(true)
+      });
+      this.programInterval = setInterval(() => this.updateProgramStatus(), 500);
+    } else {
+      // Start all tracks (AudioController handles the fade-in)
+      this.audioController.startAll();
+      
+      // Start timer if set
+      if (this.timerDuration > 0) {
+        this.startTimer(this.timerDuration);
+      }
     }
     
     // Update UI state
     this.isPlaying = true;
     this.updatePlayButtonState();
     
+    if (this.sessionHistory) {
+      this.sessionHistory.startSession(this.currentPresetName);
+    }
+    
     console.log('Playback started with 5-second fade-in');
   }
   
   /**
    * Stop audio playback with fade-out
+   * @param {boolean} completed - True if the session ran to its end (timer or program) rather than being stopped
+   * @return {Promise} Resolves when the fade-out has finished and all tracks have stopped
    */
-  stopPlayback() {
-    if (!this.audioController) return;
+  stopPlayback(completed = false) {
+    if (!this.audioController) return Promise.resolve();
+    
+    // Record the session before the tracks fade out
+    if (this.sessionHistory) {
+      this.sessionHistory.endSession(completed).then(session => {
+        if (session && typeof this.sessionEndCallback === 'function') {
+          this.sessionEndCallback(session);
+        }
+      });
+    }
+    
+    // Stop all tracks (AudioController handles the fade-out); a finished
+    // program or timer has already stopped them
+    const stopping = this.audioController.isPlaying ?
+      this.audioController.stopAll() : Promise.resolve();
     
-    // Stop all tracks (AudioController handles the fade-out)
-    this.audioController.stopAll().then(() => {
+    const stopped = stopping.then(() => {
       console.log('All tracks stopped with 2-second fade-out');
+      
+      // The audio controller has now stopped playing too
+      this._notifyStateChange();
     });
     
     // Stop timer
     this.stopTimer();
     
+    // Stop following the session program
+    if (this.programInterval) {
+      clearInterval(this.programInterval);
+      this.programInterval = null;
+    }
+    
     // Update UI state
     this.isPlaying = false;
     this.updatePlayButtonState();
+    this.renderProgram();
+    
+    return stopped;
   }
   
   /**
    * Update play button visual state
    */
   updatePlayButtonState() {
+    // Playback state changed (e.g. for the media session)
+    this._notifyStateChange();
+    
     if (!this.dom.playButton) return;
     
     const iconSpan = this.dom.playButton.querySelector('.button-icon');
@@ -180,6 +270,110 @@ export default class UIController {
     }
   }
   
+  /**
+   * Set the gain of a master EQ band
+   * @param {string} band - 'low', 'mid', or 'high'
+   * @param {number} gain - Gain in dB (-12 to 12)
+   */
+  setMasterEQ(band, gain) {
+    if (!this.audioController || isNaN(gain)) return;
+    
+    this.masterBusSettings = this.audioController.setMasterBusSettings({ eq: { [band]: gain } });
+    this.updateMasterBusUI();
+    this.saveMasterBusToStorage(this.masterBusSettings);
+  }
+  
+  /**
+   * Enable or disable the master limiter
+   * @param {boolean} enabled - Whether the limiter is enabled
+   */
+  setLimiterEnabled(enabled) {
+    if (!this.audioController) return;
+    
+    this.masterBusSettings = this.audioController.setMasterBusSettings({ limiter: !!enabled });
+    this.updateMasterBusUI();
+    this.saveMasterBusToStorage(this.masterBusSettings);
+  }
+  
+  /**
+   * Enable or disable equal-loudness compensation for tonal tracks
+   * @param {boolean} enabled - Whether to compensate for the carrier frequency
+   */
+  setEqualLoudness(enabled) {
+    if (!this.audioController) return;
+    
+    this.equalLoudness = this.audioController.setEqualLoudness(enabled);
+    this.updateEqualLoudnessUI();
+    this.saveEqualLoudnessToStorage(this.equalLoudness);
+  }
+  
+  /**
+   * Update the equal-loudness toggle
+   */
+  updateEqualLoudnessUI() {
+    if (this.dom.equalLoudnessToggle) {
+      this.dom.equalLoudnessToggle.checked = this.equalLoudness;
+    }
+  }
+  
+  /**
+   * Update the master EQ and limiter controls from the audio controller
+   */
+  updateMasterBusUI() {
+    if (!this.audioController) return;
+    
+    const settings = this.audioController.getMasterBusSettings();
+    const bands = [
+      { band: 'low', input: this.dom.masterEqLow, display: this.dom.masterEqLowValue },
+      { band: 'mid', input: this.dom.masterEqMid, display: this.dom.masterEqMidValue },
+      { band: 'high', input: this.dom.masterEqHigh, display: this.dom.masterEqHighValue }
+    ];
+    
+    bands.forEach(({ band, input, display }) => {
+      const gain = settings.eq[band];
+      
+      if (input) {
+        input.value = gain;
+      }
+      
+      if (display) {
+        display.textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
+      }
+    });
+    
+    if (this.dom.masterLimiterToggle) {
+      this.dom.masterLimiterToggle.checked = settings.limiter;
+    }
+  }
+  
+  /**
+   * Save master bus settings to local storage
+   * @param {Object} settings - Settings object: { eq, limiter }
+   */
+  saveMasterBusToStorage(settings) {
+    try {
+      localStorage.setItem('binauralBeats_masterBus', JSON.stringify(settings));
+    } catch (error) {
+      console.error('Failed to save master bus settings to local storage:', error);
+    }
+  }
+  
+  /**
+   * Load master bus settings from local storage
+   * @return {Object|null} Settings object or null if not found
+   */
+  loadMasterBusFromStorage() {
+    try {
+      const storedSettings = localStorage.getItem('binauralBeats_masterBus');
+      if (storedSettings !== null) {
+        return JSON.parse(storedSettings);
+      }
+    } catch (error) {
+      console.error('Failed to load master bus settings from local storage:', error);
+    }
+    return null;
+  }
+  
   /**
    * Save volume setting to local storage
    * @param {number} volume - Volume level (0-1)
@@ -238,17 +432,13 @@ export default class UIController {
       return;
     }
     
-    // Set end time
-    const now = new Date();
-    this.timerEndTime = new Date(now.getTime() + durationMinutes * 60 * 1000);
-    
     // Start interval to update display
     this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
     
     // Start audio controller timer
     if (this.audioController) {
       this.audioController.startTimer(durationMinutes * 60 * 1000, () => {
-        this.stopPlayback();
+        this.stopPlayback(true);
         this.updateTimerDisplay();
       });
     }
@@ -265,8 +455,6 @@ export default class UIController {
       this.timerInterval = null;
     }
     
-    this.timerEndTime = null;
-    
     if (this.audioController) {
       this.audioController.stopTimer();
     }
@@ -278,9 +466,9 @@ export default class UIController {
   updateTimerDisplay() {
     if (!this.dom.timerDisplay) return;
     
-    if (this.timerEndTime && this.isPlaying) {
-      const now = new Date();
-      const diff = this.timerEndTime - now;
+    if (this.timerInterval && this.isPlaying) {
+      // Remaining time on the audio clock, so it stays right across suspend/resume
+      const diff = this.audioController ? this.audioController.getRemainingTime() : 0;
       
       if (diff <= 0) {
         // Timer completed
@@ -344,6 +532,9 @@ export default class UIController {
         this.updateVolumeUI(this.masterVolume);
       }
       
+      // Update master EQ and limiter UI
+      this.updateMasterBusUI();
+      
       // Update timer display
       if (preset.configuration.timerDuration > 0) {
         this.timerDuration = Math.ceil(preset.configuration.timerDuration / 60000); // Convert ms to minutes
@@ -368,9 +559,16 @@ export default class UIController {
         this.fadeOutDuration = 1;
       }
       
+      this.fadeCurve = preset.configuration.fadeCurve || 'linear';
+      
       // Update fade settings UI
       this.updateFadeSettingsUI();
       
+      // Show the preset's session program (if any)
+      this.renderProgram();
+      
+      this.setCurrentPresetName(preset.name);
+      
       // Restart playback if it was playing
       if (wasPlaying) {
         this.startPlayback();
@@ -384,6 +582,223 @@ export default class UIController {
     }
   }
   
+  /**
+   * Add the current tracks as a new session program stage
+   * @param {string} name - Stage name
+   * @param {number} durationMinutes - Stage duration in minutes
+   * @param {number} crossfadeSeconds - Crossfade into the stage in seconds
+   * @return {boolean} Success status
+   */
+  addProgramStage(name, durationMinutes, crossfadeSeconds) {
+    if (!this.audioController || !this.presetManager) return false;
+    
+    // Reuse the preset serialization so stages are stored like presets
+    const { tracks } = this.presetManager.createConfigurationFromAudioController(this.audioController);
+    
+    if (tracks.length === 0) {
+      console.error('Cannot add a program stage without tracks');
+      return false;
+    }
+    
+    const program = this.audioController.getProgram() || this.audioController.loadProgram({ stages: [] });
+    
+    const stage = program.addStage({
+      name: name,
+      duration: durationMinutes * 60,
+      crossfade: crossfadeSeconds,
+      tracks: tracks
+    });
+    
+    this.renderProgram();
+    return stage !== null;
+  }
+  
+  /**
+   * Remove a session program stage
+   * @param {number} index - Stage index
+   * @return {boolean} Success status
+   */
+  removeProgramStage(index) {
+    const program = this.audioController ? this.audioController.getProgram() : null;
+    if (!program || this.audioController.isProgramRunning()) return false;
+    
+    const success = program.removeStage(index);
+    this.renderProgram();
+    return success;
+  }
+  
+  /**
+   * Remove the session program and return to free playback
+   */
+  clearProgram() {
+    if (!this.audioController) return;
+    
+    this.audioController.loadProgram(null);
+    this.renderProgram();
+  }
+  
+  /**
+   * Jump to a position within the running session program
+   * @param {number} position - Program position in seconds
+   */
+  seekProgram(position) {
+    if (!this.audioController) return;
+    
+    this.isSeekingProgram = false;
+    this.audioController.seekProgram(position);
+    this.updateProgramStatus();
+  }
+  
+  /**
+   * Preview a seek position while the seek slider is being dragged
+   * @param {number} position - Program position in seconds
+   */
+  previewProgramSeek(position) {
+    this.isSeekingProgram = true;
+    
+    if (this.dom.programPosition && this.audioController) {
+      const { totalDuration } = this.audioController.getProgramState();
+      this.dom.programPosition.textContent = `${this._formatTime(position)} / ${this._formatTime(totalDuration)}`;
+    }
+  }
+  
+  /**
+   * Render the session program stage list and status
+   */
+  renderProgram() {
+    if (!this.dom.programStageList || !this.audioController) return;
+    
+    const program = this.audioController.getProgram();
+    const isRunning = this.audioController.isProgramRunning();
+    
+    this.dom.programStageList.innerHTML = '';
+    
+    if (program) {
+      program.stages.forEach((stage, index) => {
+        const stageItem = document.createElement('div');
+        stageItem.className = 'program-stage-item';
+        stageItem.setAttribute('data-stage-index', index);
+        
+        const stageLabel = document.createElement('span');
+        stageLabel.className = 'program-stage-label';
+        stageLabel.textContent = `${index + 1}. ${stage.name}`;
+        stageItem.appendChild(stageLabel);
+        
+        const stageDetails = document.createElement('span');
+        stageDetails.className = 'program-stage-details';
+        const trackCount = stage.tracks.length;
+        stageDetails.textContent = `${this._formatTime(stage.duration)} · ${stage.crossfade}s fade · ` +
+          `${trackCount} track${trackCount === 1 ? '' : 's'}`;
+        stageItem.appendChild(stageDetails);
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'program-stage-remove';
+        removeButton.innerHTML = '&times;';
+        removeButton.setAttribute('aria-label', `Remove stage ${stage.name}`);
+        removeButton.disabled = isRunning;
+        removeButton.addEventListener('click', () => this.removeProgramStage(index));
+        stageItem.appendChild(removeButton);
+        
+        this.dom.programStageList.appendChild(stageItem);
+      });
+    }
+    
+    // Stages cannot be edited while the program plays
+    if (this.dom.addProgramStageButton) {
+      this.dom.addProgramStageButton.disabled = isRunning;
+    }
+    
+    if (this.dom.clearProgramButton) {
+      this.dom.clearProgramButton.disabled = isRunning || !program || program.isEmpty();
+    }
+    
+    this.updateProgramStatus();
+  }
+  
+  /**
+   * Update the stage indicator and seek control
+   */
+  updateProgramStatus() {
+    if (!this.audioController) return;
+    
+    const program = this.audioController.getProgram();
+    const state = this.audioController.getProgramState();
+    
+    // Highlight the current stage
+    if (this.dom.programStageList) {
+      this.dom.programStageList.querySelectorAll('.program-stage-item').forEach(item => {
+        const index = parseInt(item.getAttribute('data-stage-index'), 10);
+        item.classList.toggle('active', state.isRunning && index === state.stageIndex);
+      });
+    }
+    
+    if (this.dom.programStageIndicator) {
+      if (!program || program.isEmpty()) {
+        this.dom.programStageIndicator.textContent = 'No program stages';
+      } else if (!state.isRunning) {
+        this.dom.programStageIndicator.textContent =
+          `${program.stages.length} stage${program.stages.length === 1 ? '' : 's'} ready · press Play to start`;
+      } else {
+        const remaining = state.stage.duration - state.stagePosition;
+        this.dom.programStageIndicator.textContent =
+          `Stage ${state.stageIndex + 1}/${program.stages.length}: ${state.stage.name} · ${this._formatTime(remaining)} left`;
+      }
+    }
+    
+    // Leave the seek control alone while the user is dragging it
+    if (this.isSeekingProgram) return;
+    
+    if (this.dom.programSeek) {
+      this.dom.programSeek.max = Math.floor(state.totalDuration);
+      this.dom.programSeek.value = Math.floor(state.position);
+      this.dom.programSeek.disabled = !state.isRunning;
+    }
+    
+    if (this.dom.programPosition) {
+      this.dom.programPosition.textContent =
+        `${this._formatTime(state.position)} / ${this._formatTime(state.totalDuration)}`;
+    }
+  }
+  
+  /**
+   * Replace the track panels with the tracks of a new program stage
+   * @param {Array<string>} trackIds - IDs of the stage's tracks
+   * @private
+   */
+  _handleProgramStageChange(trackIds) {
+    if (this.dom.tracksContainer) {
+      this.dom.tracksContainer.innerHTML = '';
+    }
+    
+    trackIds.forEach(trackId => {
+      const track = this.audioController.getTrack(trackId);
+      
+      if (track && this.trackCreatedCallback && typeof this.trackCreatedCallback === 'function') {
+        this.trackCreatedCallback(trackId, track.type);
+      }
+    });
+    
+    if (this.sessionHistory) {
+      this.sessionHistory.addCurrentTracks();
+    }
+    
+    this.renderProgram();
+    this._notifyStateChange();
+  }
+  
+  /**
+   * Format a duration as MM:SS
+   * @param {number} seconds - Duration in seconds
+   * @return {string} Formatted duration
+   * @private
+   */
+  _formatTime(seconds) {
+    const totalSeconds = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(totalSeconds / 60);
+    const remainder = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${remainder.toString().padStart(2, '0')}`;
+  }
+  
   /**
    * Set track created callback
    * @param {Function} callback - Callback function
@@ -392,6 +807,49 @@ export default class UIController {
     this.trackCreatedCallback = callback;
   }
   
+  /**
+   * Set state change callback
+   * @param {Function} callback - Called when playback starts or stops, the program stage changes or a preset is loaded
+   */
+  setStateChangeCallback(callback) {
+    this.stateChangeCallback = callback;
+  }
+  
+  /**
+   * Set session end callback
+   * @param {Function} callback - Called with the session record when a session has been recorded
+   */
+  setSessionEndCallback(callback) {
+    this.sessionEndCallback = callback;
+  }
+  
+  /**
+   * Call the state change callback
+   * @private
+   */
+  _notifyStateChange() {
+    if (typeof this.stateChangeCallback === 'function') {
+      this.stateChangeCallback();
+    }
+  }
+  
+  /**
+   * Get the name of the last loaded or saved preset
+   * @return {string|null} Preset name, or null if none
+   */
+  getCurrentPresetName() {
+    return this.currentPresetName;
+  }
+  
+  /**
+   * Set the name of the current preset
+   * @param {string|null} name - Preset name
+   */
+  setCurrentPresetName(name) {
+    this.currentPresetName = name || null;
+    this._notifyStateChange();
+  }
+  
   /**
    * Update UI based on audio controller state
    */
@@ -409,13 +867,18 @@ export default class UIController {
     // Update fade settings
     this.fadeInDuration = this.audioController.getFadeInDuration();
     this.fadeOutDuration = this.audioController.getFadeOutDuration();
+    this.fadeCurve = this.audioController.getFadeCurve();
     this.updateFadeSettingsUI();
     
     // Update timer
     const remainingTime = this.audioController.getRemainingTime();
     if (remainingTime > 0) {
       this.timerDuration = Math.ceil(remainingTime / 60000); // Convert ms to minutes
-      this.timerEndTime = new Date(Date.now() + remainingTime);
+      
+      if (!this.timerInterval) {
+        this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
+      }
+      
       this.updateTimerDisplay();
     }
   }
@@ -478,6 +941,74 @@ export default class UIController {
     return actualDuration;
   }
   
+  /**
+   * Set the fade curve
+   * @param {string} curve - 'linear', 'exponential', 'equal-power' or 's-curve'
+   * @return {string} The actual curve set
+   */
+  setFadeCurve(curve) {
+    if (!this.audioController) return curve;
+    
+    // Set fade curve in audio controller (invalid curves are ignored)
+    const actualCurve = this.audioController.setFadeCurve(curve);
+    
+    // Update UI state
+    this.fadeCurve = actualCurve;
+    this.updateFadeSettingsUI();
+    
+    // Save to local storage
+    this.saveFadeCurveToStorage(actualCurve);
+    
+    // Show feedback
+    this.showFadeSettingsFeedback();
+    
+    return actualCurve;
+  }
+  
+  /**
+   * Get the background playback setting
+   * @return {string} 'play' or 'pause'
+   */
+  getBackgroundPlayback() {
+    return this.backgroundPlayback;
+  }
+  
+  /**
+   * Set whether playback continues while the app is hidden
+   * @param {string} mode - 'play' (keep playing) or 'pause'
+   * @return {string} The actual mode set
+   */
+  setBackgroundPlayback(mode) {
+    if (mode !== 'play' && mode !== 'pause') {
+      return this.backgroundPlayback;
+    }
+    
+    this.backgroundPlayback = mode;
+    this.applyBackgroundPlayback();
+    
+    // Save to local storage
+    this.saveBackgroundPlaybackToStorage(mode);
+    
+    return mode;
+  }
+  
+  /**
+   * Apply the background playback setting to the audio controller and UI
+   */
+  applyBackgroundPlayback() {
+    // Browsers that silence Web Audio in the background need the output to
+    // play through a media element to keep going
+    if (this.audioController) {
+      this.audioController.setMediaElementOutput(
+        this.backgroundPlayback === 'play' && AudioController.requiresMediaElementOutput()
+      );
+    }
+    
+    if (this.dom.backgroundPlaybackSelect) {
+      this.dom.backgroundPlaybackSelect.value = this.backgroundPlayback;
+    }
+  }
+  
   /**
    * Reset fade settings to defaults
    */
@@ -487,19 +1018,23 @@ export default class UIController {
     // Default values
     const defaultFadeIn = 2;
     const defaultFadeOut = 1;
+    const defaultFadeCurve = 'linear';
     
     // Set in audio controller
     this.audioController.setFadeInDuration(defaultFadeIn);
     this.audioController.setFadeOutDuration(defaultFadeOut);
+    this.audioController.setFadeCurve(defaultFadeCurve);
     
     // Update UI state
     this.fadeInDuration = defaultFadeIn;
     this.fadeOutDuration = defaultFadeOut;
+    this.fadeCurve = defaultFadeCurve;
     this.updateFadeSettingsUI();
     
     // Save to local storage
     this.saveFadeInDurationToStorage(defaultFadeIn);
     this.saveFadeOutDurationToStorage(defaultFadeOut);
+    this.saveFadeCurveToStorage(defaultFadeCurve);
     
     // Show feedback
     this.showFadeSettingsFeedback();
@@ -518,6 +1053,11 @@ export default class UIController {
     if (this.dom.fadeOutDurationInput) {
       this.dom.fadeOutDurationInput.value = this.fadeOutDuration;
     }
+    
+    // Update fade curve select if it exists
+    if (this.dom.fadeCurveSelect) {
+      this.dom.fadeCurveSelect.value = this.fadeCurve;
+    }
   }
   
   /**
@@ -603,28 +1143,103 @@ export default class UIController {
     }
     return null;
   }
-
+  
   /**
-   * Show the add track modal
+   * Save fade curve to local storage
+   * @param {string} curve - Fade curve type
    */
-  showAddTrackModal() {
-    if (!this.dom.addTrackModal) return;
-    
-    this.dom.addTrackModal.classList.add('active');
+  saveFadeCurveToStorage(curve) {
+    try {
+      localStorage.setItem('binauralBeats_fadeCurve', curve);
+    } catch (error) {
+      console.error('Failed to save fade curve to local storage:', error);
+    }
   }
   
   /**
-   * Hide the add track modal
+   * Load fade curve from local storage
+   * @return {string|null} Fade curve or null if not found
    */
-  hideAddTrackModal() {
-    if (!this.dom.addTrackModal) return;
+  loadFadeCurveFromStorage() {
+    try {
+      return localStorage.getItem('binauralBeats_fadeCurve');
+    } catch (error) {
+      console.error('Failed to load fade curve from local storage:', error);
+    }
+    return null;
+  }
+  
+  /**
+   * Save background playback setting to local storage
+   * @param {string} mode - 'play' or 'pause'
+   */
+  saveBackgroundPlaybackToStorage(mode) {
+    try {
+      localStorage.setItem('binauralBeats_backgroundPlayback', mode);
+    } catch (error) {
+      console.error('Failed to save background playback setting to local storage:', error);
+    }
+  }
+  
+  /**
+   * Load background playback setting from local storage
+   * @return {string|null} 'play', 'pause' or null if not found
+   */
+  loadBackgroundPlaybackFromStorage() {
+    try {
+      return localStorage.getItem('binauralBeats_backgroundPlayback');
+    } catch (error) {
+      console.error('Failed to load background playback setting from local storage:', error);
+    }
+    return null;
+  }
+  
+  /**
+   * Save equal-loudness setting to local storage
+   * @param {boolean} enabled - Whether equal-loudness compensation is enabled
+   */
+  saveEqualLoudnessToStorage(enabled) {
+    try {
+      localStorage.setItem('binauralBeats_equalLoudness', enabled.toString());
+    } catch (error) {
+      console.error('Failed to save equal-loudness setting to local storage:', error);
+    }
+  }
+  
+  /**
+   * Load equal-loudness setting from local storage
+   * @return {boolean} Whether equal-loudness compensation is enabled (default: false)
+   */
+  loadEqualLoudnessFromStorage() {
+    try {
+      return localStorage.getItem('binauralBeats_equalLoudness') === 'true';
+    } catch (error) {
+      console.error('Failed to load equal-loudness setting from local storage:', error);
+    }
+    return false;
+  }
+  
+  /**
+   * Show the add track modal
+   */
+  showAddTrackModal() {
+    if (!this.dom.addTrackModal) return;
+    
+    this.dom.addTrackModal.classList.add('active');
+  }
+  
+  /**
+   * Hide the add track modal
+   */
+  hideAddTrackModal() {
+    if (!this.dom.addTrackModal) return;
     
     this.dom.addTrackModal.classList.remove('active');
   }
   
   /**
    * Create a new track
-   * @param {string} trackType - Track type: 'binaural', 'isochronic', or 'noise'
+   * @param {string} trackType - Track type: 'binaural', 'monaural', 'isochronic', 'noise', 'soundscape', or 'sample'
    * @return {string|null} Track ID if successful, null otherwise
    */
   createTrack(trackType) {
@@ -641,11 +1256,21 @@ export default class UIController {
           beatFrequency: 10
         };
         break;
+      case 'monaural':
+        config = {
+          ...config,
+          carrierFrequency: 200,
+          beatFrequency: 10
+        };
+        break;
       case 'isochronic':
         config = {
           ...config,
           carrierFrequency: 200,
-          beatFrequency: 7
+          beatFrequency: 7,
+          pulseShape: 'square',
+          dutyCycle: 0.5,
+          modulationDepth: 1
         };
         break;
       case 'noise':
@@ -654,6 +1279,20 @@ export default class UIController {
           noiseType: 'pink'
         };
         break;
+      case 'soundscape':
+        config = {
+          ...config,
+          soundscape: 'rain',
+          intensity: 0.5,
+          size: 0.5
+        };
+        break;
+      case 'sample':
+        config = {
+          ...config,
+          loopCrossfade: 0.5
+        };
+        break;
       default:
         console.error('Invalid track type:', trackType);
         return null;
@@ -701,6 +1340,9 @@ export default class UIController {
       }
       
       console.log('Removed track:', trackId);
+      
+      // Its audio file may no longer be needed
+      this.deleteUnusedSamples();
     }
     
     return success;
@@ -757,6 +1399,10 @@ export default class UIController {
         trackName = 'Binaural Beat';
         trackTypeIndicator.textContent = 'Binaural';
         break;
+      case 'monaural':
+        trackName = 'Monaural Beat';
+        trackTypeIndicator.textContent = 'Monaural';
+        break;
       case 'isochronic':
         trackName = 'Isochronic Beat';
         trackTypeIndicator.textContent = 'Isochronic';
@@ -765,6 +1411,14 @@ export default class UIController {
         trackName = 'Noise';
         trackTypeIndicator.textContent = 'Noise';
         break;
+      case 'soundscape':
+        trackName = 'Soundscape';
+        trackTypeIndicator.textContent = 'Soundscape';
+        break;
+      case 'sample':
+        trackName = 'Audio File';
+        trackTypeIndicator.textContent = 'Sample';
+        break;
     }
     
     trackTitle.textContent = trackName;
@@ -783,12 +1437,17 @@ export default class UIController {
     trackPanel.appendChild(collapseButton);
     trackPanel.appendChild(trackHeader);
     
+    // Binaural beats need stereo headphones
+    if (trackType === 'binaural' && this.headphoneCheck) {
+      trackPanel.appendChild(this._createHeadphoneWarning());
+    }
+    
     // Create track controls
     const trackControls = document.createElement('div');
     trackControls.className = 'track-controls';
     
     // Create track controls based on type
-    if (trackType === 'binaural' || trackType === 'isochronic') {
+    if (trackType === 'binaural' || trackType === 'monaural' || trackType === 'isochronic') {
       // Carrier frequency control
       const carrierGroup = document.createElement('div');
       carrierGroup.className = 'track-control-group';
@@ -869,6 +1528,14 @@ export default class UIController {
       carrierGroup.appendChild(beatItem);
       
       trackControls.appendChild(carrierGroup);
+      
+      // Pulse envelope controls
+      if (trackType === 'isochronic') {
+        trackControls.appendChild(this._createPulseControls(trackId, track));
+      }
+      
+      // Frequency automation editor
+      trackControls.appendChild(this._createAutomationEditor(trackId, track));
     } else if (trackType === 'noise') {
       // Noise type control
       const noiseGroup = document.createElement('div');
@@ -881,22 +1548,20 @@ export default class UIController {
       noiseLabel.textContent = 'Noise Type';
       
       const noiseSelect = document.createElement('select');
-      
-      const whiteOption = document.createElement('option');
-      whiteOption.value = 'white';
-      whiteOption.textContent = 'White Noise';
-      
-      const pinkOption = document.createElement('option');
-      pinkOption.value = 'pink';
-      pinkOption.textContent = 'Pink Noise';
-      
-      const brownOption = document.createElement('option');
-      brownOption.value = 'brown';
-      brownOption.textContent = 'Brown Noise';
-      
-      noiseSelect.appendChild(whiteOption);
-      noiseSelect.appendChild(pinkOption);
-      noiseSelect.appendChild(brownOption);
+      [
+        { value: 'white', label: 'White Noise' },
+        { value: 'pink', label: 'Pink Noise' },
+        { value: 'brown', label: 'Brown Noise' },
+        { value: 'blue', label: 'Blue Noise' },
+        { value: 'violet', label: 'Violet Noise' },
+        { value: 'grey', label: 'Grey Noise' },
+        { value: 'velvet', label: 'Velvet Noise' }
+      ].forEach(noise => {
+        const option = document.createElement('option');
+        option.value = noise.value;
+        option.textContent = noise.label;
+        noiseSelect.appendChild(option);
+      });
       
       noiseSelect.value = track.noiseType;
       
@@ -909,6 +1574,13 @@ export default class UIController {
       noiseGroup.appendChild(noiseItem);
       
       trackControls.appendChild(noiseGroup);
+      
+      // Filter chain editor
+      trackControls.appendChild(this._createFilterEditor(trackId, track));
+    } else if (trackType === 'soundscape') {
+      trackControls.appendChild(this._createSoundscapeControls(trackId, track));
+    } else if (trackType === 'sample') {
+      trackControls.appendChild(this._createSampleControls(trackId, track));
     }
     
     // Volume control (common to all track types)
@@ -1033,6 +1705,10 @@ export default class UIController {
     volumeGroup.appendChild(volumeItem);
     
     trackControls.appendChild(volumeGroup);
+    
+    // Reverb (common to all track types)
+    trackControls.appendChild(this._createReverbEditor(trackId, track));
+    
     trackPanel.appendChild(trackControls);
     
     // Create track actions
@@ -1064,6 +1740,884 @@ export default class UIController {
     return trackPanel;
   }
   
+  /**
+   * Create the warning shown in binaural panels until stereo headphones are confirmed
+   * @private
+   * @return {HTMLElement} Warning element
+   */
+  _createHeadphoneWarning() {
+    const warning = document.createElement('div');
+    warning.className = 'headphone-warning';
+    warning.hidden = this.headphoneCheck.isConfirmed();
+    
+    const text = document.createElement('span');
+    text.textContent = 'Binaural beats need stereo headphones, worn the right way round. Not checked yet in this session.';
+    warning.appendChild(text);
+    
+    const checkButton = document.createElement('button');
+    checkButton.className = 'headphone-warning-button';
+    checkButton.textContent = 'Check Headphones';
+    checkButton.addEventListener('click', () => this.headphoneCheck.open());
+    warning.appendChild(checkButton);
+    
+    return warning;
+  }
+  
+  /**
+   * Show or hide the headphone warnings after the headphone check
+   */
+  updateHeadphoneWarnings() {
+    if (!this.dom.tracksContainer || !this.headphoneCheck) return;
+    
+    const confirmed = this.headphoneCheck.isConfirmed();
+    this.dom.tracksContainer.querySelectorAll('.headphone-warning').forEach(warning => {
+      warning.hidden = confirmed;
+    });
+  }
+  
+  /**
+   * Create the automation editor for a track's frequency parameters
+   * @private
+   * @param {string} trackId - Track ID
+   * @param {Track} track - Track instance
+   * @return {HTMLElement} Automation editor element
+   */
+  _createAutomationEditor(trackId, track) {
+    const editor = document.createElement('div');
+    editor.className = 'automation-editor collapsed';
+    
+    // Toggle button to show/hide the lanes
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'automation-toggle';
+    toggleButton.textContent = '▶ Automation';
+    toggleButton.addEventListener('click', () => {
+      editor.classList.toggle('collapsed');
+      toggleButton.textContent = (editor.classList.contains('collapsed') ? '▶' : '▼') + ' Automation';
+    });
+    
+    const lanesContainer = document.createElement('div');
+    lanesContainer.className = 'automation-lanes';
+    
+    const hint = document.createElement('div');
+    hint.className = 'automation-hint';
+    hint.textContent = 'Times are in minutes from when the track starts. The value holds after the last breakpoint.';
+    lanesContainer.appendChild(hint);
+    
+    lanesContainer.appendChild(this._createAutomationLaneEditor(trackId, track, 'carrierFrequency', 'Carrier Frequency (Hz)'));
+    lanesContainer.appendChild(this._createAutomationLaneEditor(trackId, track, 'beatFrequency', 'Beat Frequency (Hz)'));
+    
+    editor.appendChild(toggleButton);
+    editor.appendChild(lanesContainer);
+    
+    return editor;
+  }
+  
+  /**
+   * Create the editor for a single automation lane
+   * @private
+   * @param {string} trackId - Track ID
+   * @param {Track} track - Track instance
+   * @param {string} parameter - Parameter name
+   * @param {string} label - Display label
+   * @return {HTMLElement} Lane editor element
+   */
+  _createAutomationLaneEditor(trackId, track, parameter, label) {
+    const laneElement = document.createElement('div');
+    laneElement.className = 'automation-lane';
+    
+    const laneTitle = document.createElement('div');
+    laneTitle.className = 'automation-lane-title';
+    laneTitle.textContent = label;
+    
+    const rowsContainer = document.createElement('div');
+    rowsContainer.className = 'automation-rows';
+    
+    // Working copy of the breakpoints (times in seconds)
+    const existingLane = track.getAutomation(parameter);
+    let breakpoints = existingLane ? existingLane.toJSON() : [];
+    
+    // Send the breakpoints to the audio engine and redraw the rows
+    const commit = () => {
+      this.audioController.setTrackAutomation(trackId, parameter, breakpoints);
+      
+      const lane = track.getAutomation(parameter);
+      breakpoints = lane ? lane.toJSON() : [];
+      renderRows();
+    };
+    
+    const renderRows = () => {
+      rowsContainer.innerHTML = '';
+      
+      if (breakpoints.length === 0) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.className = 'automation-empty';
+        emptyMessage.textContent = 'No automation';
+        rowsContainer.appendChild(emptyMessage);
+        return;
+      }
+      
+      breakpoints.forEach((breakpoint, index) => {
+        const row = document.createElement('div');
+        row.className = 'automation-row';
+        
+        // Time (minutes)
+        const timeInput = document.createElement('input');
+        timeInput.type = 'number';
+        timeInput.min = '0';
+        timeInput.step = '0.5';
+        timeInput.value = (breakpoint.time / 60).toString();
+        timeInput.title = 'Time (minutes)';
+        timeInput.addEventListener('change', (e) => {
+          const minutes = parseFloat(e.target.value);
+          if (!isNaN(minutes) && minutes >= 0) {
+            breakpoint.time = Math.round(minutes * 60 * 100) / 100;
+          }
+          commit();
+        });
+        
+        // Value (Hz)
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.min = '0';
+        valueInput.step = '0.5';
+        valueInput.value = breakpoint.value.toString();
+        valueInput.title = 'Value (Hz)';
+        valueInput.addEventListener('change', (e) => {
+          const value = parseFloat(e.target.value);
+          if (!isNaN(value) && value >= 0) {
+            breakpoint.value = value;
+          }
+          commit();
+        });
+        
+        // Curve into this breakpoint
+        const curveSelect = document.createElement('select');
+        curveSelect.title = 'Curve from the previous breakpoint';
+        
+        const linearOption = document.createElement('option');
+        linearOption.value = 'linear';
+        linearOption.textContent = 'Linear';
+        
+        const exponentialOption = document.createElement('option');
+        exponentialOption.value = 'exponential';
+        exponentialOption.textContent = 'Exponential';
+        
+        curveSelect.appendChild(linearOption);
+        curveSelect.appendChild(exponentialOption);
+        curveSelect.value = breakpoint.curve;
+        curveSelect.disabled = index === 0;
+        curveSelect.addEventListener('change', (e) => {
+          breakpoint.curve = e.target.value;
+          commit();
+        });
+        
+        // Remove breakpoint
+        const removeButton = document.createElement('button');
+        removeButton.className = 'automation-remove-button';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove breakpoint';
+        removeButton.addEventListener('click', () => {
+          breakpoints.splice(index, 1);
+          commit();
+        });
+        
+        const timeUnit = document.createElement('span');
+        timeUnit.className = 'automation-unit';
+        timeUnit.textContent = 'min';
+        
+        const valueUnit = document.createElement('span');
+        valueUnit.className = 'automation-unit';
+        valueUnit.textContent = 'Hz';
+        
+        row.appendChild(timeInput);
+        row.appendChild(timeUnit);
+        row.appendChild(valueInput);
+        row.appendChild(valueUnit);
+        row.appendChild(curveSelect);
+        row.appendChild(removeButton);
+        rowsContainer.appendChild(row);
+      });
+    };
+    
+    // Add a breakpoint one minute after the last one, at the current value
+    const addButton = document.createElement('button');
+    addButton.className = 'automation-add-button';
+    addButton.textContent = '+ Add Breakpoint';
+    addButton.addEventListener('click', () => {
+      const last = breakpoints[breakpoints.length - 1];
+      breakpoints.push({
+        time: last ? last.time + 60 : 0,
+        value: last ? last.value : track[parameter],
+        curve: 'linear'
+      });
+      commit();
+    });
+    
+    renderRows();
+    
+    laneElement.appendChild(laneTitle);
+    laneElement.appendChild(rowsContainer);
+    laneElement.appendChild(addButton);
+    
+    return laneElement;
+  }
+  
+  /**
+   * Create the filter chain editor for a noise track
+   * @private
+   * @param {string} trackId - Track ID
+   * @param {NoiseTrack} track - The noise track
+   * @return {HTMLElement} Filter editor element
+   */
+  _createFilterEditor(trackId, track) {
+    const editor = document.createElement('div');
+    editor.className = 'filter-editor collapsed';
+    
+    // Working copy of the filter settings
+    let filters = track.getFilters();
+    
+    // Toggle button to show/hide the filters
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'filter-toggle';
+    
+    const updateToggleText = () => {
+      const arrow = editor.classList.contains('collapsed') ? '▶' : '▼';
+      toggleButton.textContent = `${arrow} Filters (${filters.length})`;
+    };
+    
+    toggleButton.addEventListener('click', () => {
+      editor.classList.toggle('collapsed');
+      updateToggleText();
+    });
+    
+    const rowsContainer = document.createElement('div');
+    rowsContainer.className = 'filter-rows';
+    
+    // Send the filters to the audio engine and redraw the rows
+    const commit = () => {
+      this.updateTrackParameter(trackId, 'filters', filters);
+      filters = track.getFilters();
+      renderRows();
+    };
+    
+    // Create a labelled number input bound to a filter setting
+    const createNumberInput = (filter, key, labelText, step, scale = 1) => {
+      const label = document.createElement('label');
+      label.className = 'filter-field';
+      label.textContent = labelText;
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = step;
+      input.value = (Math.round(filter[key] * scale * 100) / 100).toString();
+      input.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) {
+          filter[key] = value / scale;
+        }
+        commit();
+      });
+      
+      label.appendChild(input);
+      return label;
+    };
+    
+    const renderRows = () => {
+      rowsContainer.innerHTML = '';
+      updateToggleText();
+      
+      if (filters.length === 0) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.className = 'filter-empty';
+        emptyMessage.textContent = 'No filters';
+        rowsContainer.appendChild(emptyMessage);
+        return;
+      }
+      
+      filters.forEach((filter, index) => {
+        const row = document.createElement('div');
+        row.className = 'filter-row';
+        
+        // Filter type
+        const typeSelect = document.createElement('select');
+        typeSelect.title = 'Filter type';
+        [
+          { value: 'lowpass', label: 'Low-pass' },
+          { value: 'highpass', label: 'High-pass' },
+          { value: 'bandpass', label: 'Band-pass' },
+          { value: 'notch', label: 'Notch' },
+          { value: 'peaking', label: 'Peak' }
+        ].forEach(type => {
+          const option = document.createElement('option');
+          option.value = type.value;
+          option.textContent = type.label;
+          typeSelect.appendChild(option);
+        });
+        typeSelect.value = filter.type;
+        typeSelect.addEventListener('change', (e) => {
+          filter.type = e.target.value;
+          commit();
+        });
+        
+        // Remove filter
+        const removeButton = document.createElement('button');
+        removeButton.className = 'filter-remove-button';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove filter';
+        removeButton.addEventListener('click', () => {
+          filters.splice(index, 1);
+          commit();
+        });
+        
+        row.appendChild(typeSelect);
+        row.appendChild(createNumberInput(filter, 'frequency', 'Hz', '10'));
+        row.appendChild(createNumberInput(filter, 'Q', 'Q', '0.1'));
+        
+        // Gain only affects the peaking type
+        if (filter.type === 'peaking') {
+          row.appendChild(createNumberInput(filter, 'gain', 'dB', '0.5'));
+        }
+        
+        row.appendChild(createNumberInput(filter, 'lfoRate', 'LFO Hz', '0.01'));
+        row.appendChild(createNumberInput(filter, 'lfoDepth', 'Depth %', '5', 100));
+        row.appendChild(removeButton);
+        rowsContainer.appendChild(row);
+      });
+    };
+    
+    // Add a gentle low-pass, which suits softening brown noise
+    const addButton = document.createElement('button');
+    addButton.className = 'filter-add-button';
+    addButton.textContent = '+ Add Filter';
+    addButton.addEventListener('click', () => {
+      filters.push({ type: 'lowpass', frequency: 800, Q: 0.7 });
+      editor.classList.remove('collapsed');
+      commit();
+    });
+    
+    renderRows();
+    
+    const filtersContainer = document.createElement('div');
+    filtersContainer.className = 'filter-list';
+    filtersContainer.appendChild(rowsContainer);
+    filtersContainer.appendChild(addButton);
+    
+    editor.appendChild(toggleButton);
+    editor.appendChild(filtersContainer);
+    
+    return editor;
+  }
+  
+  /**
+   * Create the reverb editor for a track
+   * @private
+   * @param {string} trackId - Track ID
+   * @param {Track} track - Track instance
+   * @return {HTMLElement} Reverb editor element
+   */
+  _createReverbEditor(trackId, track) {
+    const editor = document.createElement('div');
+    editor.className = 'reverb-editor collapsed';
+    
+    // Working copy of the settings; mix and decay are kept while the reverb is off
+    const current = track.getReverb();
+    let reverbType = current ? current.type : 'off';
+    let mix = current ? current.mix : 0.3;
+    let decay = current ? current.decay : 2;
+    
+    // Toggle button to show/hide the controls
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'reverb-toggle';
+    
+    const updateToggleText = () => {
+      const arrow = editor.classList.contains('collapsed') ? '▶' : '▼';
+      const state = reverbType === 'off' ? 'Off' : reverbType.charAt(0).toUpperCase() + reverbType.slice(1);
+      toggleButton.textContent = `${arrow} Reverb (${state})`;
+    };
+    
+    toggleButton.addEventListener('click', () => {
+      editor.classList.toggle('collapsed');
+      updateToggleText();
+    });
+    
+    const controls = document.createElement('div');
+    controls.className = 'reverb-controls';
+    
+    // Send the settings to the audio engine
+    const commit = () => {
+      const settings = reverbType === 'off' ? null : { type: reverbType, mix, decay };
+      this.updateTrackParameter(trackId, 'reverb', settings);
+      updateToggleText();
+    };
+    
+    // Reverb type
+    const typeItem = document.createElement('div');
+    typeItem.className = 'track-control-item';
+    
+    const typeLabel = document.createElement('label');
+    typeLabel.textContent = 'Space';
+    
+    const typeSelect = document.createElement('select');
+    [
+      { value: 'off', label: 'Off' },
+      { value: 'room', label: 'Room' },
+      { value: 'hall', label: 'Hall' },
+      { value: 'plate', label: 'Plate' }
+    ].forEach(type => {
+      const option = document.createElement('option');
+      option.value = type.value;
+      option.textContent = type.label;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = reverbType;
+    typeSelect.addEventListener('change', (e) => {
+      reverbType = e.target.value;
+      commit();
+    });
+    
+    typeItem.appendChild(typeLabel);
+    typeItem.appendChild(typeSelect);
+    controls.appendChild(typeItem);
+    
+    // Wet/dry mix
+    const mixItem = document.createElement('div');
+    mixItem.className = 'track-control-item';
+    
+    const mixLabel = document.createElement('label');
+    mixLabel.textContent = 'Wet/Dry Mix';
+    
+    const mixInput = document.createElement('input');
+    mixInput.type = 'range';
+    mixInput.min = '0';
+    mixInput.max = '1';
+    mixInput.step = '0.01';
+    mixInput.value = mix.toString();
+    
+    const mixValue = document.createElement('div');
+    mixValue.className = 'control-value';
+    mixValue.textContent = Math.round(mix * 100) + '%';
+    
+    mixInput.addEventListener('input', (e) => {
+      mix = parseFloat(e.target.value);
+      mixValue.textContent = Math.round(mix * 100) + '%';
+      
+      // The mix only changes two gains, so it can follow the slider
+      if (reverbType !== 'off') {
+        commit();
+      }
+    });
+    
+    mixItem.appendChild(mixLabel);
+    mixItem.appendChild(mixInput);
+    mixItem.appendChild(mixValue);
+    controls.appendChild(mixItem);
+    
+    // Decay time
+    const decayItem = document.createElement('div');
+    decayItem.className = 'track-control-item';
+    
+    const decayLabel = document.createElement('label');
+    decayLabel.textContent = 'Decay';
+    
+    const decayInput = document.createElement('input');
+    decayInput.type = 'range';
+    decayInput.min = '0.2';
+    decayInput.max = '10';
+    decayInput.step = '0.1';
+    decayInput.value = decay.toString();
+    
+    const decayValue = document.createElement('div');
+    decayValue.className = 'control-value';
+    decayValue.textContent = decay.toFixed(1) + ' s';
+    
+    decayInput.addEventListener('input', (e) => {
+      decayValue.textContent = parseFloat(e.target.value).toFixed(1) + ' s';
+    });
+    
+    // A new decay regenerates the impulse response, so only apply it on release
+    decayInput.addEventListener('change', (e) => {
+      decay = parseFloat(e.target.value);
+      if (reverbType !== 'off') {
+        commit();
+      }
+    });
+    
+    decayItem.appendChild(decayLabel);
+    decayItem.appendChild(decayInput);
+    decayItem.appendChild(decayValue);
+    controls.appendChild(decayItem);
+    
+    updateToggleText();
+    
+    editor.appendChild(toggleButton);
+    editor.appendChild(controls);
+    
+    return editor;
+  }
+  
+  /**
+   * Create the pulse shape, duty cycle and modulation depth controls
+   * @param {string} trackId - Track ID
+   * @param {IsochronicTrack} track - The isochronic track
+   * @return {HTMLElement} Control group element
+   * @private
+   */
+  _createPulseControls(trackId, track) {
+    const pulseGroup = document.createElement('div');
+    pulseGroup.className = 'track-control-group';
+    
+    // Pulse shape selection
+    const shapeItem = document.createElement('div');
+    shapeItem.className = 'track-control-item';
+    
+    const shapeLabel = document.createElement('label');
+    shapeLabel.textContent = 'Pulse Shape';
+    
+    const shapeSelect = document.createElement('select');
+    [
+      { value: 'square', label: 'Square (Soft Edges)' },
+      { value: 'sine', label: 'Sine' },
+      { value: 'triangle', label: 'Triangle' },
+      { value: 'ramp', label: 'Sawtooth Ramp' }
+    ].forEach(shape => {
+      const option = document.createElement('option');
+      option.value = shape.value;
+      option.textContent = shape.label;
+      shapeSelect.appendChild(option);
+    });
+    
+    shapeSelect.value = track.pulseShape;
+    
+    shapeSelect.addEventListener('change', (e) => {
+      this.updateTrackParameter(trackId, 'pulseShape', e.target.value);
+    });
+    
+    shapeItem.appendChild(shapeLabel);
+    shapeItem.appendChild(shapeSelect);
+    pulseGroup.appendChild(shapeItem);
+    
+    // Duty cycle and depth sliders (shown as percentages)
+    const createPercentSlider = (labelText, parameter, min, value) => {
+      const item = document.createElement('div');
+      item.className = 'track-control-item';
+      
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = min.toString();
+      input.max = '1';
+      input.step = '0.05';
+      input.value = value.toString();
+      
+      const valueDisplay = document.createElement('div');
+      valueDisplay.className = 'control-value';
+      valueDisplay.textContent = Math.round(value * 100) + '%';
+      
+      input.addEventListener('input', (e) => {
+        valueDisplay.textContent = Math.round(parseFloat(e.target.value) * 100) + '%';
+      });
+      
+      // The pulse shaper is rebuilt on each change, so only apply it on release
+      input.addEventListener('change', (e) => {
+        this.updateTrackParameter(trackId, parameter, parseFloat(e.target.value));
+      });
+      
+      item.appendChild(label);
+      item.appendChild(input);
+      item.appendChild(valueDisplay);
+      pulseGroup.appendChild(item);
+    };
+    
+    createPercentSlider('Duty Cycle', 'dutyCycle', 0.1, track.dutyCycle);
+    createPercentSlider('Modulation Depth', 'modulationDepth', 0, track.modulationDepth);
+    
+    return pulseGroup;
+  }
+  
+  /**
+   * Create the soundscape selection, intensity, size and seed controls
+   * @param {string} trackId - Track ID
+   * @param {SoundscapeTrack} track - The soundscape track
+   * @return {HTMLElement} Control group element
+   * @private
+   */
+  _createSoundscapeControls(trackId, track) {
+    const soundscapeGroup = document.createElement('div');
+    soundscapeGroup.className = 'track-control-group';
+    
+    // Soundscape selection
+    const typeItem = document.createElement('div');
+    typeItem.className = 'track-control-item';
+    
+    const typeLabel = document.createElement('label');
+    typeLabel.textContent = 'Soundscape';
+    
+    const typeSelect = document.createElement('select');
+    [
+      { value: 'rain', label: 'Rain' },
+      { value: 'ocean', label: 'Ocean' },
+      { value: 'wind', label: 'Wind' },
+      { value: 'stream', label: 'Stream' }
+    ].forEach(soundscape => {
+      const option = document.createElement('option');
+      option.value = soundscape.value;
+      option.textContent = soundscape.label;
+      typeSelect.appendChild(option);
+    });
+    
+    typeSelect.value = track.soundscape;
+    
+    typeSelect.addEventListener('change', (e) => {
+      this.updateTrackParameter(trackId, 'soundscape', e.target.value);
+    });
+    
+    typeItem.appendChild(typeLabel);
+    typeItem.appendChild(typeSelect);
+    soundscapeGroup.appendChild(typeItem);
+    
+    // Intensity and size sliders (0-1, shown as percentages)
+    const createAmountSlider = (labelText, parameter, value) => {
+      const item = document.createElement('div');
+      item.className = 'track-control-item';
+      
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = '1';
+      input.step = '0.01';
+      input.value = value.toString();
+      
+      const valueDisplay = document.createElement('div');
+      valueDisplay.className = 'control-value';
+      valueDisplay.textContent = Math.round(value * 100) + '%';
+      
+      input.addEventListener('input', (e) => {
+        valueDisplay.textContent = Math.round(parseFloat(e.target.value) * 100) + '%';
+      });
+      
+      // The texture is rebuilt on each change, so only apply it on release
+      input.addEventListener('change', (e) => {
+        this.updateTrackParameter(trackId, parameter, parseFloat(e.target.value));
+      });
+      
+      item.appendChild(label);
+      item.appendChild(input);
+      item.appendChild(valueDisplay);
+      soundscapeGroup.appendChild(item);
+    };
+    
+    createAmountSlider('Intensity', 'intensity', track.intensity);
+    createAmountSlider('Size', 'size', track.size);
+    
+    // Seed for a different variation of the same texture
+    const seedItem = document.createElement('div');
+    seedItem.className = 'track-control-item';
+    
+    const seedLabel = document.createElement('label');
+    seedLabel.textContent = 'Variation (Seed)';
+    
+    const seedInput = document.createElement('input');
+    seedInput.type = 'number';
+    seedInput.min = '0';
+    seedInput.step = '1';
+    seedInput.value = track.seed;
+    seedInput.className = 'soundscape-seed-input';
+    
+    seedInput.addEventListener('change', (e) => {
+      const seed = parseInt(e.target.value, 10);
+      if (!isNaN(seed)) {
+        this.updateTrackParameter(trackId, 'seed', seed);
+      }
+    });
+    
+    seedItem.appendChild(seedLabel);
+    seedItem.appendChild(seedInput);
+    soundscapeGroup.appendChild(seedItem);
+    
+    return soundscapeGroup;
+  }
+  
+  /**
+   * Decode a local audio file, store it with the presets and load it into a sample track.
+   * If the audio cannot be stored (e.g. the storage quota is full) the file still plays,
+   * but presets cannot bring it back.
+   * @param {string} trackId - Track ID
+   * @param {File} file - Audio file chosen by the user
+   * @return {Promise<Object|null>} Resolves with { stored } on success (false if the audio was not stored),
+   *   or null if the file could not be loaded
+   */
+  async loadSampleFile(trackId, file) {
+    if (!this.audioController || !file) return null;
+    
+    let buffer;
+    
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      buffer = await this.audioController.decodeAudioFile(arrayBuffer);
+    } catch (error) {
+      console.error('Failed to load audio file:', error);
+      return null;
+    }
+    
+    // Store the decoded audio so presets that use it also work offline
+    let sampleId = null;
+    let loaded = false;
+    this.pendingSampleLoads++;
+    
+    try {
+      if (this.presetManager) {
+        try {
+          const sample = await this.presetManager.saveSample(file.name, buffer);
+          sampleId = sample.id;
+        } catch (error) {
+          console.error('Failed to store audio file:', error);
+        }
+      }
+      
+      loaded = this.audioController.setTrackSample(trackId, buffer, { sampleId: sampleId, sampleName: file.name });
+    } finally {
+      this.pendingSampleLoads--;
+    }
+    
+    // The file this track used before may no longer be needed (nor this one,
+    // if the track could not take it)
+    this.deleteUnusedSamples();
+    
+    if (!loaded) {
+      return null;
+    }
+    
+    return { stored: sampleId !== null || !this.presetManager };
+  }
+  
+  /**
+   * Delete stored samples that no preset, track or program stage uses any more
+   */
+  deleteUnusedSamples() {
+    if (!this.presetManager || this.pendingSampleLoads > 0) return;
+    
+    this.presetManager.deleteUnusedSamples(this.audioController).catch(error => {
+      console.error('Failed to delete unused samples:', error);
+    });
+  }
+  
+  /**
+   * Create the file, trim and loop controls for a sample track
+   * @param {string} trackId - Track ID
+   * @param {SampleTrack} track - The sample track
+   * @return {HTMLElement} Control group element
+   * @private
+   */
+  _createSampleControls(trackId, track) {
+    const sampleGroup = document.createElement('div');
+    sampleGroup.className = 'track-control-group sample-controls';
+    
+    // File selection
+    const fileItem = document.createElement('div');
+    fileItem.className = 'track-control-item';
+    
+    const fileLabel = document.createElement('label');
+    fileLabel.textContent = 'Audio File';
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'audio/*';
+    fileInput.className = 'sample-file-input';
+    
+    const sampleInfo = document.createElement('div');
+    sampleInfo.className = 'sample-info';
+    
+    fileItem.appendChild(fileLabel);
+    fileItem.appendChild(fileInput);
+    fileItem.appendChild(sampleInfo);
+    sampleGroup.appendChild(fileItem);
+    
+    // Trim and loop settings (in seconds)
+    const createSecondsInput = (labelText, value, placeholder) => {
+      const item = document.createElement('div');
+      item.className = 'track-control-item sample-setting';
+      
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.1';
+      input.placeholder = placeholder;
+      input.value = value === null ? '' : value;
+      
+      item.appendChild(label);
+      item.appendChild(input);
+      sampleGroup.appendChild(item);
+      
+      return input;
+    };
+    
+    const trimStartInput = createSecondsInput('Trim Start (s)', track.trimStart, '0');
+    const trimEndInput = createSecondsInput('Trim End (s)', track.trimEnd, 'End');
+    const crossfadeInput = createSecondsInput('Loop Crossfade (s)', track.loopCrossfade, '0.5');
+    
+    const updateSampleInfo = () => {
+      if (track.hasBuffer()) {
+        sampleInfo.textContent = `${track.sampleName || 'Untitled sample'} (${track.getSampleDuration().toFixed(1)} s)`;
+        trimStartInput.max = track.getSampleDuration().toFixed(1);
+        trimEndInput.max = track.getSampleDuration().toFixed(1);
+      } else if (track.sampleName) {
+        // Referenced by a preset, but the audio is not available
+        sampleInfo.textContent = `${track.sampleName} (not available, choose the file again)`;
+      } else {
+        sampleInfo.textContent = 'No file loaded';
+      }
+    };
+    
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      sampleInfo.textContent = 'Decoding…';
+      
+      const result = await this.loadSampleFile(trackId, file);
+      
+      if (result) {
+        trimStartInput.value = track.trimStart;
+        trimEndInput.value = track.trimEnd === null ? '' : track.trimEnd;
+        updateSampleInfo();
+        
+        if (!result.stored) {
+          sampleInfo.textContent += ' · Not saved on this device (storage may be full), so presets will not include it';
+        }
+      } else {
+        sampleInfo.textContent = 'Could not decode this file';
+      }
+    });
+    
+    trimStartInput.addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      this.updateTrackParameter(trackId, 'trimStart', isNaN(value) ? 0 : Math.max(0, value));
+    });
+    
+    trimEndInput.addEventListener('change', (e) => {
+      // An empty field plays to the end of the file
+      const value = parseFloat(e.target.value);
+      this.updateTrackParameter(trackId, 'trimEnd', isNaN(value) || value <= 0 ? null : value);
+    });
+    
+    crossfadeInput.addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      this.updateTrackParameter(trackId, 'loopCrossfade', isNaN(value) ? 0 : Math.max(0, value));
+    });
+    
+    updateSampleInfo();
+    
+    return sampleGroup;
+  }
+  
   /**
    * Clear all tracks
    */
@@ -0,0 +1,363 @@
+/**
+ * Visualizer.js - Real-time audio visualization for the Binaural Beats PWA
+ *
+ * This class draws what the audio engine outputs, using the analyser taps
+ * on the master bus: a spectrum with a logarithmic frequency axis, a
+ * left/right oscilloscope and a scrolling spectrogram. Rendering only runs
+ * while the visualization panel is open.
+ */
+
+export default class Visualizer {
+  /**
+   * Create a new Visualizer
+   * @param {Object} options - Configuration options
+   * @param {AudioController} options.audioController - The audio controller instance
+   * @param {HTMLElement} options.panel - The visualization panel (toggled with the 'collapsed' class)
+   * @param {HTMLElement} options.toggleButton - Button that shows/hides the panel
+   * @param {HTMLCanvasElement} options.spectrumCanvas - Canvas for the spectrum
+   * @param {HTMLCanvasElement} options.oscilloscopeCanvas - Canvas for the oscilloscope
+   * @param {HTMLCanvasElement} options.spectrogramCanvas - Canvas for the spectrogram
+   */
+  constructor(options = {}) {
+    this.audioController = options.audioController || null;
+    
+    // DOM elements
+    this.panel = options.panel || null;
+    this.toggleButton = options.toggleButton || null;
+    this.spectrumCanvas = options.spectrumCanvas || null;
+    this.oscilloscopeCanvas = options.oscilloscopeCanvas || null;
+    this.spectrogramCanvas = options.spectrogramCanvas || null;
+    
+    // Frequency range of the spectrum and spectrogram (Hz)
+    this.minFrequency = 20;
+    this.maxFrequency = 20000;
+    
+    // Rendering state
+    this.isVisible = false;
+    this.animationFrame = null;
+    
+    // Sample buffers (allocated when the analysers are first used)
+    this.frequencyData = null;
+    this.leftData = null;
+    this.rightData = null;
+    
+    // Colors from the theme
+    const styles = getComputedStyle(document.documentElement);
+    this.colors = {
+      background: styles.getPropertyValue('--bg-track').trim() || '#252525',
+      grid: styles.getPropertyValue('--bg-elevated').trim() || '#2d2d2d',
+      text: styles.getPropertyValue('--text-secondary').trim() || '#a0a0a0',
+      left: styles.getPropertyValue('--accent-primary').trim() || '#6b5ce7',
+      right: styles.getPropertyValue('--accent-secondary').trim() || '#3a9cd7'
+    };
+    
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.toggle());
+    }
+    
+    this._updateToggleButton();
+  }
+  
+  /**
+   * Show the panel and start rendering
+   */
+  show() {
+    if (this.isVisible) return;
+    
+    this.isVisible = true;
+    
+    if (this.panel) {
+      this.panel.classList.remove('collapsed');
+    }
+    
+    this._updateToggleButton();
+    this._resizeCanvases();
+    this._clearCanvas(this.spectrogramCanvas);
+    this._startRendering();
+  }
+  
+  /**
+   * Hide the panel and pause rendering
+   */
+  hide() {
+    if (!this.isVisible) return;
+    
+    this.isVisible = false;
+    
+    if (this.panel) {
+      this.panel.classList.add('collapsed');
+    }
+    
+    this._updateToggleButton();
+    this._stopRendering();
+  }
+  
+  /**
+   * Toggle the panel
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+  
+  /**
+   * Update the toggle button text
+   * @private
+   */
+  _updateToggleButton() {
+    if (this.toggleButton) {
+      this.toggleButton.textContent = (this.isVisible ? '▼' : '▶') + ' Visualizer';
+    }
+  }
+  
+  /**
+   * Start the animation loop
+   * @private
+   */
+  _startRendering() {
+    if (this.animationFrame !== null) return;
+    
+    const renderFrame = () => {
+      this._render();
+      this.animationFrame = requestAnimationFrame(renderFrame);
+    };
+    
+    this.animationFrame = requestAnimationFrame(renderFrame);
+  }
+  
+  /**
+   * Stop the animation loop
+   * @private
+   */
+  _stopRendering() {
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+  }
+  
+  /**
+   * Match the canvas resolution to its displayed size
+   * @private
+   */
+  _resizeCanvases() {
+    const ratio = window.devicePixelRatio || 1;
+    
+    [this.spectrumCanvas, this.oscilloscopeCanvas, this.spectrogramCanvas].forEach(canvas => {
+      if (!canvas) return;
+      
+      const width = Math.round(canvas.clientWidth * ratio);
+      const height = Math.round(canvas.clientHeight * ratio);
+      
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    });
+  }
+  
+  /**
+   * Fill a canvas with the background color
+   * @private
+   * @param {HTMLCanvasElement} canvas - Canvas to clear
+   */
+  _clearCanvas(canvas) {
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    context.fillStyle = this.colors.background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  
+  /**
+   * Draw one frame
+   * @private
+   */
+  _render() {
+    const analysers = this.audioController ? this.audioController.getAnalysers() : null;
+    
+    // Nothing to show until the audio engine has started
+    if (!analysers) {
+      this._clearCanvas(this.spectrumCanvas);
+      this._clearCanvas(this.oscilloscopeCanvas);
+      return;
+    }
+    
+    // Allocate buffers to match the analysers
+    if (!this.frequencyData || this.frequencyData.length !== analysers.master.frequencyBinCount) {
+      this.frequencyData = new Uint8Array(analysers.master.frequencyBinCount);
+    }
+    
+    if (!this.leftData || this.leftData.length !== analysers.left.fftSize) {
+      this.leftData = new Float32Array(analysers.left.fftSize);
+      this.rightData = new Float32Array(analysers.right.fftSize);
+    }
+    
+    analysers.master.getByteFrequencyData(this.frequencyData);
+    analysers.left.getFloatTimeDomainData(this.leftData);
+    analysers.right.getFloatTimeDomainData(this.rightData);
+    
+    const sampleRate = analysers.master.context.sampleRate;
+    
+    this._drawSpectrum(sampleRate);
+    this._drawOscilloscope();
+    this._drawSpectrogram(sampleRate);
+  }
+  
+  /**
+   * Get the analyser bin value at a frequency
+   * @private
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @return {number} Magnitude (0-1)
+   */
+  _getMagnitude(frequency, sampleRate) {
+    const binWidth = sampleRate / (this.frequencyData.length * 2);
+    const bin = Math.min(this.frequencyData.length - 1, Math.round(frequency / binWidth));
+    return this.frequencyData[bin] / 255;
+  }
+  
+  /**
+   * Map a position (0-1) on a logarithmic axis to a frequency
+   * @private
+   * @param {number} position - Position along the axis (0-1)
+   * @return {number} Frequency in Hz
+   */
+  _positionToFrequency(position) {
+    return this.minFrequency * Math.pow(this.maxFrequency / this.minFrequency, position);
+  }
+  
+  /**
+   * Draw the spectrum with a logarithmic frequency axis
+   * @private
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  _drawSpectrum(sampleRate) {
+    const canvas = this.spectrumCanvas;
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    
+    this._clearCanvas(canvas);
+    
+    // Grid lines at decades
+    context.strokeStyle = this.colors.grid;
+    context.fillStyle = this.colors.text;
+    context.font = `${Math.round(10 * (window.devicePixelRatio || 1))}px sans-serif`;
+    context.lineWidth = 1;
+    
+    [100, 1000, 10000].forEach(frequency => {
+      const x = Math.log(frequency / this.minFrequency) / Math.log(this.maxFrequency / this.minFrequency) * width;
+      context.beginPath();
+      context.moveTo(x, 0);
+      context.lineTo(x, height);
+      context.stroke();
+      context.fillText(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, x + 3, height - 4);
+    });
+    
+    // Spectrum curve
+    context.beginPath();
+    context.moveTo(0, height);
+    
+    for (let x = 0; x < width; x++) {
+      const magnitude = this._getMagnitude(this._positionToFrequency(x / width), sampleRate);
+      context.lineTo(x, height - magnitude * height);
+    }
+    
+    context.lineTo(width, height);
+    context.closePath();
+    
+    context.fillStyle = this.colors.left;
+    context.globalAlpha = 0.6;
+    context.fill();
+    context.globalAlpha = 1;
+  }
+  
+  /**
+   * Draw the left and right channels, one above the other
+   * @private
+   */
+  _drawOscilloscope() {
+    const canvas = this.oscilloscopeCanvas;
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const laneHeight = height / 2;
+    
+    this._clearCanvas(canvas);
+    
+    context.fillStyle = this.colors.text;
+    context.font = `${Math.round(10 * (window.devicePixelRatio || 1))}px sans-serif`;
+    context.lineWidth = 1.5 * (window.devicePixelRatio || 1);
+    
+    [
+      { data: this.leftData, color: this.colors.left, label: 'L' },
+      { data: this.rightData, color: this.colors.right, label: 'R' }
+    ].forEach((channel, index) => {
+      const center = laneHeight * index + laneHeight / 2;
+      
+      // Center line
+      context.strokeStyle = this.colors.grid;
+      context.beginPath();
+      context.moveTo(0, center);
+      context.lineTo(width, center);
+      context.stroke();
+      
+      // Waveform
+      context.strokeStyle = channel.color;
+      context.beginPath();
+      
+      for (let x = 0; x < width; x++) {
+        const sample = channel.data[Math.floor(x / width * channel.data.length)];
+        const y = center - sample * (laneHeight / 2);
+        
+        if (x === 0) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      }
+      
+      context.stroke();
+      context.fillText(channel.label, 4, laneHeight * index + 12 * (window.devicePixelRatio || 1));
+    });
+  }
+  
+  /**
+   * Scroll the spectrogram left by one pixel and draw the newest column
+   * @private
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  _drawSpectrogram(sampleRate) {
+    const canvas = this.spectrogramCanvas;
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    
+    // Scroll the existing image
+    context.drawImage(canvas, -1, 0);
+    
+    // Newest column, low frequencies at the bottom
+    for (let y = 0; y < height; y++) {
+      const magnitude = this._getMagnitude(this._positionToFrequency(1 - y / height), sampleRate);
+      const hue = 260 - magnitude * 200;
+      const lightness = 8 + magnitude * 55;
+      
+      context.fillStyle = `hsl(${hue}, 80%, ${lightness}%)`;
+      context.fillRect(width - 1, y, 1, 1);
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this._stopRendering();
+  }
+}
\ No newline at end of file
@@ -1,10 +1,44 @@
-const CACHE_NAME = 'binaural-beats-v1';
+// Bump the version when a release changes the cached files, so returning
+// installs drop the old cache and fetch the new app
+const CACHE_NAME = 'binaural-beats-v2';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/css/normalize.css',
   '/css/styles.css',
   '/js/main.js',
+  '/js/uiController.js',
+  '/js/presetManager.js',
+  '/js/audioExporter.js',
+  '/js/visualizer.js',
+  '/js/entrainmentLight.js',
+  '/js/mediaSessionController.js',
+  '/js/screenWakeLock.js',
+  '/js/nightMode.js',
+  '/js/sessionHistory.js',
+  '/js/sessionRating.js',
+  '/js/statsView.js',
+  '/js/headphoneCheck.js',
+  '/js/earBalanceCalibration.js',
+  '/js/lib/lame.min.js',
+  '/js/audioEngine/index.js',
+  '/js/audioEngine/AudioController.js',
+  '/js/audioEngine/AudioClock.js',
+  '/js/audioEngine/AutomationLane.js',
+  '/js/audioEngine/FadeCurve.js',
+  '/js/audioEngine/EqualLoudness.js',
+  '/js/audioEngine/MasterBus.js',
+  '/js/audioEngine/Reverb.js',
+  '/js/audioEngine/SeededRandom.js',
+  '/js/audioEngine/SessionProgram.js',
+  '/js/audioEngine/Track.js',
+  '/js/audioEngine/BinauralTrack.js',
+  '/js/audioEngine/MonauralTrack.js',
+  '/js/audioEngine/IsochronicTrack.js',
+  '/js/audioEngine/NoiseTrack.js',
+  '/js/audioEngine/SoundscapeTrack.js',
+  '/js/audioEngine/SampleTrack.js',
+  '/js/audioEngine/worklets/noise-processor.js',
   '/manifest.json',
   '/images/icons/icon-72x72.png',
   '/images/icons/icon-96x96.png',